@@ -0,0 +1,108 @@
+// Moves comments embedded in posts (post.comments[].replies[]) into the comments
+// collection, keeping their ids, then stores commentCount on each post and drops
+// the embedded array. Safe to re-run: comments that were already copied are left alone.
+//
+// Usage: npm run migrate:comments
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+const Comment = require('../src/models/Comment');
+
+const toComment = (post, comment, fields) => ({
+  post: post._id,
+  neighborhood: post.neighborhood,
+  author: comment.user,
+  content: comment.content,
+  status: 'active',
+  isEdited: false,
+  isReported: false,
+  reports: [],
+  createdAt: comment.createdAt || post.createdAt,
+  updatedAt: comment.createdAt || post.createdAt,
+  ...fields
+});
+
+const upsert = (doc) => ({
+  updateOne: {
+    filter: { _id: doc._id },
+    update: { $setOnInsert: doc },
+    upsert: true
+  }
+});
+
+const migratePost = async (post) => {
+  const operations = [];
+  let total = 0;
+
+  for (const comment of post.comments) {
+    const replies = comment.replies || [];
+    const likes = comment.likes || [];
+
+    operations.push(upsert(toComment(post, comment, {
+      _id: comment._id,
+      parent: null,
+      images: comment.images || [],
+      likes,
+      likeCount: likes.length,
+      replyCount: replies.length
+    })));
+
+    replies.forEach(reply => operations.push(upsert(toComment(post, reply, {
+      _id: reply._id,
+      parent: comment._id,
+      images: [],
+      likes: [],
+      likeCount: 0,
+      replyCount: 0
+    }))));
+
+    total += 1 + replies.length;
+  }
+
+  if (operations.length > 0) {
+    await Comment.bulkWrite(operations, { ordered: false });
+  }
+
+  await Post.collection.updateOne(
+    { _id: post._id },
+    { $set: { commentCount: total }, $unset: { comments: '' } }
+  );
+
+  return total;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+
+  await Comment.createIndexes();
+
+  // Raw driver cursor: the Post schema no longer knows about `comments`
+  const cursor = Post.collection.find(
+    { comments: { $exists: true } },
+    { projection: { neighborhood: 1, comments: 1, createdAt: 1 } }
+  );
+
+  let posts = 0;
+  let comments = 0;
+
+  for await (const post of cursor) {
+    comments += await migratePost({ ...post, comments: post.comments || [] });
+    posts += 1;
+  }
+
+  // Posts that never had the embedded array still need a count
+  const backfilled = await Post.collection.updateMany(
+    { commentCount: { $exists: false } },
+    { $set: { commentCount: 0 } }
+  );
+
+  console.log(`Moved ${comments} comments from ${posts} posts`);
+  console.log(`Set commentCount on ${backfilled.modifiedCount} posts without comments`);
+  await mongoose.disconnect();
+};
+
+migrate().catch(async (error) => {
+  console.error('Comment migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+// Backfills GeoJSON points from the older { latitude, longitude } coordinates
+// and rebuilds the 2dsphere indexes on neighborhoods, posts, listings and users.
+// Documents without a real fix (missing or 0,0) are left without a point, and so are
+// ones with coordinates off the globe, which would make the index build fail; those
+// are listed so they can be corrected by hand.
+//
+// Usage: npm run migrate:geo
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Neighborhood = require('../src/models/Neighborhood');
+const Post = require('../src/models/Post');
+const Marketplace = require('../src/models/Marketplace');
+const User = require('../src/models/User');
+
+const TARGETS = [
+  { model: Neighborhood, base: 'location' },
+  { model: Post, base: 'location' },
+  { model: Marketplace, base: 'location' },
+  { model: User, base: 'address' }
+];
+
+// How many out-of-range documents to name in the report
+const SKIPPED_REPORT_LIMIT = 20;
+
+// Documents still without a point that have numeric coordinates other than 0,0
+const candidates = (base) => ({
+  [`${base}.point`]: { $exists: false },
+  [`${base}.coordinates.latitude`]: { $type: 'number' },
+  [`${base}.coordinates.longitude`]: { $type: 'number' },
+  $nor: [{
+    [`${base}.coordinates.latitude`]: 0,
+    [`${base}.coordinates.longitude`]: 0
+  }]
+});
+
+// Same range check as utils/geo toPoint
+const inRange = (base) => ({
+  [`${base}.coordinates.latitude`]: { $gte: -90, $lte: 90 },
+  [`${base}.coordinates.longitude`]: { $gte: -180, $lte: 180 }
+});
+
+const backfill = ({ model, base }) => model.collection.updateMany(
+  { $and: [candidates(base), inRange(base)] },
+  [{
+    $set: {
+      [`${base}.point`]: {
+        type: 'Point',
+        coordinates: [`$${base}.coordinates.longitude`, `$${base}.coordinates.latitude`]
+      }
+    }
+  }]
+);
+
+const reportSkipped = async ({ model, base }) => {
+  const filter = { $and: [candidates(base), { $nor: [inRange(base)] }] };
+  const count = await model.collection.countDocuments(filter);
+  if (count === 0) return;
+
+  const examples = await model.collection.find(filter)
+    .project({ [`${base}.coordinates`]: 1 })
+    .limit(SKIPPED_REPORT_LIMIT)
+    .toArray();
+
+  console.warn(`${model.modelName}: skipped ${count} documents with coordinates out of range`);
+  examples.forEach(doc => {
+    const { latitude, longitude } = doc[base].coordinates;
+    console.warn(`  ${doc._id}: latitude ${latitude}, longitude ${longitude}`);
+  });
+  if (count > examples.length) {
+    console.warn(`  ...and ${count - examples.length} more`);
+  }
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+
+  // The old index treated { latitude, longitude } as a legacy pair in the wrong order
+  const neighborhoodIndexes = await Neighborhood.collection.indexes();
+  if (neighborhoodIndexes.some(index => index.name === 'location.coordinates_2dsphere')) {
+    await Neighborhood.collection.dropIndex('location.coordinates_2dsphere');
+    console.log('Dropped neighborhoods location.coordinates_2dsphere index');
+  }
+
+  for (const target of TARGETS) {
+    const result = await backfill(target);
+    console.log(`${target.model.modelName}: added points to ${result.modifiedCount} documents`);
+    await reportSkipped(target);
+
+    await target.model.createIndexes();
+  }
+
+  console.log('Geo indexes built');
+  await mongoose.disconnect();
+};
+
+migrate().catch(async (error) => {
+  console.error('Geo point migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+// Removes the empty placeholder boundaries older neighborhoods were saved with.
+// An empty Polygon cannot be indexed, so this must run before the 2dsphere
+// index on `boundaries` is built.
+//
+// Usage: npm run migrate:boundaries
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Neighborhood = require('../src/models/Neighborhood');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+
+  const result = await Neighborhood.collection.updateMany(
+    {
+      boundaries: { $exists: true },
+      $or: [
+        { 'boundaries.coordinates': { $size: 0 } },
+        { 'boundaries.coordinates': { $exists: false } }
+      ]
+    },
+    { $unset: { boundaries: '' } }
+  );
+  console.log(`Cleared empty boundaries on ${result.modifiedCount} neighborhoods`);
+
+  await Neighborhood.createIndexes();
+  console.log('Neighborhood indexes built');
+
+  await mongoose.disconnect();
+};
+
+migrate().catch(async (error) => {
+  console.error('Boundary migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
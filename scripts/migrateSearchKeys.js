@@ -0,0 +1,78 @@
+// Fills `searchKeys` on existing posts, listings and users and builds the text
+// indexes used by /api/search. Documents get keys on save from now on; re-run
+// this after changing the transliteration rules so older keys match new queries.
+//
+// Usage: npm run migrate:search
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../src/models/Post');
+const Marketplace = require('../src/models/Marketplace');
+const User = require('../src/models/User');
+const { searchKeys } = require('../src/utils/search');
+
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  {
+    model: Post,
+    projection: { 'content.text': 1, 'content.tags': 1 },
+    keys: (post) => searchKeys(post.content && post.content.text, post.content && post.content.tags)
+  },
+  {
+    model: Marketplace,
+    projection: { title: 1, description: 1, tags: 1 },
+    keys: (listing) => searchKeys(listing.title, listing.description, listing.tags)
+  },
+  {
+    model: User,
+    projection: { name: 1 },
+    keys: (user) => searchKeys(user.name)
+  }
+];
+
+const backfill = async ({ model, projection, keys }) => {
+  // Raw driver cursor, so nothing else about the documents is touched
+  const cursor = model.collection.find({}, { projection });
+  let batch = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await model.collection.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { searchKeys: keys(doc) } }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+
+  for (const target of TARGETS) {
+    const updated = await backfill(target);
+    console.log(`${target.model.modelName}: updated search keys on ${updated} documents`);
+
+    await target.model.createIndexes();
+  }
+
+  console.log('Search indexes built');
+  await mongoose.disconnect();
+};
+
+migrate().catch(async (error) => {
+  console.error('Search key migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
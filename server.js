@@ -4,7 +4,6 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -13,10 +12,24 @@ const neighborhoodRoutes = require('./src/routes/neighborhoods');
 const userRoutes = require('./src/routes/users');
 const marketplaceRoutes = require('./src/routes/marketplace');
 const alertRoutes = require('./src/routes/alerts');
+const notificationRoutes = require('./src/routes/notifications');
+const realtimeRoutes = require('./src/routes/realtime');
+const verificationRoutes = require('./src/routes/verification');
+const calendarRoutes = require('./src/routes/calendar');
+const commentRoutes = require('./src/routes/comments');
+const searchRoutes = require('./src/routes/search');
+const feedRoutes = require('./src/routes/feed');
+const fileRoutes = require('./src/routes/files');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
 
+// Import services
+const storage = require('./src/services/storage');
+
+// Import background jobs
+const trustScoreJob = require('./src/jobs/trustScoreJob');
+
 const app = express();
 
 // Security middleware
@@ -41,8 +54,11 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Static files for uploads, when they are kept on this server's disk (STORAGE_DRIVER=local)
+const storageProvider = storage.getProvider();
+if (storageProvider.publicDir) {
+  app.use('/uploads', express.static(storageProvider.publicDir));
+}
 
 // API routes
 app.use('/api/auth', authRoutes);
@@ -51,6 +67,14 @@ app.use('/api/neighborhoods', neighborhoodRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/marketplace', marketplaceRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -97,7 +121,15 @@ const connectDB = async () => {
 const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
+  try {
+    storage.checkConfig();
+  } catch (error) {
+    console.error('Storage configuration error:', error.message);
+    process.exit(1);
+  }
+
   await connectDB();
+  trustScoreJob.start();
   
   app.listen(PORT, () => {
     console.log(`🚀 MohallaHub Server running on port ${PORT}`);
@@ -1,8 +1,85 @@
 const User = require('../models/User');
-const Neighborhood = require('../models/Neighborhood');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
+const { sendOTP, shouldExposeOTP } = require('../services/sms');
+const { claimAddress, METHODS: VERIFICATION_METHODS } = require('../services/addressVerification');
+
+// Localized OTP verification failures
+const OTP_ERROR_MESSAGES = {
+  'No OTP found': {
+    hindi: 'कोई ओटीपी नहीं मिला। कृपया नया ओटीपी मांगें।',
+    kannada: 'ಯಾವುದೇ OTP ಕಂಡುಬಂದಿಲ್ಲ. ದಯವಿಟ್ಟು ಹೊಸ OTP ಕೋರಿ.'
+  },
+  'Invalid OTP': {
+    hindi: 'अमान्य ओटीपी',
+    kannada: 'ಅಮಾನ್ಯ OTP'
+  },
+  'OTP expired': {
+    hindi: 'ओटीपी समाप्त हो गया',
+    kannada: 'OTP ಅವಧಿ ಮೀರಿದೆ'
+  },
+  'Maximum attempts exceeded': {
+    hindi: 'अधिकतम प्रयास पार कर गए',
+    kannada: 'ಗರಿಷ್ಠ ಪ್ರಯತ್ನಗಳು ಮೀರಿವೆ'
+  },
+  'Too many failed attempts': {
+    hindi: 'बहुत अधिक असफल प्रयास। कृपया बाद में पुनः प्रयास करें।',
+    kannada: 'ತುಂಬಾ ವಿಫಲ ಪ್ರಯತ್ನಗಳು. ದಯವಿಟ್ಟು ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.'
+  }
+};
+
+// Localized reasons an address could not be placed in a neighborhood
+const ADDRESS_ERROR_MESSAGES = {
+  coordinates_required: {
+    message: 'Please share your location so we can find your neighborhood',
+    hindi: 'कृपया अपना स्थान साझा करें ताकि हम आपका मोहल्ला ढूंढ सकें',
+    kannada: 'ನಿಮ್ಮ ನೆರೆಹೊರೆಯನ್ನು ಹುಡುಕಲು ದಯವಿಟ್ಟು ನಿಮ್ಮ ಸ್ಥಳವನ್ನು ಹಂಚಿಕೊಳ್ಳಿ'
+  },
+  outside_boundaries: {
+    message: 'Your location is outside the neighborhoods mapped for this pincode',
+    hindi: 'आपका स्थान इस पिनकोड के लिए चिह्नित मोहल्लों से बाहर है',
+    kannada: 'ನಿಮ್ಮ ಸ್ಥಳವು ಈ ಪಿನ್‌ಕೋಡ್‌ಗೆ ಗುರುತಿಸಲಾದ ನೆರೆಹೊರೆಗಳ ಹೊರಗಿದೆ'
+  }
+};
+
+// Device details recorded against a new session
+const sessionDevice = (req) => ({
+  name: req.body.device && req.body.device.name,
+  platform: req.body.device && req.body.device.platform,
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Respond to an OTP send blocked by cooldown, daily cap or lockout
+const otpThrottledResponse = (res, throttle) => {
+  const minutes = Math.ceil(throttle.retryAfter / 60);
+  const messages = {
+    cooldown: {
+      message: `Please wait ${throttle.retryAfter} seconds before requesting another OTP`,
+      hindi_message: `कृपया दूसरा ओटीपी मांगने से पहले ${throttle.retryAfter} सेकंड प्रतीक्षा करें`,
+      kannada_message: `ಮತ್ತೊಂದು OTP ಕೋರುವ ಮೊದಲು ದಯವಿಟ್ಟು ${throttle.retryAfter} ಸೆಕೆಂಡುಗಳು ನಿರೀಕ್ಷಿಸಿ`
+    },
+    daily_limit: {
+      message: 'Daily OTP limit reached. Please try again tomorrow.',
+      hindi_message: 'दैनिक ओटीपी सीमा पूरी हो गई। कृपया कल पुनः प्रयास करें।',
+      kannada_message: 'ದೈನಂದಿನ OTP ಮಿತಿ ತಲುಪಿದೆ. ದಯವಿಟ್ಟು ನಾಳೆ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.'
+    },
+    locked: {
+      message: `Too many failed attempts. Please try again in ${minutes} minutes.`,
+      hindi_message: `बहुत अधिक असफल प्रयास। कृपया ${minutes} मिनट में पुनः प्रयास करें।`,
+      kannada_message: `ತುಂಬಾ ವಿಫಲ ಪ್ರಯತ್ನಗಳು. ದಯವಿಟ್ಟು ${minutes} ನಿಮಿಷಗಳಲ್ಲಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.`
+    }
+  };
+
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    success: false,
+    ...messages[throttle.reason],
+    retryAfter: throttle.retryAfter
+  });
+};
 
 // @desc    Register user with phone number
 // @route   POST /api/auth/register
@@ -37,23 +114,23 @@ exports.register = async (req, res, next) => {
       });
     }
 
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    console.log(`Generated OTP for ${phone}: ${otp}`);
-    // Create new user
-    const user = await User.create({
+    // Create new user with a fresh OTP
+    const user = new User({
       phone,
       name: name || `User${phone.slice(-4)}`,
-      language,
-      otp: {
-        code: otp,
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
-        attempts: 0
-      }
+      language
     });
+    const otp = user.generateOTP();
+    await user.save();
+
+    // Undo the registration if the OTP can't be delivered, so the user can simply retry
+    try {
+      await sendOTP(user, otp);
+    } catch (error) {
+      await User.deleteOne({ _id: user._id });
+      throw error;
+    }
 
-    // In development, return OTP directly
-    // In production, send via SMS
     const response = {
       success: true,
       message: 'Registration successful. Please verify your phone number.',
@@ -64,7 +141,7 @@ exports.register = async (req, res, next) => {
     };
 
     // Add OTP in development mode
-    if (process.env.NODE_ENV === 'development') {
+    if (shouldExposeOTP()) {
       response.otp = otp; // Only for development/testing
     }
 
@@ -115,18 +192,17 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    console.log(`Generated OTP for ${phone}: ${otp}`);
-    
+    const throttle = user.canSendOTP();
+    if (!throttle.allowed) {
+      return otpThrottledResponse(res, throttle);
+    }
+
     // Update user with new OTP
-    user.otp = {
-      code: otp,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
-      attempts: 0
-    };
+    const otp = user.generateOTP();
     await user.save();
 
+    await sendOTP(user, otp);
+
     const response = {
       success: true,
       message: 'OTP sent successfully',
@@ -139,7 +215,7 @@ exports.login = async (req, res, next) => {
     };
 
     // Add OTP in development mode
-    if (process.env.NODE_ENV === 'development') {
+    if (shouldExposeOTP()) {
       response.otp = otp; // Only for development/testing
     }
 
@@ -180,30 +256,22 @@ exports.verifyOTP = async (req, res, next) => {
       });
     }
 
-    // Verify OTP
-    const otpResult = user.verifyOTP(otp);
+    // Verify OTP (attempts, lockout and the cleared code are stored by verifyOTP)
+    const otpResult = await user.verifyOTP(otp);
     
     if (!otpResult.valid) {
-      await user.save(); // Save the attempt count
-      return res.status(400).json({
+      const translations = OTP_ERROR_MESSAGES[otpResult.message] || {};
+      return res.status(otpResult.message === 'Too many failed attempts' ? 429 : 400).json({
         success: false,
         message: otpResult.message,
-        hindi_message: otpResult.message === 'Invalid OTP' ? 'अमान्य ओटीपी' : 
-                     otpResult.message === 'OTP expired' ? 'ओटीपी समाप्त हो गया' :
-                     otpResult.message === 'Maximum attempts exceeded' ? 'अधिकतम प्रयास पार कर गए' :
-                     otpResult.message,
-        kannada_message: otpResult.message === 'Invalid OTP' ? 'ಅಮಾನ್ಯ OTP' : 
-                        otpResult.message === 'OTP expired' ? 'OTP ಅವಧಿ ಮೀರಿದೆ' :
-                        otpResult.message === 'Maximum attempts exceeded' ? 'ಗರಿಷ್ಠ ಪ್ರಯತ್ನಗಳು ಮೀರಿವೆ' :
-                        otpResult.message
+        hindi_message: translations.hindi || otpResult.message,
+        kannada_message: translations.kannada || otpResult.message
       });
     }
 
-    // Save user (OTP is cleared in verifyOTP method)
-    await user.save();
-
-    // Generate JWT token
-    const token = user.generateAuthToken();
+    // Start a device session and issue its tokens
+    const { session, refreshToken } = await Session.start(user._id, sessionDevice(req));
+    const token = user.generateAuthToken(session._id);
 
     // Update last active
     await user.updateLastActive();
@@ -214,6 +282,8 @@ exports.verifyOTP = async (req, res, next) => {
       hindi_message: 'फोन नंबर सफलतापूर्वक सत्यापित हो गया',
       kannada_message: 'ಫೋನ್ ಸಂಖ್ಯೆ ಯಶಸ್ವಿಯಾಗಿ ಪರಿಶೀಲಿಸಲಾಗಿದೆ',
       token,
+      refreshToken,
+      sessionId: session._id,
       user: {
         id: user._id,
         phone: user.phone,
@@ -265,27 +335,18 @@ exports.resendOTP = async (req, res, next) => {
       });
     }
 
-    // Check if too many resend attempts
-    if (user.otp && user.otp.attempts >= 5) {
-      return res.status(429).json({
-        success: false,
-        message: 'Too many OTP requests. Please try again later.',
-        hindi_message: 'बहुत अधिक ओटीपी अनुरोध। कृपया बाद में पुनः प्रयास करें।',
-        kannada_message: 'ತುಂಬಾ OTP ವಿನಂತಿಗಳು. ದಯವಿಟ್ಟು ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
-      });
+    // Enforce cooldown, daily cap and lockout
+    const throttle = user.canSendOTP();
+    if (!throttle.allowed) {
+      return otpThrottledResponse(res, throttle);
     }
 
     // Generate new OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    user.otp = {
-      code: otp,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
-      attempts: user.otp ? user.otp.attempts + 1 : 1
-    };
-    
+    const otp = user.generateOTP();
     await user.save();
 
+    await sendOTP(user, otp);
+
     const response = {
       success: true,
       message: 'OTP resent successfully',
@@ -295,7 +356,7 @@ exports.resendOTP = async (req, res, next) => {
     };
 
     // Add OTP in development mode
-    if (process.env.NODE_ENV === 'development') {
+    if (shouldExposeOTP()) {
       response.otp = otp; // Only for development/testing
     }
 
@@ -314,7 +375,7 @@ exports.getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id)
       .populate('neighborhood', 'name location.address.city')
-      .select('-otp');
+      .select('-otp -otpThrottle');
 
     if (!user) {
       return res.status(404).json({
@@ -408,11 +469,161 @@ exports.updateProfile = async (req, res, next) => {
   }
 };
 
-// @desc    Logout user (client-side token removal)
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        hindi_message: 'सत्यापन विफल रहा',
+        kannada_message: 'ಪರಿಶೀಲನೆ ವಿಫಲವಾಗಿದೆ',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Session.rotate(req.body.refreshToken);
+
+    if (result.error === 'reuse_detected') {
+      console.warn('Refresh token reuse detected; session revoked');
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please log in again.',
+        hindi_message: 'अमान्य या समाप्त रिफ्रेश टोकन। कृपया फिर से लॉग इन करें।',
+        kannada_message: 'ಅಮಾನ್ಯ ಅಥವಾ ಅವಧಿ ಮೀರಿದ ರಿಫ್ರೆಶ್ ಟೋಕನ್. ದಯವಿಟ್ಟು ಮತ್ತೆ ಲಾಗಿನ್ ಮಾಡಿ.'
+      });
+    }
+
+    const { session, refreshToken } = result;
+    const user = await User.findById(session.user);
+
+    if (!user || user.status !== 'active') {
+      await session.revoke('revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is suspended or deleted',
+        hindi_message: 'खाता निलंबित या हटा दिया गया है',
+        kannada_message: 'ಖಾತೆಯನ್ನು ಸ್ಥಗಿತಗೊಳಿಸಲಾಗಿದೆ ಅಥವಾ ಅಳಿಸಲಾಗಿದೆ'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      hindi_message: 'टोकन सफलतापूर्वक रिफ्रेश हो गया',
+      kannada_message: 'ಟೋಕನ್ ಯಶಸ್ವಿಯಾಗಿ ರಿಫ್ರೆಶ್ ಆಗಿದೆ',
+      token: user.generateAuthToken(session._id),
+      refreshToken,
+      sessionId: session._id
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    next(error);
+  }
+};
+
+// @desc    List active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      message: 'Sessions retrieved successfully',
+      hindi_message: 'सत्र सफलतापूर्वक प्राप्त किए गए',
+      kannada_message: 'ಸೆಷನ್‌ಗಳನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಪಡೆಯಲಾಗಿದೆ',
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.equals(req.authSession._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+// @desc    Log out a single device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+        hindi_message: 'सत्र नहीं मिला',
+        kannada_message: 'ಸೆಷನ್ ಕಂಡುಬಂದಿಲ್ಲ'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      success: true,
+      message: 'Session logged out successfully',
+      hindi_message: 'सत्र सफलतापूर्वक लॉग आउट हो गया',
+      kannada_message: 'ಸೆಷನ್ ಯಶಸ್ವಿಯಾಗಿ ಲಾಗ್ ಔಟ್ ಆಗಿದೆ'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(error);
+  }
+};
+
+// @desc    Log out all other devices
+// @route   POST /api/auth/sessions/revoke-others
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout_others', req.authSession._id);
+
+    res.json({
+      success: true,
+      revoked: result.modifiedCount,
+      message: 'Logged out from all other devices',
+      hindi_message: 'अन्य सभी डिवाइस से लॉग आउट हो गया',
+      kannada_message: 'ಇತರ ಎಲ್ಲಾ ಸಾಧನಗಳಿಂದ ಲಾಗ್ ಔಟ್ ಆಗಿದೆ'
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    next(error);
+  }
+};
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
+    await req.authSession.revoke('logout');
+
     // Update last active
     await User.findByIdAndUpdate(req.user.id, {
       lastActiveAt: new Date()
@@ -431,7 +642,7 @@ exports.logout = async (req, res, next) => {
   }
 };
 
-// @desc    Verify neighborhood address
+// @desc    Claim neighborhood address (verified through /api/verification)
 // @route   POST /api/auth/verify-address
 // @access  Private
 exports.verifyAddress = async (req, res, next) => {
@@ -449,68 +660,46 @@ exports.verifyAddress = async (req, res, next) => {
 
     const { pincode, fullAddress, city, state, coordinates } = req.body;
 
-    // Ensure coordinates have proper values
-    const safeCoordinates = coordinates || { 
-      latitude: 0, 
-      longitude: 0 
-    };
-
-    // Find or create neighborhood
-    let neighborhood = await Neighborhood.findOne({
-      'location.address.pincode': pincode
+    // Saves the claimed address; the user still has to complete a verification method
+    const { user, matchedBy, error } = await claimAddress(req.user.id, {
+      pincode,
+      fullAddress,
+      city,
+      state,
+      coordinates
     });
 
-    if (!neighborhood) {
-      // Create new neighborhood with safe coordinates
-      neighborhood = await Neighborhood.create({
-        name: `${city} - ${pincode}`,
-        location: {
-          address: {
-            full: fullAddress,
-            pincode,
-            city,
-            state,
-            country: 'India'
-          },
-          coordinates: {
-            latitude: safeCoordinates.latitude || 0,
-            longitude: safeCoordinates.longitude || 0
-          }
-        }
+    if (error) {
+      const messages = ADDRESS_ERROR_MESSAGES[error];
+      return res.status(422).json({
+        success: false,
+        message: messages.message,
+        hindi_message: messages.hindi,
+        kannada_message: messages.kannada,
+        reason: error
       });
     }
 
-    // Update user address
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      {
-        address: {
-          fullAddress,
-          pincode,
-          city,
-          state,
-          country: 'India',
-          coordinates: safeCoordinates,
-          geohash: neighborhood.location.geohash
-        },
-        neighborhood: neighborhood._id,
-        isAddressVerified: true
-      },
-      { new: true }
-    ).populate('neighborhood', 'name location.address.city');
-
-    // Update neighborhood stats
-    await neighborhood.updateStats();
+    await user.populate('neighborhood', 'name location.address.city');
 
     res.json({
       success: true,
-      message: 'Address verified successfully',
-      hindi_message: 'पता सफलतापूर्वक सत्यापित हो गया',
-      kannada_message: 'ವಿಳಾಸವನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಪರಿಶೀಲಿಸಲಾಗಿದೆ',
+      message: user.isAddressVerified
+        ? 'Address already verified'
+        : 'Address saved. Please complete verification to join your neighborhood',
+      hindi_message: user.isAddressVerified
+        ? 'पता पहले से सत्यापित है'
+        : 'पता सहेजा गया। अपने मोहल्ले से जुड़ने के लिए कृपया सत्यापन पूरा करें',
+      kannada_message: user.isAddressVerified
+        ? 'ವಿಳಾಸವನ್ನು ಈಗಾಗಲೇ ಪರಿಶೀಲಿಸಲಾಗಿದೆ'
+        : 'ವಿಳಾಸವನ್ನು ಉಳಿಸಲಾಗಿದೆ. ನಿಮ್ಮ ನೆರೆಹೊರೆಗೆ ಸೇರಲು ದಯವಿಟ್ಟು ಪರಿಶೀಲನೆಯನ್ನು ಪೂರ್ಣಗೊಳಿಸಿ',
+      matchedBy,
+      verificationMethods: user.isAddressVerified ? [] : VERIFICATION_METHODS,
       user: {
         id: user._id,
         address: user.address,
         isAddressVerified: user.isAddressVerified,
+        addressVerification: user.addressVerification,
         neighborhood: user.neighborhood,
         verificationLevel: user.verificationLevel
       }
@@ -0,0 +1,261 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/ical');
+const { dateKey, findOccurrence } = require('../utils/recurrence');
+
+// Feeds cover recent past events too, so calendars keep what the user attended
+const FEED_LOOKBACK_DAYS = 30;
+const FEED_MAX_EVENTS = 500;
+
+// Statuses that should show up in a user's own calendar
+const RSVP_FEED_STATUSES = ['going', 'interested', 'waitlisted'];
+
+const FEED_FIELDS = [
+  'content.text', 'type', 'status', 'author', 'neighborhood', 'location',
+  'eventDetails.title', 'eventDetails.date', 'eventDetails.time', 'eventDetails.venue',
+  'eventDetails.isOnline', 'eventDetails.meetingUrl', 'eventDetails.status',
+  'eventDetails.cancellationReason', 'eventDetails.recurrence', 'eventDetails.cancelledOccurrences',
+  'createdAt', 'updatedAt'
+];
+
+// Sorts after every real date, so open-ended series rank as still running
+const OPEN_ENDED = new Date('9999-12-31T00:00:00Z');
+
+const publicBaseUrl = (req) =>
+  (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+const feedUrls = (req, token) => {
+  const base = `${publicBaseUrl(req)}/api/calendar/${token}`;
+  return {
+    myEvents: `${base}/my-events.ics`,
+    neighborhood: `${base}/neighborhood.ics`
+  };
+};
+
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${filename ? 'attachment' : 'inline'}; filename="${filename || 'mohallahub.ics'}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+const feedStart = () => new Date(Date.now() - FEED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+// Events for a feed, capped at FEED_MAX_EVENTS. They are ranked by the last day they happen
+// on (a series by its last occurrence, open-ended ones first) so that on a busy neighborhood
+// the events that are over drop out, not a long-running series that started long ago.
+// With `attendee`, each event also carries that user's RSVPs as `rsvps`.
+const feedEvents = async (query, { attendee } = {}) => {
+  const projection = Object.fromEntries(FEED_FIELDS.map(field => [field, 1]));
+  if (attendee) {
+    projection.rsvps = {
+      $filter: {
+        input: '$eventDetails.attendees',
+        cond: {
+          $and: [
+            { $eq: ['$$this.user', attendee] },
+            { $in: ['$$this.status', RSVP_FEED_STATUSES] }
+          ]
+        }
+      }
+    };
+  }
+
+  const events = await Post.aggregate([
+    { $match: { ...query, type: 'event', status: 'active', ...Post.eventsFrom(feedStart()) } },
+    {
+      $addFields: {
+        lastHappens: {
+          $cond: [
+            { $ifNull: ['$eventDetails.recurrence.rule', false] },
+            { $ifNull: ['$eventDetails.recurrence.endsAt', OPEN_ENDED] },
+            '$eventDetails.date'
+          ]
+        }
+      }
+    },
+    { $sort: { lastHappens: -1, _id: -1 } },
+    { $limit: FEED_MAX_EVENTS },
+    { $project: projection }
+  ]);
+
+  return Post.populate(events, { path: 'author', select: 'name' });
+};
+
+// A recurring event in "my events" only shows the occurrences the user RSVP'd to
+// (and that still exist), not the whole series
+const withRsvpOccurrences = (post) => {
+  const { rsvps = [], ...event } = post;
+  const series = event.eventDetails.recurrence;
+  if (!series || !series.rule) return event;
+
+  const from = feedStart();
+  const occurrences = rsvps
+    .map(rsvp => rsvp.occurrence &&
+      findOccurrence(event.eventDetails.date, series.rule, dateKey(rsvp.occurrence), series.exdates || []))
+    .filter(occurrence => occurrence && occurrence >= from);
+
+  return occurrences.length > 0 ? { ...event, occurrences } : null;
+};
+
+// @desc    Download a single event as .ics
+// @route   GET /api/posts/:id/event.ics
+// @access  Private
+exports.downloadEvent = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .populate('author', 'name')
+      .lean();
+
+    if (!post || post.type !== 'event' || post.status !== 'active' || !post.eventDetails || !post.eventDetails.date) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found',
+        hindi_message: 'कार्यक्रम नहीं मिला'
+      });
+    }
+
+    if (post.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only access events from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले के कार्यक्रम देख सकते हैं'
+      });
+    }
+
+    const calendar = buildCalendar({
+      name: post.eventDetails.title,
+      events: [post],
+      baseUrl: publicBaseUrl(req)
+    });
+
+    sendCalendar(res, calendar, `event-${post._id}.ics`);
+
+  } catch (error) {
+    console.error('Download event calendar error:', error);
+    next(error);
+  }
+};
+
+// @desc    Whether the user has a calendar feed
+// @route   GET /api/calendar/token
+// @access  Private
+exports.getFeedStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken.hash calendarToken.createdAt');
+    const enabled = Boolean(user.calendarToken && user.calendarToken.hash);
+
+    res.json({
+      success: true,
+      message: enabled ? 'Calendar feed is enabled' : 'Calendar feed is not enabled',
+      hindi_message: enabled ? 'कैलेंडर फ़ीड चालू है' : 'कैलेंडर फ़ीड चालू नहीं है',
+      enabled,
+      createdAt: enabled ? user.calendarToken.createdAt : null
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    next(error);
+  }
+};
+
+// @desc    Create (or rotate) the user's calendar feed URLs
+// @route   POST /api/calendar/token
+// @access  Private
+exports.createFeedToken = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const token = user.generateCalendarToken();
+    await user.save();
+
+    // The token is only shown once; rotating revokes the old URLs
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Add these links to your calendar app.',
+      hindi_message: 'कैलेंडर फ़ीड बनाई गई। इन लिंक को अपने कैलेंडर ऐप में जोड़ें।',
+      feeds: feedUrls(req, token)
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    next(error);
+  }
+};
+
+// @desc    Revoke the user's calendar feed URLs
+// @route   DELETE /api/calendar/token
+// @access  Private
+exports.revokeFeedToken = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed links revoked',
+      hindi_message: 'कैलेंडर फ़ीड लिंक रद्द किए गए'
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    next(error);
+  }
+};
+
+// @desc    Subscribable feed of events the user RSVP'd to
+// @route   GET /api/calendar/:token/my-events.ics
+// @access  Public (feed token)
+exports.myEventsFeed = async (req, res, next) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token);
+    if (!user) {
+      return res.status(404).send('Calendar feed not found');
+    }
+
+    const events = (await feedEvents({
+      'eventDetails.attendees': {
+        $elemMatch: { user: user._id, status: { $in: RSVP_FEED_STATUSES } }
+      }
+    }, { attendee: user._id }))
+      .map(withRsvpOccurrences)
+      .filter(Boolean);
+
+    sendCalendar(res, buildCalendar({
+      name: 'My MohallaHub events',
+      events,
+      baseUrl: publicBaseUrl(req)
+    }));
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    next(error);
+  }
+};
+
+// @desc    Subscribable feed of every event in the user's neighborhood
+// @route   GET /api/calendar/:token/neighborhood.ics
+// @access  Public (feed token)
+exports.neighborhoodFeed = async (req, res, next) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token);
+    if (!user) {
+      return res.status(404).send('Calendar feed not found');
+    }
+
+    // Same rule as requireAddressVerification; an empty calendar keeps subscriptions alive
+    const events = user.isAddressVerified && user.neighborhood
+      ? await feedEvents({ neighborhood: user.neighborhood })
+      : [];
+
+    sendCalendar(res, buildCalendar({
+      name: 'MohallaHub neighborhood events',
+      events,
+      baseUrl: publicBaseUrl(req)
+    }));
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    next(error);
+  }
+};
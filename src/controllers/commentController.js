@@ -0,0 +1,553 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { notifyInBackground } = require('../services/notificationService');
+const realtime = require('../services/realtime');
+const { CONTENT_ERROR_MESSAGES, checkCommentContent } = require('../utils/contentFilter');
+const cursor = require('../utils/cursor');
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return null;
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    hindi_message: 'सत्यापन विफल रहा',
+    errors: errors.array()
+  });
+};
+
+const contentRejected = (res, reason) => {
+  const { message, hindi } = CONTENT_ERROR_MESSAGES[reason];
+  return res.status(400).json({
+    success: false,
+    message,
+    hindi_message: hindi,
+    reason
+  });
+};
+
+const inViewerNeighborhood = (req, doc) => Boolean(req.user.neighborhood) &&
+  doc.neighborhood.toString() === req.user.neighborhood._id.toString();
+
+const postNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Post not found',
+  hindi_message: 'पोस्ट नहीं मिली'
+});
+
+const commentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Comment not found',
+  hindi_message: 'टिप्पणी नहीं मिली'
+});
+
+const invalidCursor = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid cursor',
+  hindi_message: 'अमान्य कर्सर'
+});
+
+const wrongNeighborhood = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only interact with posts from your neighborhood',
+  hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट से इंटरैक्ट कर सकते हैं'
+});
+
+// @desc    Comments on a post, paginated (top-level only; replies via /api/comments/:id/replies)
+// @route   GET /api/posts/:id/comments
+// @access  Private
+exports.getComments = async (req, res, next) => {
+  try {
+    const paging = cursor.fromQuery(req.query);
+    if (!paging) return invalidCursor(res);
+
+    const sort = req.query.sort === 'newest' ? 'newest' : 'oldest';
+
+    const post = await Post.findById(req.params.id).select('neighborhood status commentCount');
+
+    if (!post || post.status === 'deleted') return postNotFound(res);
+    if (!inViewerNeighborhood(req, post)) return wrongNeighborhood(res);
+
+    const { items: comments, pagination } = await Comment.findForPost(post._id, paging, { sort });
+
+    res.json({
+      success: true,
+      count: comments.length,
+      ...pagination,
+      commentCount: post.commentCount,
+      message: 'Comments retrieved successfully',
+      hindi_message: 'टिप्पणियां सफलतापूर्वक प्राप्त की गईं',
+      comments
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    next(error);
+  }
+};
+
+// @desc    Replies to a comment, oldest first
+// @route   GET /api/comments/:id/replies
+// @access  Private
+exports.getReplies = async (req, res, next) => {
+  try {
+    const paging = cursor.fromQuery(req.query);
+    if (!paging) return invalidCursor(res);
+
+    const comment = await Comment.findById(req.params.id).select('neighborhood status parent');
+
+    if (!comment || comment.status === 'deleted') return commentNotFound(res);
+    if (!inViewerNeighborhood(req, comment)) return wrongNeighborhood(res);
+
+    const { items: replies, pagination } = await Comment.findReplies(comment._id, paging);
+
+    res.json({
+      success: true,
+      count: replies.length,
+      ...pagination,
+      message: 'Replies retrieved successfully',
+      hindi_message: 'उत्तर सफलतापूर्वक प्राप्त किए गए',
+      replies
+    });
+
+  } catch (error) {
+    console.error('Get replies error:', error);
+    next(error);
+  }
+};
+
+// @desc    Add comment to post
+// @route   POST /api/posts/:id/comment
+// @access  Private
+exports.addComment = async (req, res, next) => {
+  try {
+    const invalid = validationFailed(req, res);
+    if (invalid) return invalid;
+
+    const post = await Post.findById(req.params.id).select('author neighborhood status');
+
+    if (!post || post.status !== 'active') return postNotFound(res);
+
+    if (!inViewerNeighborhood(req, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only comment on posts from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट पर टिप्पणी कर सकते हैं'
+      });
+    }
+
+    const check = checkCommentContent(req.body.content);
+    if (!check.ok) return contentRejected(res, check.reason);
+
+    const comment = await Comment.create({
+      post: post._id,
+      neighborhood: post.neighborhood,
+      author: req.user.id,
+      content: check.text
+    });
+
+    const { commentCount } = await Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { commentCount: 1 } },
+      { new: true }
+    ).select('commentCount');
+
+    await comment.populate('author', 'name avatar verificationLevel');
+
+    notifyInBackground('post_comment', {
+      recipient: post.author,
+      actor: req.user.id,
+      data: { post: post._id, comment: comment._id },
+      vars: { actorName: req.user.name }
+    });
+
+    realtime.publishInBackground(post.neighborhood, 'comment:new', {
+      postId: post._id,
+      comment,
+      commentCount
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      hindi_message: 'टिप्पणी सफलतापूर्वक जोड़ी गई',
+      comment,
+      commentCount
+    });
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    next(error);
+  }
+};
+
+// @desc    Add reply to comment. Replying to a reply stays in the same thread.
+// @route   POST /api/posts/:postId/comments/:commentId/reply
+// @access  Private
+exports.addReply = async (req, res, next) => {
+  try {
+    const invalid = validationFailed(req, res);
+    if (invalid) return invalid;
+
+    const target = await Comment.findOne({ _id: req.params.commentId, post: req.params.postId });
+
+    if (!target || target.status !== 'active') return commentNotFound(res);
+
+    if (!inViewerNeighborhood(req, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only reply to posts from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट का उत्तर दे सकते हैं'
+      });
+    }
+
+    const post = await Post.findById(target.post).select('status');
+    if (!post || post.status !== 'active') return postNotFound(res);
+
+    const check = checkCommentContent(req.body.content);
+    if (!check.ok) return contentRejected(res, check.reason);
+
+    const parentId = target.parent || target._id;
+
+    const reply = await Comment.create({
+      post: target.post,
+      neighborhood: target.neighborhood,
+      author: req.user.id,
+      parent: parentId,
+      replyTo: target.parent ? target.author : undefined,
+      content: check.text
+    });
+
+    await Promise.all([
+      Comment.updateOne({ _id: parentId }, { $inc: { replyCount: 1 } }),
+      Post.updateOne({ _id: target.post }, { $inc: { commentCount: 1 } })
+    ]);
+
+    await reply.populate([
+      { path: 'author', select: 'name avatar verificationLevel' },
+      { path: 'replyTo', select: 'name' }
+    ]);
+
+    notifyInBackground('comment_reply', {
+      recipient: target.author,
+      actor: req.user.id,
+      data: { post: target.post, comment: parentId },
+      vars: { actorName: req.user.name }
+    });
+
+    realtime.publishInBackground(target.neighborhood, 'comment:new', {
+      postId: target.post,
+      parentCommentId: parentId,
+      comment: reply
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply added successfully',
+      hindi_message: 'उत्तर सफलतापूर्वक जोड़ा गया',
+      reply
+    });
+
+  } catch (error) {
+    console.error('Add reply error:', error);
+    next(error);
+  }
+};
+
+// @desc    Edit own comment (within the same window as posts)
+// @route   PUT /api/comments/:id
+// @access  Private
+exports.editComment = async (req, res, next) => {
+  try {
+    const invalid = validationFailed(req, res);
+    if (invalid) return invalid;
+
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment || ['deleted', 'hidden'].includes(comment.status)) return commentNotFound(res);
+
+    if (comment.author.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments',
+        hindi_message: 'आप केवल अपनी टिप्पणियां संपादित कर सकते हैं'
+      });
+    }
+
+    if (comment.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This comment is under review and cannot be edited',
+        hindi_message: 'यह टिप्पणी समीक्षा में है और संपादित नहीं की जा सकती'
+      });
+    }
+
+    if (Date.now() - comment.createdAt.getTime() > Post.EDIT_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(403).json({
+        success: false,
+        message: `Comments can only be edited within ${Post.EDIT_WINDOW_MINUTES} minutes of posting`,
+        hindi_message: `टिप्पणी केवल ${Post.EDIT_WINDOW_MINUTES} मिनट के भीतर ही संपादित की जा सकती है`
+      });
+    }
+
+    const check = checkCommentContent(req.body.content);
+    if (!check.ok) return contentRejected(res, check.reason);
+
+    comment.content = check.text;
+    comment.isEdited = true;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate('author', 'name avatar verificationLevel');
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      hindi_message: 'टिप्पणी सफलतापूर्वक अपडेट की गई',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    next(error);
+  }
+};
+
+// @desc    Delete own comment. Deleting a comment removes its replies.
+// @route   DELETE /api/comments/:id
+// @access  Private (author; moderators use /remove)
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment || ['deleted', 'hidden'].includes(comment.status)) return commentNotFound(res);
+
+    if (comment.author.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments',
+        hindi_message: 'आप केवल अपनी टिप्पणियां हटा सकते हैं'
+      });
+    }
+
+    const removed = await comment.markDeleted(req.user.id);
+    if (!removed) return commentNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      hindi_message: 'टिप्पणी सफलतापूर्वक हटा दी गई',
+      removed
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    next(error);
+  }
+};
+
+// @desc    Like or unlike a comment or reply
+// @route   PUT /api/comments/:id/like
+// @access  Private
+exports.toggleCommentLike = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id).select('post parent author neighborhood status');
+
+    if (!comment || comment.status !== 'active') return commentNotFound(res);
+    if (!inViewerNeighborhood(req, comment)) return wrongNeighborhood(res);
+
+    const result = await comment.toggleLike(req.user.id);
+    if (!result) return commentNotFound(res);
+
+    if (result.liked) {
+      notifyInBackground('comment_like', {
+        recipient: comment.author,
+        actor: req.user.id,
+        data: { post: comment.post, comment: comment._id },
+        vars: { actorName: req.user.name }
+      });
+    }
+
+    realtime.publishInBackground(comment.neighborhood, 'comment:likes', {
+      postId: comment.post,
+      commentId: comment._id,
+      parentCommentId: comment.parent,
+      likeCount: result.likeCount
+    });
+
+    res.json({
+      success: true,
+      message: result.liked ? 'Comment liked successfully' : 'Comment unliked successfully',
+      hindi_message: result.liked ? 'टिप्पणी लाइक कर दी गई' : 'टिप्पणी अनलाइक कर दी गई',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Toggle comment like error:', error);
+    next(error);
+  }
+};
+
+// @desc    Report a comment
+// @route   POST /api/comments/:id/report
+// @access  Private
+exports.reportComment = async (req, res, next) => {
+  try {
+    const invalid = validationFailed(req, res);
+    if (invalid) return invalid;
+
+    const { reason, description } = req.body;
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment || comment.status === 'deleted') return commentNotFound(res);
+
+    if (!inViewerNeighborhood(req, comment)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only report comments from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले की टिप्पणियों की रिपोर्ट कर सकते हैं'
+      });
+    }
+
+    if (comment.isReportedBy(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this comment',
+        hindi_message: 'आपने इस टिप्पणी की पहले ही रिपोर्ट कर दी है'
+      });
+    }
+
+    await comment.report(req.user.id, reason, description);
+
+    res.json({
+      success: true,
+      message: 'Comment reported successfully',
+      hindi_message: 'टिप्पणी की रिपोर्ट सफलतापूर्वक की गई'
+    });
+
+  } catch (error) {
+    console.error('Report comment error:', error);
+    next(error);
+  }
+};
+
+// Moderators act on their own neighborhood; admins anywhere
+const canModerate = (req, comment) => req.user.role === 'admin' ||
+  (req.user.role === 'moderator' && inViewerNeighborhood(req, comment));
+
+const notModerator = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only moderate comments in your neighborhood',
+  hindi_message: 'आप केवल अपने मोहल्ले की टिप्पणियों को मॉडरेट कर सकते हैं'
+});
+
+// @desc    Reported comments awaiting review
+// @route   GET /api/comments/reported
+// @access  Private (Moderators/Admins)
+exports.getReportedComments = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let neighborhoodId;
+
+    if (req.user.role === 'admin') {
+      if (req.query.neighborhood && !mongoose.isValidObjectId(req.query.neighborhood)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid neighborhood',
+          hindi_message: 'अमान्य मोहल्ला'
+        });
+      }
+      neighborhoodId = req.query.neighborhood;
+    } else {
+      if (!req.user.neighborhood) return notModerator(res);
+      neighborhoodId = req.user.neighborhood._id;
+    }
+
+    const [comments, total] = await Promise.all([
+      Comment.findReported(neighborhoodId, { page, limit }),
+      Comment.countReported(neighborhoodId)
+    ]);
+
+    res.json({
+      success: true,
+      count: comments.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      message: 'Reported comments retrieved successfully',
+      hindi_message: 'रिपोर्ट की गई टिप्पणियां सफलतापूर्वक प्राप्त की गईं',
+      comments
+    });
+
+  } catch (error) {
+    console.error('Get reported comments error:', error);
+    next(error);
+  }
+};
+
+// @desc    Remove a comment with a reason shown to its author
+// @route   PUT /api/comments/:id/remove
+// @access  Private (Moderators/Admins)
+exports.removeComment = async (req, res, next) => {
+  try {
+    const invalid = validationFailed(req, res);
+    if (invalid) return invalid;
+
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment || ['deleted', 'hidden'].includes(comment.status)) return commentNotFound(res);
+    if (!canModerate(req, comment)) return notModerator(res);
+
+    const reason = req.body.reason.trim();
+    const removed = await comment.removeByModerator(req.user.id, reason);
+    if (!removed) return commentNotFound(res);
+
+    notifyInBackground('comment_removed', {
+      recipient: comment.author,
+      actor: req.user.id,
+      data: { post: comment.post, comment: comment._id },
+      vars: { reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment removed',
+      hindi_message: 'टिप्पणी हटा दी गई',
+      removed
+    });
+
+  } catch (error) {
+    console.error('Remove comment error:', error);
+    next(error);
+  }
+};
+
+// @desc    Dismiss reports and show the comment again
+// @route   PUT /api/comments/:id/restore
+// @access  Private (Moderators/Admins)
+exports.restoreComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment || !['active', 'reported'].includes(comment.status)) return commentNotFound(res);
+    if (!canModerate(req, comment)) return notModerator(res);
+
+    await comment.restore();
+
+    res.json({
+      success: true,
+      message: 'Reports dismissed and comment restored',
+      hindi_message: 'रिपोर्ट खारिज की गईं और टिप्पणी बहाल की गई',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Restore comment error:', error);
+    next(error);
+  }
+};
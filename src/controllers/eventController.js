@@ -0,0 +1,410 @@
+const Post = require('../models/Post');
+const { validationResult } = require('express-validator');
+const { notifyInBackground } = require('../services/notificationService');
+const { DAY_MS, dateKey, startOfTodayIST } = require('../utils/recurrence');
+
+// Concurrent RSVPs race for the last spots; saves are version-checked and retried
+const MAX_RSVP_RETRIES = 3;
+
+// How far ahead recurring events are expanded in the upcoming list
+const UPCOMING_DAYS = 60;
+const MAX_UPCOMING_DAYS = 180;
+const MAX_UPCOMING_SERIES = 500;
+
+const formatEventWhen = ({ date, time }) => {
+  const day = new Date(date).toLocaleDateString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  });
+  return time ? `${day}, ${time}` : day;
+};
+
+// Title used in notifications; recurring events name the occurrence
+const occurrenceTitle = (post, occurrence) => occurrence
+  ? `${post.eventDetails.title} (${formatEventWhen({ date: occurrence, time: post.eventDetails.time })})`
+  : post.eventDetails.title;
+
+// Everyone who has not said they are not going, for one occurrence or the whole event
+const eventAudience = (post, occurrence) =>
+  (occurrence ? post.getAttendees(occurrence) : post.eventDetails.attendees)
+    .filter(attendee => attendee.status !== 'not_going')
+    .map(attendee => attendee.user);
+
+// Recurring events act on a single occurrence, chosen by day ('YYYY-MM-DD').
+// Returns the occurrence start, undefined for one-off events, or null if the day is not part of the series.
+const pickOccurrence = (post, value) => post.isRecurring ? post.findOccurrence(value) : undefined;
+
+const invalidOccurrence = (res) => res.status(400).json({
+  success: false,
+  message: 'Please choose a date on which this recurring event takes place',
+  hindi_message: 'कृपया वह तारीख चुनें जिस दिन यह दोहराया जाने वाला कार्यक्रम होता है'
+});
+
+const canManageEvent = (user, post) =>
+  post.author.toString() === user.id.toString() ||
+  user.role === 'admin' ||
+  (user.role === 'moderator' && post.neighborhood.toString() === user.neighborhood._id.toString());
+
+// Shared checks for event endpoints; returns an error response or null
+const rejectUnlessEvent = (req, res, post) => {
+  if (!post || post.type !== 'event' || post.status !== 'active') {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found',
+      hindi_message: 'कार्यक्रम नहीं मिला'
+    });
+  }
+
+  if (!req.user.neighborhood ||
+      post.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only interact with events from your neighborhood',
+      hindi_message: 'आप केवल अपने मोहल्ले के कार्यक्रमों से इंटरैक्ट कर सकते हैं'
+    });
+  }
+
+  return null;
+};
+
+// @desc    Upcoming events in the neighborhood, soonest first. Recurring events are
+//          expanded into their occurrences for the next `days` days.
+// @route   GET /api/posts/events/upcoming
+// @access  Private
+exports.getUpcomingEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const days = Math.min(parseInt(req.query.days) || UPCOMING_DAYS, MAX_UPCOMING_DAYS);
+    const includeCancelled = req.query.includeCancelled === 'true';
+
+    const from = startOfTodayIST();
+    const to = new Date(from.getTime() + days * DAY_MS);
+
+    const occurrences = await Post.findUpcomingOccurrences(req.user.neighborhood._id, {
+      from,
+      to,
+      includeCancelled,
+      maxSeries: MAX_UPCOMING_SERIES
+    });
+
+    const total = occurrences.length;
+    const serialized = new Map();
+
+    const events = occurrences.slice((page - 1) * limit, page * limit).map(({ post, occurrence }) => {
+      if (!serialized.has(post.id)) serialized.set(post.id, post.toJSON());
+
+      return {
+        ...serialized.get(post.id),
+        ...post.occurrenceSummary(occurrence, req.user.id)
+      };
+    });
+
+    res.json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      message: 'Upcoming events retrieved successfully',
+      hindi_message: 'आगामी कार्यक्रम सफलतापूर्वक प्राप्त किए गए',
+      events
+    });
+
+  } catch (error) {
+    console.error('Get upcoming events error:', error);
+    next(error);
+  }
+};
+
+// @desc    RSVP to an event
+// @route   PUT /api/posts/:id/rsvp
+// @access  Private
+exports.rsvp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        hindi_message: 'सत्यापन विफल रहा',
+        errors: errors.array()
+      });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const post = await Post.findById(req.params.id);
+
+      const rejected = rejectUnlessEvent(req, res, post);
+      if (rejected) return rejected;
+
+      const occurrence = pickOccurrence(post, req.body.occurrence);
+      if (occurrence === null) return invalidOccurrence(res);
+
+      if (post.isOccurrenceCancelled(occurrence)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This event has been cancelled',
+          hindi_message: 'यह कार्यक्रम रद्द कर दिया गया है'
+        });
+      }
+
+      const startsAt = occurrence || post.eventDetails.date;
+      if (startsAt && startsAt < startOfTodayIST()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This event has already taken place',
+          hindi_message: 'यह कार्यक्रम पहले ही हो चुका है'
+        });
+      }
+
+      const { status, promoted } = post.setRsvp(req.user.id, req.body.status, occurrence);
+
+      try {
+        post.increment();
+        await post.save();
+      } catch (error) {
+        if (error.name === 'VersionError' && attempt < MAX_RSVP_RETRIES) continue;
+        throw error;
+      }
+
+      if (promoted.length > 0) {
+        notifyInBackground('event_waitlist_promoted', {
+          recipients: promoted,
+          data: { post: post._id },
+          vars: { eventTitle: occurrenceTitle(post, occurrence) }
+        });
+      }
+
+      const messages = {
+        going: ['You are going!', 'आप शामिल हो रहे हैं!'],
+        waitlisted: ['The event is full. You are on the waitlist.', 'कार्यक्रम भरा हुआ है। आप प्रतीक्षा सूची में हैं।'],
+        interested: ['Marked as interested', 'रुचि के रूप में चिह्नित'],
+        not_going: ['Marked as not going', 'नहीं जा रहे के रूप में चिह्नित']
+      };
+
+      return res.json({
+        success: true,
+        message: messages[status][0],
+        hindi_message: messages[status][1],
+        rsvp: status,
+        occurrence: occurrence ? dateKey(occurrence) : null,
+        attendeeCount: post.countRsvps('going', occurrence),
+        waitlistCount: post.countRsvps('waitlisted', occurrence),
+        maxAttendees: post.eventDetails.maxAttendees
+      });
+    }
+
+  } catch (error) {
+    console.error('RSVP error:', error);
+    next(error);
+  }
+};
+
+// @desc    Attendees of an event grouped by RSVP. Recurring events take ?occurrence=YYYY-MM-DD
+//          and default to the next occurrence.
+// @route   GET /api/posts/:id/attendees
+// @access  Private
+exports.getAttendees = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .select('type status neighborhood author eventDetails')
+      .populate('eventDetails.attendees.user', 'name avatar verificationLevel');
+
+    const rejected = rejectUnlessEvent(req, res, post);
+    if (rejected) return rejected;
+
+    const occurrence = post.isRecurring && !req.query.occurrence
+      ? post.getOccurrences({ from: startOfTodayIST(), limit: 1 })[0] || null
+      : pickOccurrence(post, req.query.occurrence);
+    if (occurrence === null) return invalidOccurrence(res);
+
+    const attendees = post.getAttendees(occurrence);
+    const byStatus = (status) => attendees
+      .filter(attendee => attendee.status === status && attendee.user);
+
+    const waitlist = byStatus('waitlisted').sort((a, b) => a.waitlistedAt - b.waitlistedAt);
+    const myRsvp = attendees.find(attendee =>
+      attendee.user && attendee.user._id.toString() === req.user.id.toString()
+    );
+
+    res.json({
+      success: true,
+      message: 'Attendees retrieved successfully',
+      hindi_message: 'प्रतिभागी सफलतापूर्वक प्राप्त किए गए',
+      occurrence: occurrence ? dateKey(occurrence) : null,
+      maxAttendees: post.eventDetails.maxAttendees,
+      counts: {
+        going: byStatus('going').length,
+        interested: byStatus('interested').length,
+        waitlisted: waitlist.length,
+        not_going: byStatus('not_going').length
+      },
+      myRsvp: myRsvp ? myRsvp.status : null,
+      going: byStatus('going'),
+      interested: byStatus('interested'),
+      waitlist
+    });
+
+  } catch (error) {
+    console.error('Get attendees error:', error);
+    next(error);
+  }
+};
+
+// @desc    Cancel an event, or a single occurrence of a recurring event (body.occurrence)
+// @route   PUT /api/posts/:id/event/cancel
+// @access  Private (organizer, neighborhood moderators, admins)
+exports.cancelEvent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        hindi_message: 'सत्यापन विफल रहा',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    const rejected = rejectUnlessEvent(req, res, post);
+    if (rejected) return rejected;
+
+    if (!canManageEvent(req.user, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the organizer can cancel this event',
+        hindi_message: 'केवल आयोजक ही इस कार्यक्रम को रद्द कर सकता है'
+      });
+    }
+
+    const occurrence = req.body.occurrence ? pickOccurrence(post, req.body.occurrence) : undefined;
+    if (occurrence === null) return invalidOccurrence(res);
+
+    if (post.isOccurrenceCancelled(occurrence)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event is already cancelled',
+        hindi_message: 'यह कार्यक्रम पहले से रद्द है'
+      });
+    }
+
+    if (occurrence) {
+      post.cancelOccurrence(occurrence, req.body.reason);
+      await post.save();
+
+      notifyInBackground('event_cancelled', {
+        recipients: eventAudience(post, occurrence),
+        actor: req.user.id,
+        data: { post: post._id },
+        vars: { eventTitle: occurrenceTitle(post, occurrence) }
+      });
+
+      return res.json({
+        success: true,
+        message: 'This date has been cancelled and attendees notified',
+        hindi_message: 'यह तारीख रद्द की गई और प्रतिभागियों को सूचित किया गया',
+        occurrence: dateKey(occurrence),
+        eventDetails: post.eventDetails
+      });
+    }
+
+    post.eventDetails.status = 'cancelled';
+    post.eventDetails.cancelledAt = new Date();
+    post.eventDetails.cancellationReason = req.body.reason;
+    await post.save();
+
+    notifyInBackground('event_cancelled', {
+      recipients: eventAudience(post),
+      actor: req.user.id,
+      data: { post: post._id },
+      vars: { eventTitle: post.eventDetails.title }
+    });
+
+    res.json({
+      success: true,
+      message: 'Event cancelled and attendees notified',
+      hindi_message: 'कार्यक्रम रद्द किया गया और प्रतिभागियों को सूचित किया गया',
+      eventDetails: post.eventDetails
+    });
+
+  } catch (error) {
+    console.error('Cancel event error:', error);
+    next(error);
+  }
+};
+
+// @desc    Move an event to a new date/time/venue. For recurring events this moves the
+//          whole series, keeping per-occurrence RSVPs with their occurrence.
+// @route   PUT /api/posts/:id/event/reschedule
+// @access  Private (organizer, neighborhood moderators, admins)
+exports.rescheduleEvent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        hindi_message: 'सत्यापन विफल रहा',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    const rejected = rejectUnlessEvent(req, res, post);
+    if (rejected) return rejected;
+
+    if (!canManageEvent(req.user, post)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the organizer can reschedule this event',
+        hindi_message: 'केवल आयोजक ही इस कार्यक्रम का समय बदल सकता है'
+      });
+    }
+
+    if (post.isEventCancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancelled event cannot be rescheduled',
+        hindi_message: 'रद्द किए गए कार्यक्रम का समय नहीं बदला जा सकता'
+      });
+    }
+
+    const { date, time, venue } = req.body;
+
+    post.eventDetails.rescheduledFrom = post.eventDetails.date;
+    post.eventDetails.date = new Date(date);
+    if (post.isRecurring) {
+      post.remapOccurrences(post.eventDetails.rescheduledFrom);
+    }
+    if (time !== undefined) post.eventDetails.time = time;
+    if (venue !== undefined) post.eventDetails.venue = venue;
+    await post.save();
+
+    notifyInBackground('event_rescheduled', {
+      recipients: eventAudience(post),
+      actor: req.user.id,
+      data: { post: post._id },
+      vars: {
+        eventTitle: post.eventDetails.title,
+        when: formatEventWhen(post.eventDetails)
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Event rescheduled and attendees notified',
+      hindi_message: 'कार्यक्रम का समय बदला गया और प्रतिभागियों को सूचित किया गया',
+      eventDetails: post.eventDetails
+    });
+
+  } catch (error) {
+    console.error('Reschedule event error:', error);
+    next(error);
+  }
+};
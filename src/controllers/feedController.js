@@ -0,0 +1,47 @@
+const cursor = require('../utils/cursor');
+const { homeFeed } = require('../services/homeFeedService');
+
+// @desc    Home feed: active alerts and upcoming events pinned on the first page,
+//          then posts and new listings ranked for the user. Pass `cursor` from the
+//          previous response to load more.
+// @route   GET /api/feed/home
+// @access  Private
+exports.getHomeFeed = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    if (!req.user.neighborhood) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your address to view your feed',
+        hindi_message: 'अपनी फ़ीड देखने के लिए कृपया अपना पता सत्यापित करें'
+      });
+    }
+
+    const after = cursor.decode(req.query.cursor);
+    if (req.query.cursor && !after) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+        hindi_message: 'अमान्य कर्सर'
+      });
+    }
+
+    const feed = await homeFeed(req.user, { after, limit });
+
+    res.json({
+      success: true,
+      count: feed.items.length,
+      hasMore: feed.hasMore,
+      nextCursor: feed.nextCursor,
+      message: 'Feed retrieved successfully',
+      hindi_message: 'फ़ीड सफलतापूर्वक प्राप्त की गई',
+      ...(feed.pinned && { pinned: feed.pinned }),
+      items: feed.items
+    });
+
+  } catch (error) {
+    console.error('Get home feed error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,39 @@
+const local = require('../services/storage/providers/local');
+
+// @desc    Serve a file from local storage through a signed link (see services/storage).
+//          The signature is the access check, so no login is needed; links expire quickly.
+// @route   GET /api/files/:key(*)?expires=&signature=
+// @access  Public (signed)
+exports.getSignedFile = async (req, res, next) => {
+  try {
+    const key = req.params.key;
+    const { expires, signature } = req.query;
+
+    const file = local.filePath(key);
+
+    if (!file || !local.verify(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link is invalid or has expired',
+        hindi_message: 'यह लिंक अमान्य है या इसकी समय-सीमा समाप्त हो गई है'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(file, (error) => {
+      if (!error) return;
+      if (error.code === 'ENOENT' && !res.headersSent) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found',
+          hindi_message: 'फ़ाइल नहीं मिली'
+        });
+      }
+      next(error);
+    });
+
+  } catch (error) {
+    console.error('Get signed file error:', error);
+    next(error);
+  }
+};
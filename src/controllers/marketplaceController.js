@@ -1,5 +1,12 @@
 const Marketplace = require('../models/Marketplace');
 const { validationResult } = require('express-validator');
+const { notifyInBackground } = require('../services/notificationService');
+const realtime = require('../services/realtime');
+const { toPoint, nearbyRadius } = require('../utils/geo');
+const { parseWindow } = require('../utils/trending');
+const cursor = require('../utils/cursor');
+const { processImages, removeImagesInBackground } = require('../services/imageService');
+const { recalculateInBackground: recalculateTrust } = require('../services/trustService');
 
 // @desc    Create new marketplace listing
 // @route   POST /api/marketplace/create
@@ -26,19 +33,9 @@ const createListing = async (req, res, next) => {
       });
     }
 
-    // Handle file uploads
-    const images = [];
-    if (req.files && req.files.length > 0) {
-      req.files.forEach((file, index) => {
-        images.push({
-          url: `/uploads/marketplace/${file.filename}`,
-          filename: file.filename,
-          size: file.size,
-          mimeType: file.mimetype,
-          isPrimary: index === 0 // First image as primary
-        });
-      });
-    }
+    // Resized WebP variants with EXIF/GPS stripped; the first image is the primary one
+    const images = (await processImages(req.files, 'marketplace'))
+      .map((image, index) => ({ ...image, isPrimary: index === 0 }));
 
     // Parse price data
     const priceData = {
@@ -48,23 +45,29 @@ const createListing = async (req, res, next) => {
       originalPrice: price.originalPrice ? parseFloat(price.originalPrice) : undefined
     };
 
-    const listing = await Marketplace.create({
-      seller: req.user.id,
-      title: title.trim(),
-      description: description.trim(),
-      category,
-      condition,
-      price: priceData,
-      type: type || 'sell',
-      images,
-      neighborhood: req.user.neighborhood._id,
-      location: {
-        address: req.user.address?.fullAddress || '',
-        coordinates: req.user.address?.coordinates || {}
-      },
-      upiId,
-      tags: Array.isArray(tags) ? tags : (tags ? [tags] : [])
-    });
+    let listing;
+    try {
+      listing = await Marketplace.create({
+        seller: req.user.id,
+        title: title.trim(),
+        description: description.trim(),
+        category,
+        condition,
+        price: priceData,
+        type: type || 'sell',
+        images,
+        neighborhood: req.user.neighborhood._id,
+        location: {
+          address: req.user.address?.fullAddress || '',
+          coordinates: req.user.address?.coordinates || {}
+        },
+        upiId,
+        tags: Array.isArray(tags) ? tags : (tags ? [tags] : [])
+      });
+    } catch (error) {
+      removeImagesInBackground(images);
+      throw error;
+    }
 
     await listing.populate('seller', 'name avatar verificationLevel');
 
@@ -86,10 +89,17 @@ const createListing = async (req, res, next) => {
 // @access  Private
 const getListings = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const paging = cursor.fromQuery(req.query);
     const { category, type, condition, minPrice, maxPrice, search } = req.query;
 
+    if (!paging) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+        hindi_message: 'अमान्य कर्सर'
+      });
+    }
+
     if (!req.user.neighborhood) {
       return res.status(403).json({
         success: false,
@@ -106,18 +116,16 @@ const getListings = async (req, res, next) => {
     if (maxPrice) filters.maxPrice = parseFloat(maxPrice);
     if (search) filters.search = search;
 
-    const listings = await Marketplace.findByNeighborhood(
+    const { items: listings, pagination } = await Marketplace.findByNeighborhood(
       req.user.neighborhood._id,
       filters,
-      page,
-      limit
+      paging
     );
 
     res.json({
       success: true,
       count: listings.length,
-      page,
-      limit,
+      ...pagination,
       message: 'Listings retrieved successfully',
       hindi_message: 'लिस्टिंग सफलतापूर्वक प्राप्त की गई',
       listings
@@ -129,6 +137,57 @@ const getListings = async (req, res, next) => {
   }
 };
 
+// @desc    Get listings near a location
+// @route   GET /api/marketplace/nearby
+// @access  Private
+const getNearbyListings = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const { category, type } = req.query;
+
+    if (!req.user.neighborhood) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your address to view listings',
+        hindi_message: 'लिस्टिंग देखने के लिए कृपया अपना पता सत्यापित करें'
+      });
+    }
+
+    // Search from the given point, or from the user's verified address
+    const origin = toPoint({ latitude: req.query.latitude, longitude: req.query.longitude }) ||
+      toPoint(req.user.address && req.user.address.coordinates);
+
+    if (!origin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude are required',
+        hindi_message: 'अक्षांश और देशांश आवश्यक हैं'
+      });
+    }
+
+    const radius = nearbyRadius(req.query.radius);
+    const results = await Marketplace.findNearby(req.user.neighborhood._id, origin, {
+      radius,
+      category,
+      type,
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: results.length,
+      radius,
+      message: 'Nearby listings retrieved successfully',
+      hindi_message: 'नजदीकी लिस्टिंग सफलतापूर्वक प्राप्त की गई',
+      listings: results.map(({ listing, distance }) => ({ ...listing.toJSON(), distance }))
+    });
+
+  } catch (error) {
+    console.error('Get nearby listings error:', error);
+    next(error);
+  }
+};
+
 // @desc    Get single listing
 // @route   GET /api/marketplace/:id
 // @access  Private
@@ -269,6 +328,13 @@ const expressInterest = async (req, res, next) => {
 
     await listing.addInterest(req.user.id, message, contactInfo);
 
+    notifyInBackground('listing_interest', {
+      recipient: listing.seller,
+      actor: req.user.id,
+      data: { listing: listing._id },
+      vars: { actorName: req.user.name, listingTitle: listing.title }
+    });
+
     res.json({
       success: true,
       message: 'Interest expressed successfully',
@@ -287,28 +353,31 @@ const expressInterest = async (req, res, next) => {
 // @access  Private
 const getMyListings = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const paging = cursor.fromQuery(req.query, { limit: 10 });
     const { status, type } = req.query;
 
+    if (!paging) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+        hindi_message: 'अमान्य कर्सर'
+      });
+    }
+
     let query = { seller: req.user.id };
     if (status) query.status = status;
     if (type) query.type = type;
 
-    const listings = await Marketplace.find(query)
-      .populate('neighborhood', 'name location.address.city')
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit);
-
-    const totalListings = await Marketplace.countDocuments(query);
+    const { items: listings, pagination } = await cursor.paginate(
+      filter => Marketplace.find(filter).populate('neighborhood', 'name location.address.city'),
+      query,
+      paging
+    );
 
     res.json({
       success: true,
       count: listings.length,
-      total: totalListings,
-      page,
-      pages: Math.ceil(totalListings / limit),
+      ...pagination,
       message: 'Your listings retrieved successfully',
       hindi_message: 'आपकी लिस्टिंग सफलतापूर्वक प्राप्त की गई',
       listings
@@ -363,6 +432,16 @@ const updateListingStatus = async (req, res, next) => {
     
     await listing.save();
 
+    if (status === 'sold') {
+      recalculateTrust(listing.seller);
+    }
+
+    realtime.publishInBackground(listing.neighborhood, 'listing:status', {
+      listingId: listing._id,
+      availabilityStatus: listing.availabilityStatus,
+      isAvailable: listing.isAvailable
+    });
+
     res.json({
       success: true,
       message: 'Listing status updated successfully',
@@ -399,10 +478,11 @@ const deleteListing = async (req, res, next) => {
       });
     }
 
-    // Soft delete
+    // Soft delete; the images are no longer reachable, so drop the files
     listing.status = 'deleted';
     listing.isAvailable = false;
     await listing.save();
+    removeImagesInBackground(listing.images);
 
     res.json({
       success: true,
@@ -416,12 +496,14 @@ const deleteListing = async (req, res, next) => {
   }
 };
 
-// @desc    Get trending listings
+// @desc    Get trending listings (time-decayed engagement score)
 // @route   GET /api/marketplace/trending
 // @access  Private
 const getTrendingListings = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const window = req.query.window || Marketplace.TRENDING_WINDOW;
+    const { category, type } = req.query;
 
     if (!req.user.neighborhood) {
       return res.status(403).json({
@@ -431,14 +513,35 @@ const getTrendingListings = async (req, res, next) => {
       });
     }
 
-    const listings = await Marketplace.findTrending(req.user.neighborhood._id, limit);
+    if (!parseWindow(window)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid trending window. Use hours, days or weeks, e.g. 12h, 3d or 1w (up to 30 days)',
+        hindi_message: 'अमान्य ट्रेंडिंग अवधि। घंटे, दिन या सप्ताह का उपयोग करें, जैसे 12h, 3d या 1w (अधिकतम 30 दिन)'
+      });
+    }
+
+    const invalidFilter = [['category', category], ['type', type]].find(([field, value]) =>
+      value !== undefined && value !== 'all' && !Marketplace.schema.path(field).enumValues.includes(value)
+    );
+
+    if (invalidFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidFilter[0]}. Use all or one of: ${Marketplace.schema.path(invalidFilter[0]).enumValues.join(', ')}`,
+        hindi_message: 'अमान्य फ़िल्टर'
+      });
+    }
+
+    const results = await Marketplace.findTrending(req.user.neighborhood._id, { limit, window, category, type });
 
     res.json({
       success: true,
-      count: listings.length,
+      count: results.length,
+      window,
       message: 'Trending listings retrieved successfully',
       hindi_message: 'ट्रेंडिंग लिस्टिंग सफलतापूर्वक प्राप्त की गई',
-      listings
+      listings: results.map(({ listing, score }) => ({ ...listing.toJSON(), trendingScore: score }))
     });
 
   } catch (error) {
@@ -452,10 +555,17 @@ const getTrendingListings = async (req, res, next) => {
 // @access  Private
 const getListingsByCategory = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const paging = cursor.fromQuery(req.query);
     const { type, condition, minPrice, maxPrice } = req.query;
 
+    if (!paging) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+        hindi_message: 'अमान्य कर्सर'
+      });
+    }
+
     if (!req.user.neighborhood) {
       return res.status(403).json({
         success: false,
@@ -470,18 +580,16 @@ const getListingsByCategory = async (req, res, next) => {
     if (minPrice) filters.minPrice = parseFloat(minPrice);
     if (maxPrice) filters.maxPrice = parseFloat(maxPrice);
 
-    const listings = await Marketplace.findByCategory(
+    const { items: listings, pagination } = await Marketplace.findByCategory(
       req.params.category,
       filters,
-      page,
-      limit
+      paging
     );
 
     res.json({
       success: true,
       count: listings.length,
-      page,
-      limit,
+      ...pagination,
       category: req.params.category,
       message: 'Category listings retrieved successfully',
       hindi_message: 'श्रेणी लिस्टिंग सफलतापूर्वक प्राप्त की गई',
@@ -497,6 +605,7 @@ const getListingsByCategory = async (req, res, next) => {
 module.exports = {
   createListing,
   getListings,
+  getNearbyListings,
   getListing,
   toggleLike,
   expressInterest,
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const cursor = require('../utils/cursor');
+
+// Older clients page with the bare id of the last notification they saw. Resolve it
+// to the equivalent cursor; if that notification is gone, fall back to its id's timestamp.
+const legacyCursor = async (userId, id) => {
+  const last = await Notification.findOne({ _id: id, recipient: userId }).select('createdAt');
+  const objectId = new mongoose.Types.ObjectId(id);
+
+  return { value: last ? last.createdAt : objectId.getTimestamp(), id: objectId };
+};
+
+// @desc    Get notifications for current user
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { unread } = req.query;
+    const legacy = mongoose.isObjectIdOrHexString(req.query.cursor);
+    const paging = legacy
+      ? { after: await legacyCursor(req.user.id, req.query.cursor), limit: Math.min(parseInt(req.query.limit) || 20, 50) }
+      : cursor.fromQuery(req.query);
+
+    if (!paging) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+        hindi_message: 'अमान्य कर्सर'
+      });
+    }
+
+    let query = { recipient: req.user.id };
+
+    if (unread === 'true') {
+      query.isRead = false;
+    }
+
+    const { items: notifications, pagination } = await cursor.paginate(
+      filter => Notification.find(filter).populate('actor', 'name avatar verificationLevel'),
+      query,
+      paging
+    );
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      ...pagination,
+      message: 'Notifications retrieved successfully',
+      hindi_message: 'सूचनाएं सफलतापूर्वक प्राप्त की गईं',
+      notifications
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    next(error);
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+        hindi_message: 'सूचना नहीं मिली'
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      hindi_message: 'सूचना को पढ़ा हुआ चिह्नित किया गया',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    next(error);
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllRead = async (req, res, next) => {
+  try {
+    const result = await Notification.markAllRead(req.user.id);
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+      message: 'All notifications marked as read',
+      hindi_message: 'सभी सूचनाओं को पढ़ा हुआ चिह्नित किया गया'
+    });
+
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    next(error);
+  }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+exports.deleteNotification = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+        hindi_message: 'सूचना नहीं मिली'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully',
+      hindi_message: 'सूचना सफलतापूर्वक हटा दी गई'
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    next(error);
+  }
+};
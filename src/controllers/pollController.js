@@ -0,0 +1,203 @@
+const Post = require('../models/Post');
+const { validationResult } = require('express-validator');
+const realtime = require('../services/realtime');
+
+// Shared checks for poll endpoints; returns an error response or null
+const rejectUnlessPoll = (req, res, post) => {
+  if (!post || post.type !== 'poll' || post.status !== 'active') {
+    return res.status(404).json({
+      success: false,
+      message: 'Poll not found',
+      hindi_message: 'मतदान नहीं मिला'
+    });
+  }
+
+  if (!req.user.neighborhood ||
+      post.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only vote in polls from your neighborhood',
+      hindi_message: 'आप केवल अपने मोहल्ले के मतदान में भाग ले सकते हैं'
+    });
+  }
+
+  return null;
+};
+
+const publishResults = (post) => {
+  realtime.publishInBackground(post.neighborhood, 'poll:votes', {
+    postId: post._id,
+    voterCount: post.pollDetails.voterCount,
+    isClosed: post.isPollClosed,
+    options: post.pollDetails.options.map(({ _id, voteCount }) => ({ _id, voteCount }))
+  });
+};
+
+// @desc    Vote in a poll
+// @route   POST /api/posts/:id/vote
+// @access  Private (verified residents)
+exports.vote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        hindi_message: 'सत्यापन विफल रहा',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    const rejected = rejectUnlessPoll(req, res, post);
+    if (rejected) return rejected;
+
+    if (post.isPollClosed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed',
+        hindi_message: 'यह मतदान बंद हो चुका है'
+      });
+    }
+
+    if (post.hasVotedInPoll(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already voted in this poll',
+        hindi_message: 'आप इस मतदान में पहले ही वोट कर चुके हैं'
+      });
+    }
+
+    const optionIds = [...new Set(req.body.optionIds.map(String))];
+
+    if (!post.pollDetails.allowMultiple && optionIds.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll allows only one choice',
+        hindi_message: 'इस मतदान में केवल एक विकल्प चुना जा सकता है'
+      });
+    }
+
+    const options = optionIds.map(id => post.pollDetails.options.id(id));
+    if (options.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid poll option',
+        hindi_message: 'अमान्य मतदान विकल्प'
+      });
+    }
+
+    const updated = await post.castVote(req.user.id, options.map(option => option._id));
+
+    // Lost a race with another vote from the same user, or the poll just closed
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your vote could not be recorded. You may have already voted or the poll has closed.',
+        hindi_message: 'आपका वोट दर्ज नहीं हो सका। हो सकता है आप पहले ही वोट कर चुके हों या मतदान बंद हो गया हो।'
+      });
+    }
+
+    publishResults(updated);
+
+    res.json({
+      success: true,
+      message: 'Vote recorded',
+      hindi_message: 'वोट दर्ज किया गया',
+      pollDetails: updated.pollResults(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    next(error);
+  }
+};
+
+// @desc    Who voted for each option (not available for anonymous polls)
+// @route   GET /api/posts/:id/poll/voters
+// @access  Private
+exports.getPollVoters = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .populate('pollDetails.options.voters', 'name avatar verificationLevel');
+
+    const rejected = rejectUnlessPoll(req, res, post);
+    if (rejected) return rejected;
+
+    if (post.pollDetails.isAnonymous) {
+      return res.status(403).json({
+        success: false,
+        message: 'Votes in this poll are anonymous',
+        hindi_message: 'इस मतदान में वोट गुमनाम हैं'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Poll voters retrieved successfully',
+      hindi_message: 'मतदाता सफलतापूर्वक प्राप्त किए गए',
+      options: post.pollDetails.options.map(option => ({
+        _id: option._id,
+        text: option.text,
+        voteCount: option.voteCount,
+        voters: option.voters
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get poll voters error:', error);
+    next(error);
+  }
+};
+
+// @desc    Close a poll before its closing time
+// @route   PUT /api/posts/:id/poll/close
+// @access  Private (poll author, neighborhood moderators, admins)
+exports.closePoll = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    const rejected = rejectUnlessPoll(req, res, post);
+    if (rejected) return rejected;
+
+    const canClose = post.author.toString() === req.user.id.toString() ||
+      ['moderator', 'admin'].includes(req.user.role);
+
+    if (!canClose) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the poll author can close this poll',
+        hindi_message: 'केवल मतदान बनाने वाला ही इसे बंद कर सकता है'
+      });
+    }
+
+    if (post.isPollClosed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is already closed',
+        hindi_message: 'यह मतदान पहले से बंद है'
+      });
+    }
+
+    // Atomic so it doesn't overwrite votes landing at the same moment
+    const updated = await Post.findByIdAndUpdate(
+      post._id,
+      { $set: { 'pollDetails.closedEarlyAt': new Date() } },
+      { new: true }
+    );
+
+    publishResults(updated);
+
+    res.json({
+      success: true,
+      message: 'Poll closed',
+      hindi_message: 'मतदान बंद किया गया',
+      pollDetails: updated.pollResults(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Close poll error:', error);
+    next(error);
+  }
+};
@@ -1,25 +1,45 @@
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const User = require('../models/User');
 const Neighborhood = require('../models/Neighborhood');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { notifyInBackground } = require('../services/notificationService');
+const realtime = require('../services/realtime');
+const { toPoint, nearbyRadius } = require('../utils/geo');
+const { isValidRule, parseDay, startOfDay } = require('../utils/recurrence');
+const { CONTENT_ERROR_MESSAGES, checkPostContent } = require('../utils/contentFilter');
+const { parseWindow } = require('../utils/trending');
+const { textQuery } = require('../utils/search');
+const cursor = require('../utils/cursor');
+const ErrorResponse = require('../utils/errorResponse');
+const { processImages, removeImagesInBackground } = require('../services/imageService');
+const { HELPFUL_POST_LIKES, recalculateInBackground: recalculateTrust } = require('../services/trustService');
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+
+// Comments shown inline; the full thread is paginated separately
+const FEED_COMMENT_PREVIEW = 2;
+const POST_COMMENT_PREVIEW = 3;
 
 // @desc    Create a new post
 // @route   POST /api/posts/create
 // @access  Private
 exports.createPost = async (req, res) => {
   try {
-    console.log('=== CREATE POST STARTED ===');
-    console.log('Request body:', req.body);
-    console.log('Uploaded files:', req.files);
-
     let contentText = req.body.content;
     let postTags = req.body.tags ? JSON.parse(req.body.tags) : [];
+    let postLocation = req.body.location ? JSON.parse(req.body.location) : null;
+    let postEvent = req.body.eventDetails ? JSON.parse(req.body.eventDetails) : null;
+    let postPoll = req.body.pollDetails ? JSON.parse(req.body.pollDetails) : null;
 
-    if (!contentText || !contentText.trim()) {
+    const contentCheck = checkPostContent(contentText, postTags);
+    if (!contentCheck.ok) {
+      const { message, hindi } = CONTENT_ERROR_MESSAGES[contentCheck.reason];
       return res.status(400).json({
-        message: 'Post content is required',
-        hindi_message: 'पोस्ट सामग्री आवश्यक है'
+        message,
+        hindi_message: hindi
       });
     }
 
@@ -40,39 +60,128 @@ exports.createPost = async (req, res) => {
 
     const postData = {
       content: {
-        text: contentText.trim(),
-        tags: Array.isArray(postTags) ? postTags : []
+        text: contentCheck.text,
+        tags: contentCheck.tags
       },
       type: req.body.type || 'general',
       neighborhood: req.body.neighborhood,
       author: req.user.id
     };
 
-    if (req.files && req.files.length > 0) {
-      postData.images = req.files.map(file => ({
-        filename: file.filename,
-        originalName: file.originalname,
-        path: file.path,
-        mimetype: file.mimetype
-      }));
+    // Optional pin: { address, latitude, longitude }
+    if (postLocation) {
+      postData.location = {
+        address: postLocation.address,
+        coordinates: {
+          latitude: parseFloat(postLocation.latitude),
+          longitude: parseFloat(postLocation.longitude)
+        }
+      };
+    }
+
+    // Events: { title, date, time, venue, maxAttendees }
+    if (postData.type === 'event') {
+      const eventDate = postEvent && new Date(postEvent.date);
+
+      if (!postEvent || !postEvent.title || !eventDate || isNaN(eventDate)) {
+        return res.status(400).json({
+          message: 'Events need a title and a valid date',
+          hindi_message: 'कार्यक्रम के लिए शीर्षक और मान्य तारीख आवश्यक है'
+        });
+      }
+
+      const maxAttendees = postEvent.maxAttendees ? parseInt(postEvent.maxAttendees) : undefined;
+      if (maxAttendees !== undefined && !(maxAttendees > 0)) {
+        return res.status(400).json({
+          message: 'Maximum attendees must be a positive number',
+          hindi_message: 'अधिकतम प्रतिभागी एक धनात्मक संख्या होनी चाहिए'
+        });
+      }
+
+      postData.eventDetails = {
+        title: postEvent.title,
+        date: eventDate,
+        time: postEvent.time,
+        venue: postEvent.venue,
+        maxAttendees
+      };
+
+      // Optional repeat: { rule: 'FREQ=WEEKLY;BYDAY=SU', exdates: ['2026-11-08'] }
+      if (postEvent.recurrence && postEvent.recurrence.rule) {
+        const exdates = (postEvent.recurrence.exdates || []).map(parseDay);
+
+        if (!isValidRule(postEvent.recurrence.rule) || exdates.includes(null)) {
+          return res.status(400).json({
+            message: 'Invalid repeat settings for this event',
+            hindi_message: 'इस कार्यक्रम की दोहराव सेटिंग अमान्य है'
+          });
+        }
+
+        postData.eventDetails.recurrence = {
+          rule: postEvent.recurrence.rule,
+          exdates: exdates.map(startOfDay)
+        };
+      }
     }
 
-    console.log('Post data to save:', postData);
+    // Polls: { options: ['Yes', 'No'], allowMultiple, isAnonymous, closesAt }
+    if (postData.type === 'poll') {
+      const options = postPoll && Array.isArray(postPoll.options)
+        ? postPoll.options.map(option => String(option).trim()).filter(Boolean)
+        : [];
+      const distinct = new Set(options.map(option => option.toLowerCase()));
+
+      if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS || distinct.size !== options.length) {
+        return res.status(400).json({
+          message: `Polls need ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} different options`,
+          hindi_message: `मतदान में ${MIN_POLL_OPTIONS} से ${MAX_POLL_OPTIONS} अलग-अलग विकल्प होने चाहिए`
+        });
+      }
+
+      const closesAt = postPoll.closesAt ? new Date(postPoll.closesAt) : undefined;
+      if (closesAt && (isNaN(closesAt) || closesAt <= new Date())) {
+        return res.status(400).json({
+          message: 'Poll closing time must be in the future',
+          hindi_message: 'मतदान बंद होने का समय भविष्य में होना चाहिए'
+        });
+      }
+
+      postData.pollDetails = {
+        options: options.map(text => ({ text })),
+        allowMultiple: Boolean(postPoll.allowMultiple),
+        isAnonymous: Boolean(postPoll.isAnonymous),
+        closesAt
+      };
+    }
+
+    // Resized WebP variants with EXIF/GPS stripped; originals are never stored
+    postData.content.images = await processImages(req.files, 'posts');
 
     const post = new Post(postData);
-    await post.save();
+    try {
+      await post.save();
+    } catch (error) {
+      removeImagesInBackground(postData.content.images);
+      throw error;
+    }
 
     await post.populate('author', 'name profilePicture');
 
-    console.log('=== POST CREATED SUCCESSFULLY ===');
+    realtime.publishInBackground(post.neighborhood, 'post:new', { post: post.toViewerJSON() });
 
     res.status(201).json({
       message: 'Post created successfully',
       hindi_message: 'पोस्ट सफलतापूर्वक बनाई गई',
-      post
+      post: post.toViewerJSON(req.user.id)
     });
   } catch (error) {
     console.error('Create post error:', error);
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        hindi_message: error.hindi_message
+      });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         message: 'Validation failed',
@@ -88,15 +197,23 @@ exports.createPost = async (req, res) => {
   }
 };
 
-// @desc    Get neighborhood feed
+// @desc    Get neighborhood feed. Pass `cursor` from the previous response for the
+//          next page; `page` still works for older clients.
 // @route   GET /api/posts/feed
 // @access  Private
 exports.getFeed = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const paging = cursor.fromQuery(req.query, { limit: 10 });
     const { type, search } = req.query;
 
+    if (!paging) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+        hindi_message: 'अमान्य कर्सर'
+      });
+    }
+
     // Check if user has neighborhood
     if (!req.user.neighborhood) {
       return res.status(403).json({
@@ -116,41 +233,31 @@ exports.getFeed = async (req, res, next) => {
       query.type = type;
     }
 
-    // Search functionality
-    if (search) {
-      query.$or = [
-        { 'content.text': { $regex: search, $options: 'i' } },
-        { 'content.tags': { $regex: search, $options: 'i' } }
-      ];
+    // Search functionality (text index; matches Hindi and transliterated spellings)
+    const searchText = search && textQuery(search);
+    if (searchText) {
+      query.$text = { $search: searchText };
     }
 
-    // Get posts with pagination
-    const posts = await Post.find(query)
-      .populate('author', 'name avatar verificationLevel')
-      .populate({
-        path: 'comments.user',
-        select: 'name avatar verificationLevel'
-      })
-      .populate({
-        path: 'comments.replies.user',
-        select: 'name avatar'
-      })
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit);
-
-    // Get total count for pagination
-    const totalPosts = await Post.countDocuments(query);
+    const { items: posts, pagination } = await cursor.paginate(
+      filter => Post.find(filter).populate('author', 'name avatar verificationLevel'),
+      query,
+      paging
+    );
+
+    // Feed cards show counts and a couple of comments; the rest load from /:id/comments
+    const topComments = await Comment.previewForPosts(posts.map(post => post._id), FEED_COMMENT_PREVIEW);
 
     res.json({
       success: true,
       count: posts.length,
-      total: totalPosts,
-      page,
-      pages: Math.ceil(totalPosts / limit),
+      ...pagination,
       message: 'Feed retrieved successfully',
       hindi_message: 'फ़ीड सफलतापूर्वक प्राप्त की गई',
-      posts
+      posts: posts.map(post => ({
+        ...post.toViewerJSON(req.user.id),
+        topComments: topComments.get(post._id.toString()) || []
+      }))
     });
 
   } catch (error) {
@@ -159,12 +266,74 @@ exports.getFeed = async (req, res, next) => {
   }
 };
 
-// @desc    Get trending posts
+// @desc    Get posts near a location
+// @route   GET /api/posts/nearby
+// @access  Private
+exports.getNearbyPosts = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const { type } = req.query;
+
+    if (!req.user.neighborhood) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your address to view nearby posts',
+        hindi_message: 'नजदीकी पोस्ट देखने के लिए कृपया अपना पता सत्यापित करें'
+      });
+    }
+
+    // Search from the given point, or from the user's verified address
+    const origin = toPoint({ latitude: req.query.latitude, longitude: req.query.longitude }) ||
+      toPoint(req.user.address && req.user.address.coordinates);
+
+    if (!origin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude are required',
+        hindi_message: 'अक्षांश और देशांश आवश्यक हैं'
+      });
+    }
+
+    const radius = nearbyRadius(req.query.radius);
+    const results = await Post.findNearby(req.user.neighborhood._id, origin, { radius, type, limit });
+
+    res.json({
+      success: true,
+      count: results.length,
+      radius,
+      message: 'Nearby posts retrieved successfully',
+      hindi_message: 'नजदीकी पोस्ट सफलतापूर्वक प्राप्त की गईं',
+      posts: results.map(({ post, distance }) => ({ ...post.toViewerJSON(req.user.id), distance }))
+    });
+
+  } catch (error) {
+    console.error('Get nearby posts error:', error);
+    next(error);
+  }
+};
+
+// Rejects a ?type= that isn't a post type
+const invalidType = (res) => res.status(400).json({
+  success: false,
+  message: `Invalid post type. Use all or one of: ${Post.schema.path('type').enumValues.join(', ')}`,
+  hindi_message: 'अमान्य पोस्ट प्रकार'
+});
+
+// Rejects an unreadable ?window= (e.g. 12h, 3d, 1w; at most 30 days)
+const invalidWindow = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid trending window. Use hours, days or weeks, e.g. 12h, 3d or 1w (up to 30 days)',
+  hindi_message: 'अमान्य ट्रेंडिंग अवधि। घंटे, दिन या सप्ताह का उपयोग करें, जैसे 12h, 3d या 1w (अधिकतम 30 दिन)'
+});
+
+// @desc    Get trending posts (time-decayed engagement score)
 // @route   GET /api/posts/trending
 // @access  Private
 exports.getTrending = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const window = req.query.window || Post.TRENDING_WINDOW;
+    const { type } = req.query;
 
     if (!req.user.neighborhood) {
       return res.status(403).json({
@@ -174,27 +343,20 @@ exports.getTrending = async (req, res, next) => {
       });
     }
 
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    if (!parseWindow(window)) return invalidWindow(res);
+    if (type !== undefined && type !== 'all' && !Post.schema.path('type').enumValues.includes(type)) {
+      return invalidType(res);
+    }
 
-    const posts = await Post.find({
-      neighborhood: req.user.neighborhood._id,
-      status: 'active',
-      createdAt: { $gte: twentyFourHoursAgo }
-    })
-      .populate('author', 'name avatar verificationLevel')
-      .sort({ 
-        likeCount: -1, 
-        commentCount: -1, 
-        createdAt: -1 
-      })
-      .limit(limit);
+    const results = await Post.findTrending(req.user.neighborhood._id, { limit, window, type });
 
     res.json({
       success: true,
-      count: posts.length,
+      count: results.length,
+      window,
       message: 'Trending posts retrieved successfully',
       hindi_message: 'ट्रेंडिंग पोस्ट सफलतापूर्वक प्राप्त की गईं',
-      posts
+      posts: results.map(({ post, score }) => ({ ...post.toViewerJSON(req.user.id), trendingScore: score }))
     });
 
   } catch (error) {
@@ -203,6 +365,45 @@ exports.getTrending = async (req, res, next) => {
   }
 };
 
+// @desc    Trending posts grouped by post type
+// @route   GET /api/posts/trending/by-type
+// @access  Private
+exports.getTrendingByType = async (req, res, next) => {
+  try {
+    const perType = Math.min(parseInt(req.query.perType) || 5, 20);
+    const window = req.query.window || Post.TRENDING_WINDOW;
+
+    if (!req.user.neighborhood) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your address to view trending posts',
+        hindi_message: 'ट्रेंडिंग पोस्ट देखने के लिए कृपया अपना पता सत्यापित करें'
+      });
+    }
+
+    if (!parseWindow(window)) return invalidWindow(res);
+
+    const lists = await Post.findTrendingByType(req.user.neighborhood._id, { perType, window });
+
+    const byType = Object.fromEntries(Object.entries(lists).map(([type, results]) => [
+      type,
+      results.map(({ post, score }) => ({ ...post.toViewerJSON(req.user.id), trendingScore: score }))
+    ]));
+
+    res.json({
+      success: true,
+      window,
+      message: 'Trending posts retrieved successfully',
+      hindi_message: 'ट्रेंडिंग पोस्ट सफलतापूर्वक प्राप्त की गईं',
+      byType
+    });
+
+  } catch (error) {
+    console.error('Get trending by type error:', error);
+    next(error);
+  }
+};
+
 // @desc    Get single post
 // @route   GET /api/posts/:id
 // @access  Private
@@ -210,14 +411,6 @@ exports.getPost = async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate('author', 'name avatar verificationLevel')
-      .populate({
-        path: 'comments.user',
-        select: 'name avatar verificationLevel'
-      })
-      .populate({
-        path: 'comments.replies.user',
-        select: 'name avatar'
-      })
       .populate('neighborhood', 'name location.address.city');
 
     if (!post) {
@@ -242,11 +435,16 @@ exports.getPost = async (req, res, next) => {
     post.views += 1;
     await post.save();
 
+    const topComments = await Comment.previewForPosts([post._id], POST_COMMENT_PREVIEW);
+
     res.json({
       success: true,
       message: 'Post retrieved successfully',
       hindi_message: 'पोस्ट सफलतापूर्वक प्राप्त की गई',
-      post
+      post: {
+        ...post.toViewerJSON(req.user.id),
+        topComments: topComments.get(post._id.toString())
+      }
     });
 
   } catch (error) {
@@ -255,14 +453,24 @@ exports.getPost = async (req, res, next) => {
   }
 };
 
-// @desc    Like/unlike a post
-// @route   PUT /api/posts/:id/like
-// @access  Private
-exports.toggleLike = async (req, res, next) => {
+// @desc    Edit a post
+// @route   PUT /api/posts/:id
+// @access  Private (author, within the edit window)
+exports.editPost = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        hindi_message: 'सत्यापन विफल रहा',
+        errors: errors.array()
+      });
+    }
+
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || post.status === 'deleted') {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -270,60 +478,131 @@ exports.toggleLike = async (req, res, next) => {
       });
     }
 
-    // Check if user can interact with this post
-    if (!req.user.neighborhood || 
-        post.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
+    if (post.author.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'You can only interact with posts from your neighborhood',
-        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट से इंटरैक्ट कर सकते हैं'
+        message: 'You can only edit your own posts',
+        hindi_message: 'आप केवल अपनी पोस्ट संपादित कर सकते हैं'
       });
     }
 
-    const isLiked = post.isLikedBy(req.user.id);
-    
-    if (isLiked) {
-      await post.removeLike(req.user.id);
-      res.json({
-        success: true,
-        message: 'Post unliked successfully',
-        hindi_message: 'पोस्ट अनलाइक कर दी गई',
-        liked: false,
-        likeCount: post.likeCount - 1
+    if (post.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This post is under review and cannot be edited',
+        hindi_message: 'यह पोस्ट समीक्षा में है और संपादित नहीं की जा सकती'
       });
-    } else {
-      await post.addLike(req.user.id);
-      res.json({
-        success: true,
-        message: 'Post liked successfully',
-        hindi_message: 'पोस्ट लाइक कर दी गई',
-        liked: true,
-        likeCount: post.likeCount + 1
+    }
+
+    if (!post.isWithinEditWindow()) {
+      return res.status(403).json({
+        success: false,
+        message: `Posts can only be edited within ${Post.EDIT_WINDOW_MINUTES} minutes of posting`,
+        hindi_message: `पोस्ट केवल ${Post.EDIT_WINDOW_MINUTES} मिनट के भीतर ही संपादित की जा सकती है`
+      });
+    }
+
+    // Changing the question would change what people voted on
+    if (post.type === 'poll' && post.pollDetails.voterCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A poll cannot be edited after people have voted',
+        hindi_message: 'वोट पड़ने के बाद मतदान संपादित नहीं किया जा सकता'
+      });
+    }
+
+    const contentCheck = checkPostContent(
+      req.body.content,
+      req.body.tags !== undefined ? req.body.tags : post.content.tags
+    );
+
+    if (!contentCheck.ok) {
+      const { message, hindi } = CONTENT_ERROR_MESSAGES[contentCheck.reason];
+      return res.status(400).json({
+        success: false,
+        message,
+        hindi_message: hindi,
+        reason: contentCheck.reason
       });
     }
 
+    const updated = await post.saveEdit(contentCheck, req.user.id);
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This post was changed at the same time. Please reload and try again.',
+        hindi_message: 'यह पोस्ट इसी समय बदली गई। कृपया दोबारा लोड करके प्रयास करें।'
+      });
+    }
+
+    await updated.populate('author', 'name avatar verificationLevel');
+
+    res.json({
+      success: true,
+      message: 'Post updated successfully',
+      hindi_message: 'पोस्ट सफलतापूर्वक अपडेट की गई',
+      post: updated.toViewerJSON(req.user.id)
+    });
+
   } catch (error) {
-    console.error('Toggle like error:', error);
+    console.error('Edit post error:', error);
     next(error);
   }
 };
 
-// @desc    Add comment to post
-// @route   POST /api/posts/:id/comment
-// @access  Private
-exports.addComment = async (req, res, next) => {
+// @desc    Edit history of a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private (moderators of the neighborhood, admins)
+exports.getRevisions = async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const post = await Post.findById(req.params.id)
+      .select('+revisions content neighborhood author isEdited editedAt createdAt')
+      .populate('revisions.editedBy', 'name avatar')
+      .populate('author', 'name avatar');
+
+    if (!post) {
+      return res.status(404).json({
         success: false,
-        message: 'Validation failed',
-        hindi_message: 'सत्यापन विफल रहा',
-        errors: errors.array()
+        message: 'Post not found',
+        hindi_message: 'पोस्ट नहीं मिली'
+      });
+    }
+
+    if (req.user.role === 'moderator' &&
+        (!req.user.neighborhood || post.neighborhood.toString() !== req.user.neighborhood._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review posts from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट की समीक्षा कर सकते हैं'
       });
     }
 
-    const { content } = req.body;
+    res.json({
+      success: true,
+      message: 'Edit history retrieved successfully',
+      hindi_message: 'संपादन इतिहास सफलतापूर्वक प्राप्त किया गया',
+      current: {
+        text: post.content.text,
+        tags: post.content.tags,
+        editedAt: post.editedAt
+      },
+      author: post.author,
+      createdAt: post.createdAt,
+      revisions: post.revisions
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    next(error);
+  }
+};
+
+// @desc    Like/unlike a post
+// @route   PUT /api/posts/:id/like
+// @access  Private
+exports.toggleLike = async (req, res, next) => {
+  try {
     const post = await Post.findById(req.params.id);
 
     if (!post) {
@@ -334,59 +613,80 @@ exports.addComment = async (req, res, next) => {
       });
     }
 
-    // Check if user can comment on this post
+    // Check if user can interact with this post
     if (!req.user.neighborhood || 
         post.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'You can only comment on posts from your neighborhood',
-        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट पर टिप्पणी कर सकते हैं'
+        message: 'You can only interact with posts from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट से इंटरैक्ट कर सकते हैं'
       });
     }
 
-    // Add comment
-    await post.addComment(req.user.id, content);
+    const isLiked = post.isLikedBy(req.user.id);
+    
+    if (isLiked) {
+      await post.removeLike(req.user.id);
 
-    // Populate the new comment
-    await post.populate({
-      path: 'comments.user',
-      select: 'name avatar verificationLevel'
-    });
+      // The author's trust score only changes when the post drops below "helpful"
+      if (post.likeCount === HELPFUL_POST_LIKES - 1) {
+        recalculateTrust(post.author);
+      }
 
-    const newComment = post.comments[post.comments.length - 1];
+      realtime.publishInBackground(post.neighborhood, 'post:likes', {
+        postId: post._id,
+        likeCount: post.likeCount
+      });
 
-    res.status(201).json({
-      success: true,
-      message: 'Comment added successfully',
-      hindi_message: 'टिप्पणी सफलतापूर्वक जोड़ी गई',
-      comment: newComment
-    });
+      res.json({
+        success: true,
+        message: 'Post unliked successfully',
+        hindi_message: 'पोस्ट अनलाइक कर दी गई',
+        liked: false,
+        likeCount: post.likeCount
+      });
+    } else {
+      await post.addLike(req.user.id);
+
+      if (post.likeCount === HELPFUL_POST_LIKES) {
+        recalculateTrust(post.author);
+      }
+
+      notifyInBackground('post_like', {
+        recipient: post.author,
+        actor: req.user.id,
+        data: { post: post._id },
+        vars: { actorName: req.user.name }
+      });
+
+      realtime.publishInBackground(post.neighborhood, 'post:likes', {
+        postId: post._id,
+        likeCount: post.likeCount
+      });
+
+      res.json({
+        success: true,
+        message: 'Post liked successfully',
+        hindi_message: 'पोस्ट लाइक कर दी गई',
+        liked: true,
+        likeCount: post.likeCount
+      });
+    }
 
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Toggle like error:', error);
     next(error);
   }
 };
 
-// @desc    Add reply to comment
-// @route   POST /api/posts/:postId/comments/:commentId/reply
+// @desc    Record that a post was shared (counts towards trending)
+// @route   POST /api/posts/:id/share
 // @access  Private
-exports.addReply = async (req, res, next) => {
+exports.sharePost = async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        hindi_message: 'सत्यापन विफल रहा',
-        errors: errors.array()
-      });
-    }
-
-    const { content } = req.body;
-    const post = await Post.findById(req.params.postId);
+    const post = await Post.findById(req.params.id).select('neighborhood status');
 
-    if (!post) {
+    if (!post || post.status !== 'active') {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -394,37 +694,31 @@ exports.addReply = async (req, res, next) => {
       });
     }
 
-    // Check if user can reply to this post
-    if (!req.user.neighborhood || 
+    if (!req.user.neighborhood ||
         post.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'You can only reply to posts from your neighborhood',
-        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट का उत्तर दे सकते हैं'
+        message: 'You can only interact with posts from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले की पोस्ट से इंटरैक्ट कर सकते हैं'
       });
     }
 
-    // Add reply
-    await post.addReply(req.params.commentId, req.user.id, content);
-
-    // Populate the new reply
-    await post.populate({
-      path: 'comments.replies.user',
-      select: 'name avatar'
-    });
-
-    const comment = post.comments.id(req.params.commentId);
-    const newReply = comment.replies[comment.replies.length - 1];
+    // Only a user's first share counts
+    await Post.updateOne(
+      { _id: post._id, 'shares.user': { $ne: req.user.id } },
+      { $push: { shares: { user: req.user.id } }, $inc: { shareCount: 1 } }
+    );
+    const { shareCount } = await Post.findById(post._id).select('shareCount');
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Reply added successfully',
-      hindi_message: 'उत्तर सफलतापूर्वक जोड़ा गया',
-      reply: newReply
+      message: 'Share recorded',
+      hindi_message: 'शेयर दर्ज किया गया',
+      shareCount
     });
 
   } catch (error) {
-    console.error('Add reply error:', error);
+    console.error('Share post error:', error);
     next(error);
   }
 };
@@ -457,9 +751,10 @@ exports.deletePost = async (req, res, next) => {
       });
     }
 
-    // Soft delete (change status)
+    // Soft delete (change status); the images are no longer reachable, so drop the files
     post.status = 'deleted';
     await post.save();
+    removeImagesInBackground(post.content.images);
 
     res.json({
       success: true,
@@ -524,6 +819,7 @@ exports.reportPost = async (req, res, next) => {
 
     // Report post
     await post.report(req.user.id, reason, description);
+    recalculateTrust(post.author);
 
     res.json({
       success: true,
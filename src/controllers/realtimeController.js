@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const realtime = require('../services/realtime');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`);
+};
+
+// @desc    Server-sent event stream for the user's neighborhood
+// @route   GET /api/realtime/stream
+// @access  Private
+exports.stream = async (req, res, next) => {
+  try {
+    if (!req.user.neighborhood) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your address to receive live updates',
+        hindi_message: 'लाइव अपडेट पाने के लिए कृपया अपना पता सत्यापित करें'
+      });
+    }
+
+    const neighborhoodId = req.user.neighborhood._id;
+
+    // EventSource sends Last-Event-ID on reconnect; ?since= works for manual catch-up.
+    // Anything that isn't an event id is ignored: ids are compared as hex strings, so
+    // a junk value would otherwise filter out every later event.
+    const requested = req.get('Last-Event-ID') || req.query.since;
+    const since = typeof requested === 'string' && mongoose.isObjectIdOrHexString(requested)
+      ? requested.toLowerCase()
+      : null;
+    let lastEventId = since;
+    let catchingUp = Boolean(since);
+    const pending = [];
+
+    const deliver = (event) => {
+      const id = event._id.toString();
+      if (lastEventId && id <= lastEventId) return;
+      writeEvent(res, event);
+      lastEventId = id;
+    };
+
+    // Subscribe before replaying so nothing published meanwhile is lost
+    const unsubscribe = realtime.subscribe(neighborhoodId, (event) => {
+      if (catchingUp) {
+        pending.push(event);
+      } else {
+        deliver(event);
+      }
+    });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    if (catchingUp) {
+      const missed = await realtime.eventsSince(neighborhoodId, since);
+
+      if (missed.length > realtime.CATCH_UP_LIMIT) {
+        // Too far behind: the client should reload its data from the REST endpoints
+        res.write('event: resync\ndata: {}\n\n');
+        lastEventId = null;
+      } else {
+        missed.forEach(deliver);
+      }
+
+      catchingUp = false;
+      pending.forEach(deliver);
+      pending.length = 0;
+    }
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ neighborhood: neighborhoodId })}\n\n`);
+
+  } catch (error) {
+    console.error('Realtime stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(error);
+  }
+};
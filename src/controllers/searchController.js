@@ -0,0 +1,64 @@
+const { validationResult } = require('express-validator');
+const { SEARCH_TYPES, search } = require('../services/searchService');
+const { MIN_QUERY_LENGTH } = require('../utils/search');
+
+const serialize = ({ type, score, doc }, userId) => ({
+  type,
+  score,
+  item: type === 'post' ? doc.toViewerJSON(userId) : doc.toJSON()
+});
+
+// @desc    Search posts, listings and people in the neighborhood
+// @route   GET /api/search?q=doodh&types=post,listing&limit=10
+// @access  Private
+exports.searchAll = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        hindi_message: 'सत्यापन विफल रहा',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.neighborhood) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your address first',
+        hindi_message: 'कृपया पहले अपना पता सत्यापित करें'
+      });
+    }
+
+    const { q, postType, category } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const types = req.query.types
+      ? [...new Set(req.query.types.split(',').map(type => type.trim()))]
+      : SEARCH_TYPES;
+
+    const found = await search(req.user.neighborhood._id, q, { types, limit, postType, category });
+
+    if (!found) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query must contain a word of at least ${MIN_QUERY_LENGTH} characters`,
+        hindi_message: `खोज में कम से कम ${MIN_QUERY_LENGTH} अक्षरों का एक शब्द होना चाहिए`
+      });
+    }
+
+    res.json({
+      success: true,
+      query: q,
+      count: found.results.length,
+      counts: found.counts,
+      message: 'Search completed',
+      hindi_message: 'खोज पूरी हुई',
+      results: found.results.map(result => serialize(result, req.user.id))
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,660 @@
+const crypto = require('crypto');
+const path = require('path');
+const { validationResult } = require('express-validator');
+const AddressVerification = require('../models/AddressVerification');
+const Neighborhood = require('../models/Neighborhood');
+const { METHODS, approve, reject } = require('../services/addressVerification');
+const storage = require('../services/storage');
+const { recalculateInBackground: recalculateTrust } = require('../services/trustService');
+
+// Localized postcard code failures
+const POSTCARD_ERROR_MESSAGES = {
+  not_dispatched: {
+    message: 'Your postcard has not been sent yet',
+    hindi: 'आपका पोस्टकार्ड अभी भेजा नहीं गया है'
+  },
+  expired: {
+    message: 'This postcard code has expired. Please request a new one.',
+    hindi: 'यह पोस्टकार्ड कोड समाप्त हो गया है। कृपया नया मांगें।'
+  },
+  too_many_attempts: {
+    message: 'Too many wrong codes. Please request a new postcard.',
+    hindi: 'बहुत अधिक गलत कोड। कृपया नया पोस्टकार्ड मांगें।'
+  },
+  invalid: {
+    message: 'Invalid code',
+    hindi: 'अमान्य कोड'
+  }
+};
+
+const validationFailed = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  hindi_message: 'सत्यापन विफल रहा',
+  errors: errors.array()
+});
+
+// Users can start a verification only after claiming an address and before being verified
+const cannotStartVerification = (req, res) => {
+  if (!req.user.neighborhood) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please add your address before verifying it',
+      hindi_message: 'सत्यापन से पहले कृपया अपना पता जोड़ें'
+    });
+  }
+
+  if (req.user.isAddressVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your address is already verified',
+      hindi_message: 'आपका पता पहले से सत्यापित है'
+    });
+  }
+
+  return null;
+};
+
+const addressSnapshot = (user) => ({
+  fullAddress: user.address && user.address.fullAddress,
+  pincode: user.address && user.address.pincode,
+  city: user.address && user.address.city,
+  state: user.address && user.address.state
+});
+
+// GPS only works where the neighborhood has a trusted boundary
+const methodsFor = (neighborhood) =>
+  METHODS.filter(method => method !== 'gps' || neighborhood.supportsGpsVerification);
+
+const canReview = (user, verification) =>
+  user.role === 'admin' ||
+  (user.role === 'moderator' && user.neighborhood &&
+    verification.neighborhood.toString() === user.neighborhood._id.toString());
+
+// @desc    Get current user's address verification state
+// @route   GET /api/verification/status
+// @access  Private
+exports.getStatus = async (req, res, next) => {
+  try {
+    const pending = await AddressVerification.findPendingForUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Verification status retrieved successfully',
+      hindi_message: 'सत्यापन स्थिति सफलतापूर्वक प्राप्त की गई',
+      isAddressVerified: req.user.isAddressVerified,
+      addressVerification: req.user.addressVerification,
+      verificationLevel: req.user.verificationLevel,
+      availableMethods: req.user.isAddressVerified || !req.user.neighborhood ? [] : methodsFor(req.user.neighborhood),
+      pending
+    });
+
+  } catch (error) {
+    console.error('Get verification status error:', error);
+    next(error);
+  }
+};
+
+// @desc    Verify address by checking the device location against the neighborhood boundary
+// @route   POST /api/verification/gps
+// @access  Private
+exports.verifyByGPS = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors);
+
+    const blocked = cannotStartVerification(req, res);
+    if (blocked) return blocked;
+
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    const accuracy = parseFloat(req.body.accuracy);
+
+    if (accuracy > AddressVerification.GPS_MAX_ACCURACY_METERS) {
+      return res.status(422).json({
+        success: false,
+        message: `Location is not precise enough (needs ${AddressVerification.GPS_MAX_ACCURACY_METERS}m or better). Please try outdoors.`,
+        hindi_message: 'स्थान पर्याप्त सटीक नहीं है। कृपया खुले में पुनः प्रयास करें।',
+        reason: 'low_accuracy'
+      });
+    }
+
+    const neighborhood = await Neighborhood.findById(req.user.neighborhood._id);
+
+    if (!neighborhood.supportsGpsVerification) {
+      return res.status(422).json({
+        success: false,
+        message: 'Your neighborhood has not been mapped yet, so it cannot be verified by location. Please use a postcard, neighbor vouches or a document.',
+        hindi_message: 'आपके मोहल्ले का नक्शा अभी नहीं बना है, इसलिए स्थान से सत्यापन संभव नहीं है। कृपया पोस्टकार्ड, पड़ोसियों की पुष्टि या दस्तावेज़ का उपयोग करें।',
+        reason: 'gps_unavailable',
+        availableMethods: methodsFor(neighborhood)
+      });
+    }
+
+    const inside = neighborhood.isWithinBoundary(latitude, longitude);
+
+    const verification = await AddressVerification.create({
+      user: req.user.id,
+      neighborhood: neighborhood._id,
+      address: addressSnapshot(req.user),
+      method: 'gps',
+      gps: { latitude, longitude, accuracy }
+    });
+
+    if (!inside) {
+      await reject(verification, { note: 'Location is outside the neighborhood boundary' });
+
+      return res.status(422).json({
+        success: false,
+        message: 'You need to be inside your neighborhood to verify by location',
+        hindi_message: 'स्थान से सत्यापन के लिए आपको अपने मोहल्ले के अंदर होना चाहिए',
+        reason: 'outside_boundary'
+      });
+    }
+
+    const user = await approve(verification, { reviewedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Address verified successfully',
+      hindi_message: 'पता सफलतापूर्वक सत्यापित हो गया',
+      verification,
+      verificationLevel: user && user.verificationLevel
+    });
+
+  } catch (error) {
+    console.error('GPS verification error:', error);
+    next(error);
+  }
+};
+
+// @desc    Request a postcard with a one-time code mailed to the address
+// @route   POST /api/verification/postcard
+// @access  Private
+exports.requestPostcard = async (req, res, next) => {
+  try {
+    const blocked = cannotStartVerification(req, res);
+    if (blocked) return blocked;
+
+    const existing = await AddressVerification.findOne({
+      user: req.user.id,
+      method: 'postcard',
+      status: 'pending'
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A postcard is already on its way',
+        hindi_message: 'एक पोस्टकार्ड पहले से भेजा जा रहा है',
+        verification: existing
+      });
+    }
+
+    const verification = new AddressVerification({
+      user: req.user.id,
+      neighborhood: req.user.neighborhood._id,
+      address: addressSnapshot(req.user),
+      method: 'postcard'
+    });
+    verification.issuePostcardCode();
+    await verification.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Postcard requested. Enter the code printed on it once it arrives.',
+      hindi_message: 'पोस्टकार्ड का अनुरोध किया गया। पहुंचने पर उस पर छपा कोड दर्ज करें।',
+      verification
+    });
+
+  } catch (error) {
+    console.error('Request postcard error:', error);
+    next(error);
+  }
+};
+
+// @desc    Confirm the code from the postcard
+// @route   POST /api/verification/postcard/confirm
+// @access  Private
+exports.confirmPostcard = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors);
+
+    const verification = await AddressVerification.findOne({
+      user: req.user.id,
+      method: 'postcard',
+      status: 'pending'
+    }).select('+postcard.codeHash');
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: 'No postcard verification in progress',
+        hindi_message: 'कोई पोस्टकार्ड सत्यापन जारी नहीं है'
+      });
+    }
+
+    const { valid, reason } = await verification.checkPostcardCode(req.body.code);
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: POSTCARD_ERROR_MESSAGES[reason].message,
+        hindi_message: POSTCARD_ERROR_MESSAGES[reason].hindi,
+        reason
+      });
+    }
+
+    const user = await approve(verification, { reviewedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Address verified successfully',
+      hindi_message: 'पता सफलतापूर्वक सत्यापित हो गया',
+      verificationLevel: user && user.verificationLevel
+    });
+
+  } catch (error) {
+    console.error('Confirm postcard error:', error);
+    next(error);
+  }
+};
+
+// @desc    Ask verified neighbors to vouch for the address
+// @route   POST /api/verification/vouch-request
+// @access  Private
+exports.requestVouches = async (req, res, next) => {
+  try {
+    const blocked = cannotStartVerification(req, res);
+    if (blocked) return blocked;
+
+    const existing = await AddressVerification.findOne({
+      user: req.user.id,
+      method: 'vouch',
+      status: 'pending'
+    });
+
+    if (existing) {
+      return res.json({
+        success: true,
+        message: 'Vouch request already open',
+        hindi_message: 'पुष्टि अनुरोध पहले से खुला है',
+        verification: existing
+      });
+    }
+
+    const verification = await AddressVerification.create({
+      user: req.user.id,
+      neighborhood: req.user.neighborhood._id,
+      address: addressSnapshot(req.user),
+      method: 'vouch'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Vouch request created. ${AddressVerification.VOUCHES_REQUIRED} verified neighbors need to confirm you live here.`,
+      hindi_message: `पुष्टि अनुरोध बनाया गया। ${AddressVerification.VOUCHES_REQUIRED} सत्यापित पड़ोसियों को पुष्टि करनी होगी।`,
+      verification
+    });
+
+  } catch (error) {
+    console.error('Request vouches error:', error);
+    next(error);
+  }
+};
+
+// @desc    Open vouch requests in the user's neighborhood
+// @route   GET /api/verification/vouch-requests
+// @access  Private (verified residents)
+exports.getVouchRequests = async (req, res, next) => {
+  try {
+    const requests = await AddressVerification.find({
+      neighborhood: req.user.neighborhood._id,
+      method: 'vouch',
+      status: 'pending',
+      user: { $ne: req.user.id }
+    })
+      .populate('user', 'name avatar joinedAt')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      count: requests.length,
+      message: 'Vouch requests retrieved successfully',
+      hindi_message: 'पुष्टि अनुरोध सफलतापूर्वक प्राप्त किए गए',
+      requests: requests.map(request => ({
+        ...request.toJSON(),
+        vouchedByMe: request.hasVouchFrom(req.user.id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get vouch requests error:', error);
+    next(error);
+  }
+};
+
+// @desc    Vouch that a neighbor lives at their claimed address
+// @route   POST /api/verification/:id/vouch
+// @access  Private (verified residents)
+exports.vouch = async (req, res, next) => {
+  try {
+    const verification = await AddressVerification.findById(req.params.id);
+
+    if (!verification || verification.method !== 'vouch' || verification.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Vouch request not found',
+        hindi_message: 'पुष्टि अनुरोध नहीं मिला'
+      });
+    }
+
+    if (verification.user.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vouch for yourself',
+        hindi_message: 'आप अपनी पुष्टि स्वयं नहीं कर सकते'
+      });
+    }
+
+    if (verification.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only vouch for residents of your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले के निवासियों की पुष्टि कर सकते हैं'
+      });
+    }
+
+    if (verification.hasVouchFrom(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already vouched for this neighbor',
+        hindi_message: 'आप पहले ही इस पड़ोसी की पुष्टि कर चुके हैं'
+      });
+    }
+
+    await verification.addVouch(req.user.id);
+
+    // Vouches also count towards the neighbor's trust score; approve() recalculates it
+    const completed = verification.hasEnoughVouches();
+    if (completed) {
+      await approve(verification);
+    } else {
+      recalculateTrust(verification.user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks for vouching for your neighbor',
+      hindi_message: 'अपने पड़ोसी की पुष्टि करने के लिए धन्यवाद',
+      vouchCount: verification.vouchCount,
+      vouchesRequired: AddressVerification.VOUCHES_REQUIRED,
+      completed
+    });
+
+  } catch (error) {
+    console.error('Vouch error:', error);
+    next(error);
+  }
+};
+
+// @desc    Upload proof of address for moderator review
+// @route   POST /api/verification/document
+// @access  Private
+exports.uploadDocument = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors);
+
+    const blocked = cannotStartVerification(req, res);
+    if (blocked) return blocked;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a document',
+        hindi_message: 'कृपया एक दस्तावेज़ संलग्न करें'
+      });
+    }
+
+    const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(6).toString('hex');
+    const filename = `${req.user.id}-${uniqueSuffix}${path.extname(req.file.originalname).toLowerCase()}`;
+    const { key } = await storage.put(`verification/${filename}`, req.file.buffer, {
+      contentType: req.file.mimetype,
+      visibility: 'private'
+    });
+
+    // Only one document under review at a time
+    await AddressVerification.updateMany(
+      { user: req.user.id, method: 'document', status: 'pending' },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+
+    let verification;
+    try {
+      verification = await AddressVerification.create({
+        user: req.user.id,
+        neighborhood: req.user.neighborhood._id,
+        address: addressSnapshot(req.user),
+        method: 'document',
+        document: {
+          type: req.body.documentType,
+          filename,
+          key,
+          mimetype: req.file.mimetype,
+          size: req.file.size
+        }
+      });
+    } catch (error) {
+      storage.removeInBackground(key);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Document submitted. A moderator will review it shortly.',
+      hindi_message: 'दस्तावेज़ जमा किया गया। एक मॉडरेटर जल्द ही इसकी समीक्षा करेगा।',
+      verification
+    });
+
+  } catch (error) {
+    console.error('Upload document error:', error);
+    next(error);
+  }
+};
+
+// @desc    Download an uploaded proof of address (redirects to a short-lived signed link)
+// @route   GET /api/verification/:id/document
+// @access  Private (owner, moderators of the neighborhood, admins)
+exports.getDocument = async (req, res, next) => {
+  try {
+    const verification = await AddressVerification.findById(req.params.id).select('+document.key +document.path');
+
+    if (!verification || verification.method !== 'document' ||
+        !(verification.document.key || verification.document.path)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        hindi_message: 'दस्तावेज़ नहीं मिला'
+      });
+    }
+
+    if (verification.user.toString() !== req.user.id.toString() && !canReview(req.user, verification)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view this document',
+        hindi_message: 'आप इस दस्तावेज़ को देखने के लिए अधिकृत नहीं हैं'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+
+    // Documents uploaded before object storage are still on this server's disk
+    if (!verification.document.key) {
+      return res.sendFile(path.resolve(verification.document.path));
+    }
+
+    res.redirect(storage.signedUrl(verification.document.key));
+
+  } catch (error) {
+    console.error('Get document error:', error);
+    next(error);
+  }
+};
+
+// @desc    Documents awaiting review
+// @route   GET /api/verification/review/documents
+// @access  Private (Moderators/Admins)
+exports.getPendingDocuments = async (req, res, next) => {
+  try {
+    const query = { method: 'document', status: 'pending' };
+
+    // Moderators review their own neighborhood; admins can review any
+    if (req.user.role !== 'admin') {
+      query.neighborhood = req.user.neighborhood ? req.user.neighborhood._id : null;
+    } else if (req.query.neighborhood) {
+      query.neighborhood = req.query.neighborhood;
+    }
+
+    const verifications = await AddressVerification.find(query)
+      .populate('user', 'name phone avatar joinedAt')
+      .populate('neighborhood', 'name location.address.pincode')
+      .sort({ createdAt: 1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      count: verifications.length,
+      message: 'Pending documents retrieved successfully',
+      hindi_message: 'लंबित दस्तावेज़ सफलतापूर्वक प्राप्त किए गए',
+      verifications
+    });
+
+  } catch (error) {
+    console.error('Get pending documents error:', error);
+    next(error);
+  }
+};
+
+// @desc    Approve or reject a document verification
+// @route   PUT /api/verification/:id/review
+// @access  Private (Moderators/Admins)
+exports.reviewDocument = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return validationFailed(res, errors);
+
+    const verification = await AddressVerification.findById(req.params.id);
+
+    if (!verification || verification.method !== 'document' || verification.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending document verification not found',
+        hindi_message: 'लंबित दस्तावेज़ सत्यापन नहीं मिला'
+      });
+    }
+
+    if (!canReview(req.user, verification)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review verifications from your neighborhood',
+        hindi_message: 'आप केवल अपने मोहल्ले के सत्यापनों की समीक्षा कर सकते हैं'
+      });
+    }
+
+    if (verification.user.toString() === req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own verification',
+        hindi_message: 'आप अपने स्वयं के सत्यापन की समीक्षा नहीं कर सकते'
+      });
+    }
+
+    const { decision, note } = req.body;
+
+    if (decision === 'approve') {
+      await approve(verification, { reviewedBy: req.user.id, note });
+    } else {
+      await reject(verification, { reviewedBy: req.user.id, note });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Verification approved' : 'Verification rejected',
+      hindi_message: decision === 'approve' ? 'सत्यापन स्वीकृत' : 'सत्यापन अस्वीकृत',
+      verification
+    });
+
+  } catch (error) {
+    console.error('Review document error:', error);
+    next(error);
+  }
+};
+
+// @desc    Postcards waiting to be printed and mailed (includes the codes)
+// @route   GET /api/verification/review/postcards
+// @access  Private (Admins)
+exports.getPendingPostcards = async (req, res, next) => {
+  try {
+    const verifications = await AddressVerification.find({
+      method: 'postcard',
+      status: 'pending',
+      'postcard.dispatchedAt': null
+    })
+      .select('+postcard.code')
+      .populate('user', 'name phone')
+      .sort({ createdAt: 1 })
+      .limit(500);
+
+    res.json({
+      success: true,
+      count: verifications.length,
+      message: 'Pending postcards retrieved successfully',
+      hindi_message: 'लंबित पोस्टकार्ड सफलतापूर्वक प्राप्त किए गए',
+      postcards: verifications.map(verification => ({
+        id: verification._id,
+        name: verification.user && verification.user.name,
+        phone: verification.user && verification.user.phone,
+        address: verification.address,
+        code: verification.postcard.code,
+        requestedAt: verification.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get pending postcards error:', error);
+    next(error);
+  }
+};
+
+// @desc    Mark a postcard as mailed (discards the plain code)
+// @route   PUT /api/verification/:id/postcard-dispatched
+// @access  Private (Admins)
+exports.markPostcardDispatched = async (req, res, next) => {
+  try {
+    const verification = await AddressVerification.findById(req.params.id);
+
+    if (!verification || verification.method !== 'postcard' || verification.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending postcard not found',
+        hindi_message: 'लंबित पोस्टकार्ड नहीं मिला'
+      });
+    }
+
+    await verification.markPostcardDispatched(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Postcard marked as dispatched',
+      hindi_message: 'पोस्टकार्ड भेजा गया चिह्नित किया गया',
+      verification
+    });
+
+  } catch (error) {
+    console.error('Mark postcard dispatched error:', error);
+    next(error);
+  }
+};
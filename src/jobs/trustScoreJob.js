@@ -0,0 +1,71 @@
+const JobRun = require('../models/JobRun');
+const { recalculateAll } = require('../services/trustService');
+
+// Runs once a day at TRUST_RECALC_HOUR_IST (India Standard Time, default 2 AM).
+// Every instance schedules it, but each day's run is claimed in JobRun first, so
+// only one of them does the work. TRUST_RECALC_ENABLED=false opts an instance out.
+const JOB_NAME = 'trust-score-recalc';
+const IST_OFFSET_MS = 330 * 60 * 1000; // UTC+05:30
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const runHour = () => {
+  const hour = parseInt(process.env.TRUST_RECALC_HOUR_IST);
+  return Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 2;
+};
+
+const msUntilNextRun = (now = Date.now()) => {
+  const ist = new Date(now + IST_OFFSET_MS);
+  const todayRun = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), runHour()) - IST_OFFSET_MS;
+  return todayRun > now ? todayRun - now : todayRun + ONE_DAY_MS - now;
+};
+
+// The IST calendar day a run belongs to, e.g. 2024-01-31
+const runKey = (now = Date.now()) => new Date(now + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+let timer = null;
+
+const run = async () => {
+  const startedAt = Date.now();
+  let claimed = null;
+
+  try {
+    claimed = await JobRun.claim(JOB_NAME, runKey(startedAt));
+    if (!claimed) {
+      console.log('Nightly trust score job already claimed by another instance');
+      return;
+    }
+
+    const processed = await recalculateAll();
+    await JobRun.updateOne({ _id: claimed._id }, { $set: { finishedAt: new Date(), processed } });
+    console.log(`Trust scores recalculated for ${processed} users in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+  } catch (error) {
+    console.error('Nightly trust score job failed:', error.message);
+    if (claimed) {
+      await JobRun.updateOne({ _id: claimed._id }, { $set: { finishedAt: new Date(), error: error.message } })
+        .catch(() => {});
+    }
+  } finally {
+    schedule();
+  }
+};
+
+const schedule = () => {
+  timer = setTimeout(run, msUntilNextRun());
+};
+
+const start = () => {
+  if (process.env.TRUST_RECALC_ENABLED === 'false' || timer) return;
+  schedule();
+};
+
+const stop = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  run,
+  msUntilNextRun
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const asyncHandler = require('./asyncHandler');
 
 // Protect routes
@@ -29,6 +30,17 @@ exports.protect = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Check that the session behind the token has not been revoked
+    const session = await Session.findActiveById(decoded.sid);
+    if (!session || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been logged out',
+        hindi_message: 'सत्र समाप्त हो गया है या लॉग आउट कर दिया गया है',
+        kannada_message: 'ಸೆಷನ್ ಅವಧಿ ಮೀರಿದೆ ಅಥವಾ ಲಾಗ್ ಔಟ್ ಆಗಿದೆ'
+      });
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.id).populate('neighborhood');
     
@@ -61,8 +73,9 @@ exports.protect = asyncHandler(async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -124,11 +137,18 @@ exports.optionalAuth = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Ignore tokens from revoked sessions
+    const session = await Session.findActiveById(decoded.sid);
+    if (!session) {
+      return next();
+    }
+
     // Check if user exists and is active
     const user = await User.findById(decoded.id).populate('neighborhood');
     
     if (user && user.status === 'active') {
       req.user = user;
+      req.authSession = session;
     }
     
     next();
@@ -188,9 +208,10 @@ exports.validateToken = asyncHandler(async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('phone name isPhoneVerified isAddressVerified role');
+    const session = await Session.findActiveById(decoded.sid);
+    const user = await User.findById(decoded.id).select('phone name isPhoneVerified isAddressVerified role status');
     
-    if (!user || user.status !== 'active') {
+    if (!session || !user || user.status !== 'active') {
       return res.status(401).json({
         success: false,
         message: 'Invalid token',
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Verification policy (overridable through the environment)
+const GPS_MAX_ACCURACY_METERS = parseInt(process.env.ADDRESS_GPS_MAX_ACCURACY_METERS) || 100;
+const VOUCHES_REQUIRED = parseInt(process.env.ADDRESS_VOUCHES_REQUIRED) || 3;
+const POSTCARD_CODE_EXPIRE_DAYS = parseInt(process.env.POSTCARD_CODE_EXPIRE_DAYS) || 30;
+const POSTCARD_MAX_ATTEMPTS = 5;
+
+const hashCode = (verificationId, code) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+  .update(`${verificationId}:${code}`)
+  .digest('hex');
+
+// One attempt by a user to prove they live at the address they claimed
+const addressVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  neighborhood: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighborhood',
+    required: true
+  },
+
+  // Address as claimed when the attempt started
+  address: {
+    fullAddress: String,
+    pincode: String,
+    city: String,
+    state: String
+  },
+
+  method: {
+    type: String,
+    required: true,
+    enum: ['gps', 'postcard', 'vouch', 'document']
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+
+  // GPS check
+  gps: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  },
+
+  // Postcard with a one-time code; the plain code is only kept until it is printed
+  postcard: {
+    code: {
+      type: String,
+      select: false
+    },
+    codeHash: {
+      type: String,
+      select: false
+    },
+    dispatchedAt: Date,
+    dispatchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Verified neighbors confirming the user lives here
+  vouches: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Proof of address reviewed by a moderator
+  document: {
+    type: {
+      type: String,
+      enum: ['aadhaar', 'utility_bill', 'rent_agreement', 'voter_id', 'passport', 'other']
+    },
+    filename: String,
+    // Private storage key (see services/storage); older documents have a local path instead
+    key: {
+      type: String,
+      select: false
+    },
+    path: {
+      type: String,
+      select: false
+    },
+    mimetype: String,
+    size: Number
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewNote: {
+    type: String,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  },
+
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // The postcard code and where the document is stored never go out in responses,
+    // even on a document that was just created or selected them
+    transform: (doc, ret) => {
+      if (ret.postcard) {
+        delete ret.postcard.code;
+        delete ret.postcard.codeHash;
+      }
+      if (ret.document) {
+        delete ret.document.key;
+        delete ret.document.path;
+      }
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+addressVerificationSchema.index({ user: 1, status: 1, createdAt: -1 });
+addressVerificationSchema.index({ neighborhood: 1, method: 1, status: 1 });
+addressVerificationSchema.index({ method: 1, status: 1, 'postcard.dispatchedAt': 1 });
+
+// Virtuals
+addressVerificationSchema.virtual('vouchCount').get(function() {
+  return this.vouches ? this.vouches.length : 0;
+});
+
+addressVerificationSchema.virtual('vouchesRequired').get(function() {
+  return this.method === 'vouch' ? VOUCHES_REQUIRED : undefined;
+});
+
+// Instance methods
+// Generates the postcard code; returns it so it can be handed to the print queue
+addressVerificationSchema.methods.issuePostcardCode = function() {
+  const code = crypto.randomInt(100000, 1000000).toString();
+  this.postcard.code = code;
+  this.postcard.codeHash = hashCode(this._id, code);
+  this.postcard.attempts = 0;
+  return code;
+};
+
+addressVerificationSchema.methods.markPostcardDispatched = function(userId) {
+  this.postcard.code = undefined;
+  this.postcard.dispatchedAt = new Date();
+  this.postcard.dispatchedBy = userId;
+  this.postcard.expiresAt = new Date(Date.now() + POSTCARD_CODE_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+  return this.save();
+};
+
+// Resolves to { valid: true } or { valid: false, reason } (requires postcard.codeHash selected)
+addressVerificationSchema.methods.checkPostcardCode = async function(code) {
+  if (!this.postcard.dispatchedAt) {
+    return { valid: false, reason: 'not_dispatched' };
+  }
+
+  if (this.postcard.expiresAt < new Date()) {
+    this.status = 'expired';
+    await this.save();
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (this.postcard.attempts >= POSTCARD_MAX_ATTEMPTS) {
+    return { valid: false, reason: 'too_many_attempts' };
+  }
+
+  const expected = Buffer.from(this.postcard.codeHash, 'hex');
+  const presented = Buffer.from(hashCode(this._id, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, presented)) {
+    this.postcard.attempts += 1;
+
+    // Out of attempts: close this postcard so the user can request a new one
+    if (this.postcard.attempts >= POSTCARD_MAX_ATTEMPTS) {
+      this.status = 'rejected';
+      this.reviewNote = 'Too many wrong codes';
+      this.completedAt = new Date();
+      await this.save();
+      return { valid: false, reason: 'too_many_attempts' };
+    }
+
+    await this.save();
+    return { valid: false, reason: 'invalid' };
+  }
+
+  return { valid: true };
+};
+
+addressVerificationSchema.methods.hasVouchFrom = function(userId) {
+  return this.vouches.some(vouch => vouch.user.toString() === userId.toString());
+};
+
+addressVerificationSchema.methods.addVouch = function(userId) {
+  if (!this.hasVouchFrom(userId)) {
+    this.vouches.push({ user: userId });
+  }
+  return this.save();
+};
+
+addressVerificationSchema.methods.hasEnoughVouches = function() {
+  return this.vouches.length >= VOUCHES_REQUIRED;
+};
+
+// Static methods
+addressVerificationSchema.statics.findPendingForUser = function(userId) {
+  return this.find({ user: userId, status: 'pending' }).sort({ createdAt: -1 });
+};
+
+// Close any open attempts, e.g. when the user claims a different address
+addressVerificationSchema.statics.cancelPendingForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, status: 'pending' },
+    { $set: { status: 'cancelled', completedAt: new Date() } }
+  );
+};
+
+// Static properties
+addressVerificationSchema.statics.GPS_MAX_ACCURACY_METERS = GPS_MAX_ACCURACY_METERS;
+addressVerificationSchema.statics.VOUCHES_REQUIRED = VOUCHES_REQUIRED;
+
+module.exports = mongoose.model('AddressVerification', addressVerificationSchema);
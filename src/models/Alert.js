@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// How long expired alerts are kept for the admin history before MongoDB purges them
+const EXPIRED_ALERT_RETENTION_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+const alertSchema = new mongoose.Schema({
+  // Content
+  title: {
+    type: String,
+    required: [true, 'Alert title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Alert message is required'],
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  hindi_message: {
+    type: String,
+    maxlength: [500, 'Hindi message cannot exceed 500 characters']
+  },
+
+  // Classification
+  type: {
+    type: String,
+    enum: ['safety', 'event', 'announcement', 'emergency'],
+    default: 'safety'
+  },
+
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+
+  // Location Context
+  neighborhood: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighborhood',
+    required: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Lifecycle
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  deactivatedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+alertSchema.index({ neighborhood: 1, isActive: 1, expiresAt: -1 });
+alertSchema.index({ type: 1, severity: 1, createdAt: -1 });
+alertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: EXPIRED_ALERT_RETENTION_SECONDS });
+
+// Virtuals
+alertSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Instance methods
+alertSchema.methods.deactivate = function(userId) {
+  this.isActive = false;
+  this.deactivatedBy = userId;
+  this.deactivatedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+alertSchema.statics.findActive = function(neighborhoodId) {
+  return this.find({
+    neighborhood: neighborhoodId,
+    isActive: true,
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('createdBy', 'name avatar role')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
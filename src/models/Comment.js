@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const cursor = require('../utils/cursor');
+
+// Reports needed before a comment is hidden pending review (same rule as posts)
+const REPORTS_TO_HIDE = 3;
+
+// Comments live in their own collection so busy posts don't grow without bound.
+// Threads are one level deep: replies point at a top-level comment through `parent`.
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  // Copied from the post for moderation queries
+  neighborhood: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighborhood',
+    required: true
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Top-level comment this replies to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  // Whose comment a reply answers, when replying inside a thread
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    maxlength: [500, 'Comment cannot exceed 500 characters'],
+    trim: true
+  },
+
+  images: [{
+    url: String,
+    filename: String
+  }],
+
+  likes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Stored so comments can be sorted by popularity
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Replies that are not deleted (top-level comments only)
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'hidden', 'deleted', 'reported'],
+    default: 'active'
+  },
+
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+
+  editedAt: Date,
+
+  deletedAt: Date,
+
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Set when a moderator takes the comment down (status 'hidden')
+  removal: {
+    reason: {
+      type: String,
+      maxlength: [300, 'Removal reason cannot exceed 300 characters']
+    },
+    removedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    removedAt: Date
+  },
+
+  isReported: {
+    type: Boolean,
+    default: false
+  },
+
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'inappropriate', 'harassment', 'false_information', 'other']
+    },
+    description: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Reporters stay private
+    transform: (doc, ret) => {
+      delete ret.reports;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+commentSchema.index({ post: 1, parent: 1, status: 1, createdAt: 1 });
+commentSchema.index({ post: 1, parent: 1, status: 1, likeCount: -1, createdAt: -1 });
+commentSchema.index({ parent: 1, status: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ neighborhood: 1, isReported: 1, status: 1 });
+
+// Statuses shown to residents
+const VISIBLE = ['active'];
+
+// Open reports, optionally in one neighborhood
+const REPORTED = (neighborhoodId) => ({
+  ...(neighborhoodId && { neighborhood: new mongoose.Types.ObjectId(neighborhoodId) }),
+  isReported: true,
+  status: { $in: ['active', 'reported'] }
+});
+
+// Instance methods
+commentSchema.methods.isLikedBy = function(userId) {
+  return this.likes.some(like => like.user.toString() === userId.toString());
+};
+
+// Like or unlike in a single conditional update, so double taps can't
+// double count. Resolves to { liked, likeCount }, or null if the comment is gone.
+commentSchema.methods.toggleLike = async function(userId) {
+  const Comment = this.constructor;
+  const filter = { _id: this._id, status: 'active' };
+
+  const liked = await Comment.findOneAndUpdate(
+    { ...filter, 'likes.user': { $ne: userId } },
+    { $push: { likes: { user: userId, createdAt: new Date() } }, $inc: { likeCount: 1 } },
+    { new: true, projection: { likeCount: 1 } }
+  );
+  if (liked) return { liked: true, likeCount: liked.likeCount };
+
+  const unliked = await Comment.findOneAndUpdate(
+    { ...filter, 'likes.user': userId },
+    { $pull: { likes: { user: userId } }, $inc: { likeCount: -1 } },
+    { new: true, projection: { likeCount: 1 } }
+  );
+  return unliked ? { liked: false, likeCount: unliked.likeCount } : null;
+};
+
+commentSchema.methods.isReportedBy = function(userId) {
+  return this.reports.some(report => report.user.toString() === userId.toString());
+};
+
+commentSchema.methods.report = function(userId, reason, description) {
+  this.reports.push({
+    user: userId,
+    reason,
+    description,
+    createdAt: new Date()
+  });
+
+  this.isReported = true;
+  if (this.reports.length >= REPORTS_TO_HIDE && this.status === 'active') {
+    this.status = 'reported';
+  }
+
+  return this.save();
+};
+
+// Reports are dismissed: the comment is shown again and can be reported afresh
+commentSchema.methods.restore = function() {
+  this.status = 'active';
+  this.isReported = false;
+  this.reports = [];
+  return this.save();
+};
+
+// Statuses a comment can no longer leave
+const REMOVED = ['deleted', 'hidden'];
+
+// Takes the comment (and a top-level comment's replies) out of the thread, keeping the
+// post's commentCount and the parent's replyCount in step. The status change is
+// conditional so that a comment taken down twice (an author deleting what a moderator
+// already hid, or two requests racing) only decrements the counters once.
+// Resolves to the number of comments removed, 0 if none.
+const takeDown = async (comment, status, fields) => {
+  const Comment = comment.constructor;
+
+  const claimed = await Comment.findOneAndUpdate(
+    { _id: comment._id, status: { $nin: REMOVED } },
+    { $set: { status, ...fields } },
+    { new: true }
+  );
+  if (!claimed) return 0;
+
+  comment.set({ status, ...fields });
+
+  let removed = 1;
+
+  if (comment.parent) {
+    await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+  } else {
+    const result = await Comment.updateMany(
+      { parent: comment._id, status: { $nin: REMOVED } },
+      { $set: { status, ...fields } }
+    );
+    removed += result.modifiedCount;
+  }
+
+  await mongoose.model('Post').updateOne({ _id: comment.post }, { $inc: { commentCount: -removed } });
+  return removed;
+};
+
+commentSchema.methods.markDeleted = function(userId) {
+  return takeDown(this, 'deleted', { deletedAt: new Date(), deletedBy: userId });
+};
+
+// Moderator removal; the reason is shown to the author
+commentSchema.methods.removeByModerator = function(moderatorId, reason) {
+  return takeDown(this, 'hidden', {
+    removal: { reason, removedBy: moderatorId, removedAt: new Date() }
+  });
+};
+
+// Static methods
+// Paging params come from cursor.fromQuery; both resolve to { items, pagination }
+commentSchema.statics.findForPost = function(postId, paging, { sort = 'oldest' } = {}) {
+  return cursor.paginate(
+    filter => this.find(filter).populate('author', 'name avatar verificationLevel'),
+    { post: postId, parent: null, status: { $in: VISIBLE } },
+    paging,
+    { direction: sort === 'newest' ? -1 : 1 }
+  );
+};
+
+// Visible replies, oldest first. Page totals are counted with the same filter,
+// since replyCount also includes hidden and reported replies.
+commentSchema.statics.findReplies = function(parentId, paging) {
+  return cursor.paginate(
+    filter => this.find(filter)
+      .populate('author', 'name avatar verificationLevel')
+      .populate('replyTo', 'name'),
+    { parent: parentId, status: { $in: VISIBLE } },
+    paging,
+    { direction: 1 }
+  );
+};
+
+// The most liked top-level comments of each post, for feed previews.
+// One small indexed query per post; feed pages are short. Resolves to a Map of post id -> comments.
+commentSchema.statics.previewForPosts = async function(postIds, perPost = 2) {
+  const previews = await Promise.all(postIds.map(postId =>
+    this.find({ post: postId, parent: null, status: { $in: VISIBLE } })
+      .populate('author', 'name avatar verificationLevel')
+      .sort({ likeCount: -1, createdAt: -1 })
+      .limit(perPost)
+  ));
+
+  return new Map(postIds.map((postId, index) => [postId.toString(), previews[index]]));
+};
+
+// Moderation queue: reported comments not yet acted on, most reported first.
+// Plain objects, so the reports (hidden from residents by toJSON) are included.
+commentSchema.statics.findReported = async function(neighborhoodId, { page = 1, limit = 20 } = {}) {
+  const comments = await this.aggregate([
+    { $match: REPORTED(neighborhoodId) },
+    { $addFields: { reportCount: { $size: '$reports' } } },
+    { $sort: { reportCount: -1, updatedAt: -1 } },
+    { $skip: (page - 1) * limit },
+    { $limit: limit }
+  ]);
+
+  return this.populate(comments, [
+    { path: 'author', select: 'name avatar verificationLevel' },
+    { path: 'post', select: 'content.text type author' },
+    { path: 'reports.user', select: 'name' }
+  ]);
+};
+
+commentSchema.statics.countReported = function(neighborhoodId) {
+  return this.countDocuments(REPORTED(neighborhoodId));
+};
+
+// Static properties
+commentSchema.statics.REPORTS_TO_HIDE = REPORTS_TO_HIDE;
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Allowed status changes; resolved and dismissed are final
+const STATUS_TRANSITIONS = {
+  pending: ['acknowledged', 'dismissed'],
+  acknowledged: ['investigating', 'resolved', 'dismissed'],
+  investigating: ['resolved', 'dismissed'],
+  resolved: [],
+  dismissed: []
+};
+
+const incidentSchema = new mongoose.Schema({
+  // Report Details
+  type: {
+    type: String,
+    required: true,
+    enum: ['suspicious_activity', 'noise_complaint', 'parking_issue', 'safety_concern', 'other']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Incident description is required'],
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  location: {
+    type: String,
+    trim: true
+  },
+
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+
+  // Location Context
+  neighborhood: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighborhood',
+    required: true
+  },
+
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Workflow
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending'
+  },
+
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  assignedAt: Date,
+
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS)
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  resolvedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+incidentSchema.index({ neighborhood: 1, status: 1, createdAt: -1 });
+incidentSchema.index({ reportedBy: 1, createdAt: -1 });
+incidentSchema.index({ assignedTo: 1, status: 1 });
+
+// Virtuals
+incidentSchema.virtual('isOpen').get(function() {
+  return STATUS_TRANSITIONS[this.status].length > 0;
+});
+
+// Pre-save middleware to seed the history with the initial report
+incidentSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.reportedBy,
+      changedAt: new Date()
+    });
+  }
+  next();
+});
+
+// Instance methods
+incidentSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+incidentSchema.methods.transitionTo = function(status, userId, note) {
+  if (!this.canTransitionTo(status)) {
+    return Promise.reject(new Error(`Cannot move incident from ${this.status} to ${status}`));
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    note,
+    changedBy: userId,
+    changedAt: new Date()
+  });
+
+  if (status === 'resolved' || status === 'dismissed') {
+    this.resolvedAt = new Date();
+  }
+
+  return this.save();
+};
+
+incidentSchema.methods.assign = function(assigneeId) {
+  this.assignedTo = assigneeId;
+  this.assignedAt = new Date();
+  return this.save();
+};
+
+// Static properties
+incidentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('Incident', incidentSchema);
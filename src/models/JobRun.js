@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Records scheduled job runs. The unique (job, runKey) index makes a run claimable
+// once, so when every app instance schedules the same job only one of them runs it.
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+
+  // Identifies one scheduled run, e.g. the day it is for
+  runKey: {
+    type: String,
+    required: true
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: Date,
+
+  processed: Number,
+
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+jobRunSchema.index({ job: 1, runKey: 1 }, { unique: true });
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static methods
+// Resolves to the new run, or null when another instance already claimed it
+jobRunSchema.statics.claim = async function(job, runKey) {
+  try {
+    return await this.create({ job, runKey });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
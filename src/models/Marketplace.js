@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { toPoint } = require('../utils/geo');
+const trending = require('../utils/trending');
+const { TEXT_INDEX_OPTIONS, searchKeys, textQuery } = require('../utils/search');
+const cursor = require('../utils/cursor');
+
+// How far back trending looks unless the request asks for another window
+const TRENDING_WINDOW = process.env.TRENDING_LISTING_WINDOW || '7d';
+
+// Interest is the strongest signal that a listing is in demand
+const TRENDING_SIGNALS = [
+  { weight: 3, value: trending.sizeOf('$likes') },
+  { weight: 5, value: trending.sizeOf('$interestedUsers') },
+  { weight: 0.2, value: '$views' }
+];
+
+// One resized WebP copy of an uploaded image (see services/imageService)
+const imageVariant = {
+  key: String,
+  url: String,
+  width: Number,
+  height: Number,
+  size: Number
+};
 
 const marketplaceSchema = new mongoose.Schema({
   // Seller Information
@@ -70,6 +93,14 @@ const marketplaceSchema = new mongoose.Schema({
     filename: String,
     size: Number,
     mimeType: String,
+    width: Number,
+    height: Number,
+    blurhash: String,
+    variants: {
+      thumbnail: imageVariant,
+      medium: imageVariant,
+      full: imageVariant
+    },
     isPrimary: {
       type: Boolean,
       default: false
@@ -88,6 +119,17 @@ const marketplaceSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    // GeoJSON mirror of coordinates for geo queries, kept in sync on validate
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   
@@ -153,6 +195,12 @@ const marketplaceSchema = new mongoose.Schema({
   
   // Metadata
   tags: [String],
+
+  // Words and phonetic keys for full-text search (see utils/search)
+  searchKeys: {
+    type: [String],
+    select: false
+  },
   
   // Expiry
   expiresAt: {
@@ -204,6 +252,11 @@ marketplaceSchema.index({ type: 1, status: 1 });
 marketplaceSchema.index({ 'price.amount': 1 });
 marketplaceSchema.index({ expiresAt: 1 });
 marketplaceSchema.index({ tags: 1 });
+marketplaceSchema.index({ 'location.point': '2dsphere' });
+marketplaceSchema.index(
+  { title: 'text', tags: 'text', searchKeys: 'text' },
+  { ...TEXT_INDEX_OPTIONS, name: 'listing_search', weights: { title: 5, tags: 3, searchKeys: 1 } }
+);
 
 // Virtuals
 marketplaceSchema.virtual('likeCount').get(function() {
@@ -258,6 +311,21 @@ marketplaceSchema.virtual('categoryLabel').get(function() {
   return categoryMap[this.category] || this.category;
 });
 
+// Keep the GeoJSON point in step with the plain coordinates
+marketplaceSchema.pre('validate', function(next) {
+  if (this.isModified('location.coordinates')) {
+    this.location.point = toPoint(this.location.coordinates);
+  }
+  next();
+});
+
+marketplaceSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('tags')) {
+    this.searchKeys = searchKeys(this.title, this.description, this.tags);
+  }
+  next();
+});
+
 // Instance methods
 marketplaceSchema.methods.isLikedBy = function(userId) {
   return this.likes.some(like => like.user.toString() === userId.toString());
@@ -344,9 +412,8 @@ marketplaceSchema.methods.report = function(userId, reason, description) {
 };
 
 // Static methods
-marketplaceSchema.statics.findByNeighborhood = function(neighborhoodId, filters = {}, page = 1, limit = 20) {
-  const skip = (page - 1) * limit;
-  
+// Paging params come from cursor.fromQuery; resolves to { items, pagination }
+marketplaceSchema.statics.findByNeighborhood = function(neighborhoodId, filters = {}, paging = { limit: 20 }) {
   let query = { 
     neighborhood: neighborhoodId, 
     status: 'active',
@@ -363,24 +430,19 @@ marketplaceSchema.statics.findByNeighborhood = function(neighborhoodId, filters
     if (filters.minPrice) query['price.amount'].$gte = filters.minPrice;
     if (filters.maxPrice) query['price.amount'].$lte = filters.maxPrice;
   }
-  if (filters.search) {
-    query.$or = [
-      { title: new RegExp(filters.search, 'i') },
-      { description: new RegExp(filters.search, 'i') },
-      { tags: new RegExp(filters.search, 'i') }
-    ];
+  const searchText = filters.search && textQuery(filters.search);
+  if (searchText) {
+    query.$text = { $search: searchText };
   }
   
-  return this.find(query)
-    .populate('seller', 'name avatar verificationLevel phone')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+  return cursor.paginate(
+    filter => this.find(filter).populate('seller', 'name avatar verificationLevel phone'),
+    query,
+    paging
+  );
 };
 
-marketplaceSchema.statics.findByCategory = function(category, filters = {}, page = 1, limit = 20) {
-  const skip = (page - 1) * limit;
-  
+marketplaceSchema.statics.findByCategory = function(category, filters = {}, paging = { limit: 20 }) {
   let query = { 
     category, 
     status: 'active',
@@ -388,30 +450,37 @@ marketplaceSchema.statics.findByCategory = function(category, filters = {}, page
     expiresAt: { $gt: new Date() }
   };
   
-  return this.find(query)
-    .populate('seller', 'name avatar')
-    .populate('neighborhood', 'name location.address.city')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+  return cursor.paginate(
+    filter => this.find(filter)
+      .populate('seller', 'name avatar')
+      .populate('neighborhood', 'name location.address.city'),
+    query,
+    paging
+  );
 };
 
-marketplaceSchema.statics.findTrending = function(neighborhoodId, limit = 10) {
-  const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-  
-  return this.find({
-    neighborhood: neighborhoodId,
+// Highest scoring available listings in the window (see utils/trending). Resolves to [{ listing, score }]
+marketplaceSchema.statics.findTrending = async function(neighborhoodId, { limit = 10, window = TRENDING_WINDOW, category, type } = {}) {
+  const windowMs = trending.parseWindow(window) || trending.parseWindow(TRENDING_WINDOW);
+  const query = {
+    neighborhood: new mongoose.Types.ObjectId(neighborhoodId),
     status: 'active',
     isAvailable: true,
-    createdAt: { $gte: sevenDaysAgo }
-  })
-    .populate('seller', 'name avatar')
-    .sort({ 
-      views: -1, 
-      likeCount: -1, 
-      createdAt: -1 
-    })
-    .limit(limit);
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+  };
+  if (category && category !== 'all') query.category = category;
+  if (type && type !== 'all') query.type = type;
+
+  const ranked = await this.aggregate([
+    { $match: query },
+    ...trending.scoreStages(TRENDING_SIGNALS),
+    { $sort: { trendingScore: -1, createdAt: -1 } },
+    { $limit: limit },
+    { $project: { trendingScore: 1 } }
+  ]);
+
+  const results = await trending.hydrateRanked(this, ranked, { path: 'seller', select: 'name avatar' });
+  return results.map(({ doc, score }) => ({ listing: doc, score }));
 };
 
 marketplaceSchema.statics.findExpiringSoon = function(neighborhoodId, limit = 10) {
@@ -428,6 +497,40 @@ marketplaceSchema.statics.findExpiringSoon = function(neighborhoodId, limit = 10
     .limit(limit);
 };
 
+// Listings around a point, nearest first. Resolves to [{ listing, distance }] with distance in meters
+marketplaceSchema.statics.findNearby = async function(neighborhoodId, point, { radius = 1000, category, type, limit = 20 } = {}) {
+  const query = {
+    neighborhood: new mongoose.Types.ObjectId(neighborhoodId),
+    status: 'active',
+    isAvailable: true,
+    expiresAt: { $gt: new Date() }
+  };
+  if (category) query.category = category;
+  if (type) query.type = type;
+
+  const results = await this.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'location.point',
+        distanceField: 'distance',
+        maxDistance: radius,
+        query,
+        spherical: true
+      }
+    },
+    { $limit: limit }
+  ]);
+
+  const listings = results.map(result => this.hydrate(result));
+  await this.populate(listings, { path: 'seller', select: 'name avatar verificationLevel' });
+
+  return listings.map((listing, index) => ({
+    listing,
+    distance: Math.round(results[index].distance)
+  }));
+};
+
 // Cleanup expired listings
 marketplaceSchema.statics.cleanupExpired = function() {
   return this.updateMany(
@@ -446,4 +549,7 @@ marketplaceSchema.statics.cleanupExpired = function() {
   );
 };
 
+// Static properties
+marketplaceSchema.statics.TRENDING_WINDOW = TRENDING_WINDOW;
+
 module.exports = mongoose.model('Marketplace', marketplaceSchema);
\ No newline at end of file
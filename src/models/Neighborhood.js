@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { hasCoordinates, toPoint, isPointInGeometry } = require('../utils/geo');
 
 // Simple and reliable geohash implementation
 const generateGeohash = (lat, lng, precision = 7) => {
@@ -78,24 +79,36 @@ const neighborhoodSchema = new mongoose.Schema({
       latitude: { type: Number, required: true },
       longitude: { type: Number, required: true }
     },
+    // GeoJSON mirror of coordinates for geo queries, kept in sync on validate
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
     geohash: {
       type: String,
       index: true
     }
   },
   
-  // Administrative Boundaries
+  // Administrative Boundaries (GeoJSON, uploaded by admins; unset until mapped)
   boundaries: {
     type: {
       type: String,
-      enum: ['Polygon'],
-      default: 'Polygon'
+      enum: ['Polygon', 'MultiPolygon']
     },
     coordinates: {
-      type: [[[Number]]],
-      default: []
+      type: Array,
+      default: undefined
     }
   },
+
+  boundariesUpdatedAt: Date,
   
   // Statistics
   stats: {
@@ -204,8 +217,9 @@ const neighborhoodSchema = new mongoose.Schema({
 
 // Indexes for performance
 neighborhoodSchema.index({ 'location.geohash': 1 });
-neighborhoodSchema.index({ 'location.coordinates': '2dsphere' });
+neighborhoodSchema.index({ 'location.point': '2dsphere' });
 neighborhoodSchema.index({ 'location.address.pincode': 1 });
+neighborhoodSchema.index({ boundaries: '2dsphere' });
 neighborhoodSchema.index({ status: 1, isVerified: 1 });
 neighborhoodSchema.index({ slug: 1 });
 
@@ -219,6 +233,11 @@ neighborhoodSchema.virtual('fullAddress').get(function() {
   return `${address.full}, ${address.city}, ${address.state} - ${address.pincode}`;
 });
 
+neighborhoodSchema.virtual('hasBoundaries').get(function() {
+  return Boolean(this.boundaries && this.boundaries.type &&
+    Array.isArray(this.boundaries.coordinates) && this.boundaries.coordinates.length > 0);
+});
+
 neighborhoodSchema.virtual('memberCount').get(function() {
   return this.stats.totalResidents;
 });
@@ -250,6 +269,10 @@ neighborhoodSchema.pre('validate', function(next) {
         this.location.geohash = `loc${Math.round(latitude * 10000)}${Math.round(longitude * 10000)}`;
       }
     }
+
+    if (this.isModified('location.coordinates')) {
+      this.location.point = toPoint(this.location.coordinates);
+    }
   }
   
   // Ensure geohash is always set
@@ -261,12 +284,44 @@ neighborhoodSchema.pre('validate', function(next) {
   next();
 });
 
+// GPS checks need a boundary someone has vouched for: a mapped polygon, or the center
+// of an admin-verified neighborhood. Auto-created neighborhoods are centered on the
+// first claimant's own location (or 0,0), so a check against them proves nothing.
+neighborhoodSchema.virtual('supportsGpsVerification').get(function() {
+  if (this.hasBoundaries) return true;
+
+  const { latitude, longitude } = (this.location && this.location.coordinates) || {};
+  const hasCenter = Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    !(latitude === 0 && longitude === 0);
+
+  return this.isVerified && hasCenter;
+});
+
 // Instance methods
 neighborhoodSchema.methods.isWithinBoundary = function(latitude, longitude) {
+  if (this.hasBoundaries) {
+    return isPointInGeometry(latitude, longitude, this.boundaries);
+  }
+
+  if (!this.supportsGpsVerification) return false;
+
+  // Verified but unmapped neighborhoods fall back to a radius around the center
   const distance = this.calculateDistance(latitude, longitude);
   return distance <= 2000; // 2km radius
 };
 
+neighborhoodSchema.methods.setBoundaries = function(geometry) {
+  this.boundaries = geometry;
+  this.boundariesUpdatedAt = new Date();
+  return this.save();
+};
+
+neighborhoodSchema.methods.clearBoundaries = function() {
+  this.boundaries = undefined;
+  this.boundariesUpdatedAt = new Date();
+  return this.save();
+};
+
 neighborhoodSchema.methods.calculateDistance = function(latitude, longitude) {
   const { latitude: centerLat, longitude: centerLng } = this.location.coordinates;
   
@@ -332,7 +387,7 @@ neighborhoodSchema.methods.removeModerator = function(userId) {
 // Static methods
 neighborhoodSchema.statics.findByCoordinates = function(latitude, longitude, radius = 5000) {
   return this.find({
-    'location.coordinates': {
+    'location.point': {
       $near: {
         $geometry: {
           type: 'Point',
@@ -346,6 +401,75 @@ neighborhoodSchema.statics.findByCoordinates = function(latitude, longitude, rad
   });
 };
 
+// Neighborhood whose boundary polygon contains the point
+neighborhoodSchema.statics.findContaining = function(latitude, longitude) {
+  return this.findOne({
+    boundaries: {
+      $geoIntersects: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [longitude, latitude]
+        }
+      }
+    },
+    status: 'active'
+  });
+};
+
+// Other mapped neighborhoods whose boundaries overlap the given geometry
+neighborhoodSchema.statics.findOverlapping = function(geometry, excludeId) {
+  return this.find({
+    _id: { $ne: excludeId },
+    boundaries: { $geoIntersects: { $geometry: geometry } }
+  }).select('name slug location.address.pincode');
+};
+
+// Decide which neighborhood an address belongs to. Polygons win; pincode is
+// only used for areas that have not been mapped yet.
+// Resolves to { neighborhood, matchedBy: 'polygon' | 'pincode' | 'created' }
+// or { error: 'coordinates_required' | 'outside_boundaries' }
+neighborhoodSchema.statics.resolveForAddress = async function({ pincode, fullAddress, city, state, coordinates }) {
+  const located = hasCoordinates(coordinates);
+
+  if (located) {
+    const containing = await this.findContaining(Number(coordinates.latitude), Number(coordinates.longitude));
+    if (containing) {
+      return { neighborhood: containing, matchedBy: 'polygon' };
+    }
+  }
+
+  const candidates = await this.find({ 'location.address.pincode': pincode });
+  const unmapped = candidates.find(candidate => !candidate.hasBoundaries);
+
+  if (unmapped) {
+    return { neighborhood: unmapped, matchedBy: 'pincode' };
+  }
+
+  if (candidates.length > 0) {
+    // Every neighborhood under this pincode is mapped, so only a location can place the user
+    return { error: located ? 'outside_boundaries' : 'coordinates_required' };
+  }
+
+  const neighborhood = await this.create({
+    name: `${city} - ${pincode}`,
+    location: {
+      address: {
+        full: fullAddress,
+        pincode,
+        city,
+        state,
+        country: 'India'
+      },
+      coordinates: {
+        latitude: located ? Number(coordinates.latitude) : 0,
+        longitude: located ? Number(coordinates.longitude) : 0
+      }
+    }
+  });
+
+  return { neighborhood, matchedBy: 'created' };
+};
+
 neighborhoodSchema.statics.findByPincode = function(pincode) {
   return this.find({
     'location.address.pincode': pincode,
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Inbox entries are purged by MongoDB after this long
+const NOTIFICATION_RETENTION_SECONDS = 90 * 24 * 60 * 60; // 90 days
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // User whose action triggered the notification (empty for system notifications)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'post_like', 'post_comment', 'comment_reply', 'comment_like', 'comment_removed',
+      'listing_interest', 'alert',
+      'address_verified', 'address_rejected',
+      'event_cancelled', 'event_rescheduled', 'event_waitlist_promoted'
+    ]
+  },
+
+  // Content
+  title: {
+    type: String,
+    required: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  hindi_message: String,
+
+  kannada_message: String,
+
+  // What the notification points at
+  data: {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post'
+    },
+    comment: mongoose.Schema.Types.ObjectId,
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Marketplace'
+    },
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert'
+    },
+    verification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AddressVerification'
+    }
+  },
+
+  // Read State
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+
+  readAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_SECONDS });
+
+// Instance methods
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static methods
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { recipient: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
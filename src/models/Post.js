@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const { toPoint } = require('../utils/geo');
+const recurrence = require('../utils/recurrence');
+const trending = require('../utils/trending');
+const { TEXT_INDEX_OPTIONS, searchKeys } = require('../utils/search');
+
+// How long authors can edit a post after publishing it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 60;
+
+// How far back trending looks unless the request asks for another window
+const TRENDING_WINDOW = process.env.TRENDING_POST_WINDOW || '24h';
+
+// What counts as engagement on a post, and how much. Views are cheap, shares and comments are not.
+const TRENDING_SIGNALS = [
+  { weight: 3, value: trending.sizeOf('$likes') },
+  { weight: 4, value: '$commentCount' },
+  { weight: 5, value: '$shareCount' },
+  {
+    weight: 3,
+    value: {
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$eventDetails.attendees', []] },
+          cond: { $in: ['$$this.status', ['going', 'interested']] }
+        }
+      }
+    }
+  },
+  { weight: 2, value: '$pollDetails.voterCount' },
+  { weight: 0.1, value: '$views' }
+];
+
+// One resized WebP copy of an uploaded image (see services/imageService)
+const imageVariant = {
+  key: String,
+  url: String,
+  width: Number,
+  height: Number,
+  size: Number
+};
 
 const postSchema = new mongoose.Schema({
   // Author Information
@@ -20,7 +59,15 @@ const postSchema = new mongoose.Schema({
       url: String,
       filename: String,
       size: Number,
-      mimeType: String
+      mimeType: String,
+      width: Number,
+      height: Number,
+      blurhash: String,
+      variants: {
+        thumbnail: imageVariant,
+        medium: imageVariant,
+        full: imageVariant
+      }
     }],
     tags: [String]
   },
@@ -28,7 +75,7 @@ const postSchema = new mongoose.Schema({
   // Post Type
   type: {
     type: String,
-    enum: ['general', 'safety', 'event', 'announcement', 'help', 'recommendation', 'lost_found'],
+    enum: ['general', 'safety', 'event', 'announcement', 'help', 'recommendation', 'lost_found', 'poll'],
     default: 'general'
   },
   
@@ -44,6 +91,17 @@ const postSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    // GeoJSON mirror of coordinates for geo queries, kept in sync on validate
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   
@@ -59,52 +117,11 @@ const postSchema = new mongoose.Schema({
     }
   }],
   
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: [500, 'Comment cannot exceed 500 characters']
-    },
-    images: [{
-      url: String,
-      filename: String
-    }],
-    likes: [{
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now
-      }
-    }],
-    replies: [{
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-      },
-      content: {
-        type: String,
-        required: true,
-        maxlength: [300, 'Reply cannot exceed 300 characters']
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now
-      }
-    }],
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Comments live in the Comment collection; this count is kept in step with it
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   
   // Post Status
   status: {
@@ -141,6 +158,18 @@ const postSchema = new mongoose.Schema({
     default: 0
   },
   
+  // One entry per sharer, so repeated shares don't inflate shareCount (a trending signal)
+  shares: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   shareCount: {
     type: Number,
     default: 0
@@ -153,6 +182,29 @@ const postSchema = new mongoose.Schema({
   
   editedAt: Date,
   
+  // Earlier versions of the content, oldest first (moderators only)
+  revisions: {
+    type: [{
+      text: String,
+      tags: [String],
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      replacedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+
+  // Words and phonetic keys for full-text search (see utils/search)
+  searchKeys: {
+    type: [String],
+    select: false
+  },
+
   // For Events
   eventDetails: {
     title: String,
@@ -162,53 +214,473 @@ const postSchema = new mongoose.Schema({
     isOnline: Boolean,
     meetingUrl: String,
     maxAttendees: Number,
+    // Unset means scheduled
+    status: {
+      type: String,
+      enum: ['scheduled', 'cancelled']
+    },
+    cancelledAt: Date,
+    cancellationReason: {
+      type: String,
+      maxlength: [300, 'Cancellation reason cannot exceed 300 characters']
+    },
+    rescheduledFrom: Date,
+    // Repeating events; `date` is the first occurrence
+    recurrence: {
+      rule: {
+        type: String,
+        validate: {
+          validator: value => !value || recurrence.isValidRule(value),
+          message: 'Invalid recurrence rule'
+        }
+      },
+      // Days skipped by the organizer (matched by IST day)
+      exdates: [Date],
+      // Start of the last occurrence; unset for open-ended series
+      endsAt: Date
+    },
+    // Single occurrences of a recurring event that were called off
+    cancelledOccurrences: [{
+      date: Date,
+      reason: {
+        type: String,
+        maxlength: [300, 'Cancellation reason cannot exceed 300 characters']
+      },
+      cancelledAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     attendees: [{
       user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      // 'waitlisted' means the user chose going but the event was full
       status: {
         type: String,
-        enum: ['going', 'interested', 'not_going'],
+        enum: ['going', 'interested', 'not_going', 'waitlisted'],
         default: 'interested'
       },
       registeredAt: {
         type: Date,
         default: Date.now
-      }
+      },
+      // Position in the waitlist is first come, first served
+      waitlistedAt: Date,
+      // For recurring events, the occurrence this RSVP is for
+      occurrence: Date
     }]
+  },
+
+  // Poll Details (for poll type posts; content.text is the question)
+  pollDetails: {
+    options: [{
+      text: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Poll option cannot exceed 100 characters']
+      },
+      voteCount: {
+        type: Number,
+        default: 0
+      },
+      // Who picked this option; never recorded for anonymous polls
+      voters: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }]
+    }],
+    allowMultiple: {
+      type: Boolean,
+      default: false
+    },
+    isAnonymous: {
+      type: Boolean,
+      default: false
+    },
+    closesAt: Date,
+    closedEarlyAt: Date,
+    // Everyone who has voted, so each resident votes once
+    voters: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    voterCount: {
+      type: Number,
+      default: 0
+    }
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Voter lists stay private; results go out through pollResults()
+    transform: (doc, ret) => {
+      if (ret.pollDetails) {
+        delete ret.pollDetails.voters;
+        (ret.pollDetails.options || []).forEach(option => delete option.voters);
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Indexes for performance
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ neighborhood: 1, createdAt: -1 });
+postSchema.index({ neighborhood: 1, status: 1, type: 1, createdAt: -1 });
 postSchema.index({ type: 1, status: 1 });
 postSchema.index({ 'content.tags': 1 });
 postSchema.index({ createdAt: -1 });
+postSchema.index({ 'location.point': '2dsphere' });
+postSchema.index(
+  { 'content.tags': 'text', searchKeys: 'text' },
+  { ...TEXT_INDEX_OPTIONS, name: 'post_search', weights: { 'content.tags': 3, searchKeys: 1 } }
+);
+postSchema.index({ neighborhood: 1, type: 1, 'eventDetails.date': 1 });
+postSchema.index({ neighborhood: 1, type: 1, 'eventDetails.recurrence.endsAt': 1 }, { sparse: true });
 
 // Virtuals
 postSchema.virtual('likeCount').get(function() {
   return this.likes.length;
 });
 
-postSchema.virtual('commentCount').get(function() {
-  return this.comments.length;
-});
-
 postSchema.virtual('isEvent').get(function() {
   return this.type === 'event' && this.eventDetails.title;
 });
 
+// For recurring events these count RSVPs across all occurrences
 postSchema.virtual('eventAttendeeCount').get(function() {
-  return this.eventDetails ? this.eventDetails.attendees.length : 0;
+  return this.eventDetails
+    ? this.eventDetails.attendees.filter(attendee => attendee.status === 'going').length
+    : 0;
+});
+
+postSchema.virtual('eventWaitlistCount').get(function() {
+  return this.eventDetails
+    ? this.eventDetails.attendees.filter(attendee => attendee.status === 'waitlisted').length
+    : 0;
+});
+
+postSchema.virtual('isEventFull').get(function() {
+  return Boolean(this.eventDetails) && this.isOccurrenceFull();
+});
+
+postSchema.virtual('isPollClosed').get(function() {
+  return Boolean(this.pollDetails &&
+    (this.pollDetails.closedEarlyAt || (this.pollDetails.closesAt && this.pollDetails.closesAt <= new Date())));
+});
+
+postSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.eventDetails && this.eventDetails.recurrence && this.eventDetails.recurrence.rule);
+});
+
+postSchema.virtual('isEventCancelled').get(function() {
+  return Boolean(this.eventDetails && this.eventDetails.status === 'cancelled');
+});
+
+// Keep the GeoJSON point in step with the plain coordinates
+postSchema.pre('validate', function(next) {
+  if (this.isModified('location.coordinates')) {
+    this.location.point = toPoint(this.location.coordinates);
+  }
+  next();
+});
+
+postSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    this.searchKeys = searchKeys(this.content.text, this.content.tags);
+  }
+  next();
+});
+
+// Normalize the recurrence rule and remember when the series ends, for date-range queries
+postSchema.pre('validate', function(next) {
+  const series = this.eventDetails && this.eventDetails.recurrence;
+
+  if (series && (this.isModified('eventDetails.recurrence') || this.isModified('eventDetails.date'))) {
+    if (!series.rule) {
+      series.endsAt = undefined;
+    } else if (recurrence.isValidRule(series.rule) && this.eventDetails.date) {
+      series.rule = recurrence.serializeRule(series.rule);
+      series.endsAt = recurrence.lastOccurrence(this.eventDetails.date, series.rule, series.exdates) || undefined;
+    }
+  }
+  next();
 });
 
 // Instance methods
+// RSVPs are keyed by occurrence for recurring events; one-off events have none
+const isSameOccurrence = (a, b) => (!a && !b) || recurrence.sameDay(a, b);
+
+postSchema.methods.getAttendees = function(occurrence) {
+  return this.eventDetails.attendees.filter(attendee => isSameOccurrence(attendee.occurrence, occurrence));
+};
+
+postSchema.methods.countRsvps = function(status, occurrence) {
+  return this.getAttendees(occurrence).filter(attendee => attendee.status === status).length;
+};
+
+postSchema.methods.isOccurrenceFull = function(occurrence) {
+  return Boolean(this.eventDetails.maxAttendees) &&
+    this.countRsvps('going', occurrence) >= this.eventDetails.maxAttendees;
+};
+
+postSchema.methods.getRsvp = function(userId, occurrence) {
+  return this.getAttendees(occurrence).find(attendee => attendee.user.toString() === userId.toString());
+};
+
+// Occurrence starts of a recurring event between `from` and `to`
+postSchema.methods.getOccurrences = function({ from, to, limit } = {}) {
+  if (!this.isRecurring) return [];
+
+  return recurrence.expandOccurrences(this.eventDetails.date, this.eventDetails.recurrence.rule, {
+    from,
+    to,
+    exdates: this.eventDetails.recurrence.exdates,
+    limit
+  });
+};
+
+// The occurrence on a day ('YYYY-MM-DD' or ISO date), or null when the series has none that day
+postSchema.methods.findOccurrence = function(value) {
+  if (!this.isRecurring) return null;
+
+  return recurrence.findOccurrence(
+    this.eventDetails.date,
+    this.eventDetails.recurrence.rule,
+    value,
+    this.eventDetails.recurrence.exdates
+  );
+};
+
+postSchema.methods.getOccurrenceCancellation = function(occurrence) {
+  return occurrence
+    ? this.eventDetails.cancelledOccurrences.find(entry => recurrence.sameDay(entry.date, occurrence))
+    : undefined;
+};
+
+postSchema.methods.isOccurrenceCancelled = function(occurrence) {
+  return this.isEventCancelled || Boolean(this.getOccurrenceCancellation(occurrence));
+};
+
+// Per-occurrence fields shown next to an event in lists, from one resident's point of view
+postSchema.methods.occurrenceSummary = function(occurrence, userId) {
+  const rsvp = this.getRsvp(userId, occurrence);
+  const cancellation = this.getOccurrenceCancellation(occurrence);
+
+  return {
+    startsAt: occurrence || this.eventDetails.date,
+    occurrence: occurrence ? recurrence.dateKey(occurrence) : null,
+    isCancelled: this.isOccurrenceCancelled(occurrence),
+    cancellationReason: cancellation ? cancellation.reason : this.eventDetails.cancellationReason,
+    goingCount: this.countRsvps('going', occurrence),
+    myRsvp: rsvp ? rsvp.status : null
+  };
+};
+
+postSchema.methods.cancelOccurrence = function(occurrence, reason) {
+  if (!this.getOccurrenceCancellation(occurrence)) {
+    this.eventDetails.cancelledOccurrences.push({ date: occurrence, reason, cancelledAt: new Date() });
+  }
+};
+
+// Moving a recurring series keeps per-occurrence RSVPs, exceptions and cancellations in step.
+// Call after eventDetails.date has been set to the new start. Overrides are matched by
+// position in the series (the 3rd occurrence stays the 3rd), which holds for any rule:
+// a weekly BYDAY=MO,TH series moved by two days still only meets on Mondays and Thursdays.
+// Overrides whose occurrence no longer exists in the moved series are left as they were.
+postSchema.methods.remapOccurrences = function(previousStart) {
+  const { rule } = this.eventDetails.recurrence || {};
+  if (!rule || !previousStart) return;
+
+  const exdates = (this.eventDetails.recurrence.exdates || []).map(date => new Date(date));
+  const overrides = [
+    ...this.eventDetails.attendees.map(attendee => attendee.occurrence),
+    ...this.eventDetails.cancelledOccurrences.map(entry => entry.date),
+    ...exdates
+  ].filter(Boolean);
+  if (overrides.length === 0) return;
+
+  // Skipped days still take a place in the series, so expand without exdates
+  const latest = new Date(Math.max(...overrides.map(date => new Date(date).getTime())));
+  const positions = new Map(
+    recurrence.expandOccurrences(previousStart, rule, { to: new Date(latest.getTime() + recurrence.DAY_MS) })
+      .map((occurrence, index) => [recurrence.dayNumber(occurrence), index])
+  );
+  const moved = recurrence.expandOccurrences(this.eventDetails.date, rule, { limit: positions.size });
+
+  const remap = (date) => {
+    const index = positions.get(recurrence.dayNumber(date));
+    return index !== undefined && moved[index] ? moved[index] : date;
+  };
+
+  this.eventDetails.attendees.forEach(attendee => {
+    if (attendee.occurrence) attendee.occurrence = remap(attendee.occurrence);
+  });
+  this.eventDetails.cancelledOccurrences.forEach(entry => {
+    entry.date = remap(entry.date);
+  });
+  this.eventDetails.recurrence.exdates = exdates.map(remap);
+};
+
+// Move waitlisted users into free spots, oldest first. Returns the promoted user ids.
+postSchema.methods.promoteWaitlist = function(occurrence) {
+  const promoted = [];
+  const waitlist = this.getAttendees(occurrence)
+    .filter(attendee => attendee.status === 'waitlisted')
+    .sort((a, b) => a.waitlistedAt - b.waitlistedAt);
+
+  for (const attendee of waitlist) {
+    if (this.isOccurrenceFull(occurrence)) break;
+    attendee.status = 'going';
+    attendee.waitlistedAt = undefined;
+    promoted.push(attendee.user);
+  }
+
+  return promoted;
+};
+
+// Record a user's RSVP; 'going' on a full event joins the waitlist.
+// Does not save. Returns { status, promoted } where promoted are users moved off the waitlist.
+postSchema.methods.setRsvp = function(userId, status, occurrence) {
+  let attendee = this.getRsvp(userId, occurrence);
+
+  if (!attendee) {
+    this.eventDetails.attendees.push({ user: userId, status: 'interested', occurrence });
+    attendee = this.eventDetails.attendees[this.eventDetails.attendees.length - 1];
+  }
+
+  const previous = attendee.status;
+
+  if (status === 'going' && previous !== 'going') {
+    if (previous === 'waitlisted') {
+      // Keep the original place in the queue
+    } else if (this.isOccurrenceFull(occurrence)) {
+      attendee.status = 'waitlisted';
+      attendee.waitlistedAt = new Date();
+    } else {
+      attendee.status = 'going';
+    }
+  } else if (status !== 'going') {
+    attendee.status = status;
+    attendee.waitlistedAt = undefined;
+  }
+
+  const promoted = previous === 'going' && attendee.status !== 'going'
+    ? this.promoteWaitlist(occurrence)
+    : [];
+
+  return { status: attendee.status, promoted };
+};
+
+postSchema.methods.hasVotedInPoll = function(userId) {
+  return this.pollDetails.voters.some(voter => voter.toString() === userId.toString());
+};
+
+// Records a vote in one atomic update, so concurrent requests can't double count.
+// Resolves to the updated post, or null if the user already voted or the poll closed meanwhile.
+postSchema.methods.castVote = function(userId, optionIds) {
+  const push = { 'pollDetails.voters': userId };
+  if (!this.pollDetails.isAnonymous) {
+    push['pollDetails.options.$[option].voters'] = userId;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: 'active',
+      'pollDetails.voters': { $ne: userId },
+      'pollDetails.closedEarlyAt': null,
+      $or: [
+        { 'pollDetails.closesAt': null },
+        { 'pollDetails.closesAt': { $gt: new Date() } }
+      ]
+    },
+    {
+      $push: push,
+      $inc: {
+        'pollDetails.voterCount': 1,
+        'pollDetails.options.$[option].voteCount': 1
+      }
+    },
+    {
+      new: true,
+      arrayFilters: [{ 'option._id': { $in: optionIds } }]
+    }
+  );
+};
+
+// Polls carry per-viewer state (hasVoted, myVotes), so posts are serialized per request
+postSchema.methods.toViewerJSON = function(userId) {
+  return this.type === 'poll'
+    ? { ...this.toJSON(), pollDetails: this.pollResults(userId) }
+    : this.toJSON();
+};
+
+// Tally as seen by one viewer. Percentages are of voters, so multi-choice polls can add up past 100.
+postSchema.methods.pollResults = function(userId) {
+  const { options, allowMultiple, isAnonymous, closesAt, voterCount } = this.pollDetails;
+  const hasVoted = userId ? this.hasVotedInPoll(userId) : false;
+
+  return {
+    options: options.map(option => ({
+      _id: option._id,
+      text: option.text,
+      voteCount: option.voteCount,
+      percentage: voterCount > 0 ? Math.round((option.voteCount / voterCount) * 100) : 0
+    })),
+    allowMultiple,
+    isAnonymous,
+    closesAt,
+    isClosed: this.isPollClosed,
+    voterCount,
+    totalVotes: options.reduce((sum, option) => sum + option.voteCount, 0),
+    hasVoted,
+    // Anonymous polls don't record choices, so there is nothing to show back
+    myVotes: hasVoted && !isAnonymous
+      ? options
+        .filter(option => option.voters.some(voter => voter.toString() === userId.toString()))
+        .map(option => option._id)
+      : []
+  };
+};
+
+postSchema.methods.isWithinEditWindow = function() {
+  return Date.now() - this.createdAt.getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000;
+};
+
+// Replaces the content and keeps the old version as a revision in one atomic update
+// (revisions are not selected by default, so a plain save would drop them).
+// Resolves to the updated post, or null if the content changed in the meantime.
+postSchema.methods.saveEdit = function({ text, tags }, editorId) {
+  const editedAt = new Date();
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, 'content.text': this.content.text },
+    {
+      $set: {
+        'content.text': text,
+        'content.tags': tags,
+        searchKeys: searchKeys(text, tags),
+        isEdited: true,
+        editedAt
+      },
+      $push: {
+        revisions: {
+          text: this.content.text,
+          tags: this.content.tags,
+          editedBy: editorId,
+          replacedAt: editedAt
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
 postSchema.methods.isLikedBy = function(userId) {
   return this.likes.some(like => like.user.toString() === userId.toString());
 };
@@ -226,31 +698,6 @@ postSchema.methods.removeLike = function(userId) {
   return this.save();
 };
 
-postSchema.methods.addComment = function(userId, content, images = []) {
-  const comment = {
-    user: userId,
-    content,
-    images,
-    createdAt: new Date()
-  };
-  
-  this.comments.push(comment);
-  return this.save();
-};
-
-postSchema.methods.addReply = function(commentId, userId, content) {
-  const comment = this.comments.id(commentId);
-  if (comment) {
-    comment.replies.push({
-      user: userId,
-      content,
-      createdAt: new Date()
-    });
-    return this.save();
-  }
-  return Promise.reject(new Error('Comment not found'));
-};
-
 postSchema.methods.report = function(userId, reason, description) {
   this.reports.push({
     user: userId,
@@ -268,6 +715,46 @@ postSchema.methods.report = function(userId, reason, description) {
 };
 
 // Static methods
+// Filter for events still happening on or after `from`: one-off events by date,
+// recurring series until their last occurrence
+postSchema.statics.eventsFrom = function(from) {
+  return {
+    $or: [
+      { 'eventDetails.recurrence.rule': null, 'eventDetails.date': { $gte: from } },
+      {
+        'eventDetails.recurrence.rule': { $ne: null },
+        'eventDetails.recurrence.endsAt': { $not: { $lt: from } }
+      }
+    ]
+  };
+};
+
+// Event occurrences from `from` on, soonest first; recurring events are expanded up to `to`.
+// Resolves to [{ post, occurrence, startsAt }] (occurrence is undefined for one-off events)
+postSchema.statics.findUpcomingOccurrences = async function(neighborhoodId, { from, to, includeCancelled = false, maxSeries = 500 }) {
+  const query = {
+    neighborhood: neighborhoodId,
+    type: 'event',
+    status: 'active',
+    ...this.eventsFrom(from)
+  };
+
+  if (!includeCancelled) {
+    query['eventDetails.status'] = { $ne: 'cancelled' };
+  }
+
+  const posts = await this.find(query)
+    .populate('author', 'name avatar verificationLevel')
+    .sort({ 'eventDetails.date': 1, _id: 1 })
+    .limit(maxSeries);
+
+  return posts
+    .flatMap(post => (post.isRecurring ? post.getOccurrences({ from, to }) : [undefined])
+      .map(occurrence => ({ post, occurrence, startsAt: occurrence || post.eventDetails.date })))
+    .filter(({ post, occurrence }) => includeCancelled || !post.isOccurrenceCancelled(occurrence))
+    .sort((a, b) => a.startsAt - b.startsAt);
+};
+
 postSchema.statics.findByNeighborhood = function(neighborhoodId, page = 1, limit = 10) {
   const skip = (page - 1) * limit;
   
@@ -276,8 +763,6 @@ postSchema.statics.findByNeighborhood = function(neighborhoodId, page = 1, limit
     status: 'active' 
   })
     .populate('author', 'name avatar verificationLevel')
-    .populate('comments.user', 'name avatar')
-    .populate('comments.replies.user', 'name avatar')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
@@ -297,21 +782,94 @@ postSchema.statics.findByType = function(type, neighborhoodId, page = 1, limit =
     .limit(limit);
 };
 
-postSchema.statics.findTrending = function(neighborhoodId, limit = 10) {
-  const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  
-  return this.find({
-    neighborhood: neighborhoodId,
+// Highest scoring posts in the window (see utils/trending). Resolves to [{ post, score }]
+postSchema.statics.findTrending = async function(neighborhoodId, { limit = 10, window = TRENDING_WINDOW, type } = {}) {
+  const windowMs = trending.parseWindow(window) || trending.parseWindow(TRENDING_WINDOW);
+  const query = {
+    neighborhood: new mongoose.Types.ObjectId(neighborhoodId),
     status: 'active',
-    createdAt: { $gte: twentyFourHoursAgo }
-  })
-    .populate('author', 'name avatar')
-    .sort({ 
-      likeCount: -1, 
-      commentCount: -1, 
-      createdAt: -1 
-    })
-    .limit(limit);
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+  };
+  if (type && type !== 'all') query.type = type;
+
+  const ranked = await this.aggregate([
+    { $match: query },
+    ...trending.scoreStages(TRENDING_SIGNALS),
+    { $sort: { trendingScore: -1, createdAt: -1 } },
+    { $limit: limit },
+    { $project: { trendingScore: 1 } }
+  ]);
+
+  const results = await trending.hydrateRanked(this, ranked, { path: 'author', select: 'name avatar verificationLevel' });
+  return results.map(({ doc, score }) => ({ post: doc, score }));
+};
+
+// Top posts of each type in one pass. Resolves to { [type]: [{ post, score }] }
+postSchema.statics.findTrendingByType = async function(neighborhoodId, { perType = 5, window = TRENDING_WINDOW } = {}) {
+  const windowMs = trending.parseWindow(window) || trending.parseWindow(TRENDING_WINDOW);
+
+  const groups = await this.aggregate([
+    {
+      $match: {
+        neighborhood: new mongoose.Types.ObjectId(neighborhoodId),
+        status: 'active',
+        createdAt: { $gte: new Date(Date.now() - windowMs) }
+      }
+    },
+    ...trending.scoreStages(TRENDING_SIGNALS),
+    { $sort: { trendingScore: -1, createdAt: -1 } },
+    { $group: { _id: '$type', ranked: { $push: { _id: '$_id', trendingScore: '$trendingScore' } } } },
+    { $project: { ranked: { $slice: ['$ranked', perType] } } }
+  ]);
+
+  const results = await trending.hydrateRanked(
+    this,
+    groups.flatMap(group => group.ranked),
+    { path: 'author', select: 'name avatar verificationLevel' }
+  );
+
+  return groups.reduce((lists, group) => {
+    const ids = new Set(group.ranked.map(({ _id }) => _id.toString()));
+    lists[group._id] = results
+      .filter(({ doc }) => ids.has(doc._id.toString()))
+      .map(({ doc, score }) => ({ post: doc, score }));
+    return lists;
+  }, {});
 };
 
+// Posts around a point, nearest first. Resolves to [{ post, distance }] with distance in meters
+postSchema.statics.findNearby = async function(neighborhoodId, point, { radius = 1000, type, limit = 20 } = {}) {
+  const query = {
+    neighborhood: new mongoose.Types.ObjectId(neighborhoodId),
+    status: 'active'
+  };
+  if (type && type !== 'all') query.type = type;
+
+  const results = await this.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'location.point',
+        distanceField: 'distance',
+        maxDistance: radius,
+        query,
+        spherical: true
+      }
+    },
+    { $limit: limit }
+  ]);
+
+  const posts = results.map(result => this.hydrate(result));
+  await this.populate(posts, { path: 'author', select: 'name avatar verificationLevel' });
+
+  return posts.map((post, index) => ({
+    post,
+    distance: Math.round(results[index].distance)
+  }));
+};
+
+// Static properties
+postSchema.statics.EDIT_WINDOW_MINUTES = EDIT_WINDOW_MINUTES;
+postSchema.statics.TRENDING_WINDOW = TRENDING_WINDOW;
+
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// How far back a reconnecting client can catch up
+const EVENT_RETENTION_SECONDS = 24 * 60 * 60; // 24 hours
+
+const realtimeEventSchema = new mongoose.Schema({
+  neighborhood: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighborhood',
+    required: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['post:new', 'comment:new', 'comment:likes', 'post:likes', 'alert:new', 'alert:deactivated', 'listing:status', 'poll:votes']
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+realtimeEventSchema.index({ neighborhood: 1, _id: 1 });
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_SECONDS });
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newSecret = () => crypto.randomBytes(40).toString('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// One session per signed-in device. Every refresh rotates the token; the
+// session is the token family, so replaying a rotated token revokes it.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Rotated-out tokens, kept to recognise replay of a stolen token
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+
+  device: {
+    name: String,
+    platform: String,
+    userAgent: String,
+    ip: String
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_others', 'revoked', 'reuse_detected']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtuals
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance methods
+sessionSchema.methods.issueRefreshToken = function() {
+  const secret = newSecret();
+
+  if (this.refreshTokenHash) {
+    this.previousTokenHashes = [...(this.previousTokenHashes || []), this.refreshTokenHash]
+      .slice(-MAX_PREVIOUS_TOKENS);
+  }
+
+  this.refreshTokenHash = hashToken(secret);
+  this.lastUsedAt = new Date();
+  this.expiresAt = refreshExpiry();
+
+  return `${this._id}.${secret}`;
+};
+
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static methods
+sessionSchema.statics.start = async function(userId, device = {}) {
+  const session = new this({ user: userId, device });
+  const refreshToken = session.issueRefreshToken();
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+sessionSchema.statics.findActiveById = function(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Exchange a refresh token for a new one.
+// Resolves to { session, refreshToken } or { error: 'invalid' | 'revoked' | 'reuse_detected' }
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: 'invalid' };
+  }
+
+  const session = await this.findById(sessionId).select('+previousTokenHashes');
+  if (!session) {
+    return { error: 'invalid' };
+  }
+
+  const presentedHash = hashToken(secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    if ((session.previousTokenHashes || []).includes(presentedHash)) {
+      await session.revoke('reuse_detected');
+      return { error: 'reuse_detected' };
+    }
+    return { error: 'invalid' };
+  }
+
+  if (!session.isActive) {
+    return { error: 'revoked' };
+  }
+
+  // Swap the hash only if it is still the one presented, so of two refreshes racing
+  // with the same token exactly one wins; the other is treated as a replay.
+  const nextSecret = newSecret();
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(nextSecret), lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await this.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+    );
+    return { error: 'reuse_detected' };
+  }
+
+  return { session: rotated, refreshToken: `${rotated._id}.${nextSecret}` };
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,48 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { toPoint } = require('../utils/geo');
+const { TEXT_INDEX_OPTIONS, searchKeys } = require('../utils/search');
+
+// OTP policy (overridable through the environment)
+const OTP_EXPIRE_MINUTES = parseInt(process.env.OTP_EXPIRE_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 3;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_DAILY_SEND_LIMIT = parseInt(process.env.OTP_DAILY_SEND_LIMIT) || 10;
+const OTP_MAX_FAILED_ATTEMPTS = parseInt(process.env.OTP_MAX_FAILED_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 30;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// OTPs are stored as a keyed hash bound to the phone number
+const hashOTP = (phone, otp) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+  .update(`${phone}:${otp}`)
+  .digest('hex');
+
+// Why an OTP cannot be checked right now, or null when it can
+const otpRejection = (otp, throttle = {}, now = new Date()) => {
+  if (throttle.lockedUntil && throttle.lockedUntil > now) return 'Too many failed attempts';
+  if (!otp || !otp.codeHash || !otp.expiresAt) return 'No OTP found';
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) return 'Maximum attempts exceeded';
+  if (now > otp.expiresAt) return 'OTP expired';
+  return null;
+};
+
+// Brings a loaded user in line with what an atomic update stored, without
+// marking the paths modified so a later save() cannot overwrite them
+const syncOTPState = (user, fields) => {
+  Object.entries(fields).forEach(([path, value]) => {
+    user.set(path, value);
+    user.unmarkModified(path);
+  });
+};
+
+// Calendar feed tokens are long random strings, so a plain SHA-256 is enough
+const hashCalendarToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token))
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -18,7 +60,7 @@ const userSchema = new mongoose.Schema({
   },
   
   otp: {
-    code: String,
+    codeHash: String,
     expiresAt: Date,
     attempts: {
       type: Number,
@@ -26,12 +68,45 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // OTP abuse protection, kept across OTP regenerations
+  otpThrottle: {
+    lastSentAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    windowStartedAt: Date,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  
+  // Last OTP SMS delivery outcome
+  otpDelivery: {
+    provider: String,
+    messageId: String,
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'delivered', 'failed']
+    },
+    error: String,
+    sentAt: Date
+  },
+  
   // Profile Information
   name: {
     type: String,
     trim: true,
     maxlength: [50, 'Name cannot exceed 50 characters']
   },
+
+  // Name words and phonetic keys for full-text search (see utils/search)
+  searchKeys: {
+    type: [String],
+    select: false
+  },
   
   email: {
     type: String,
@@ -55,6 +130,17 @@ const userSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    // GeoJSON mirror of coordinates for geo queries, kept in sync on validate
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
     geohash: String
   },
   
@@ -62,6 +148,19 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // How the current address was verified (see AddressVerification)
+  addressVerification: {
+    method: {
+      type: String,
+      enum: ['gps', 'postcard', 'vouch', 'document']
+    },
+    verifiedAt: Date,
+    verification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AddressVerification'
+    }
+  },
   
   neighborhood: {
     type: mongoose.Schema.Types.ObjectId,
@@ -71,7 +170,7 @@ const userSchema = new mongoose.Schema({
   // Preferences
   language: {
     type: String,
-    enum: ['en', 'hi'],
+    enum: ['en', 'hi', 'kn'],
     default: 'en'
   },
   
@@ -108,19 +207,56 @@ const userSchema = new mongoose.Schema({
     default: Date.now
   },
   
-  // Push Notification Token
+  // Push Notification Token (legacy single device, superseded by pushTokens)
   pushToken: {
     type: String,
     default: ''
   },
   
-  // Trust Score
+  // Push Notification Tokens, one per device
+  pushTokens: [{
+    token: {
+      type: String,
+      required: true
+    },
+    provider: {
+      type: String,
+      enum: ['expo', 'fcm'],
+      default: 'expo'
+    },
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web']
+    },
+    deviceId: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Secret for the subscribable calendar feed URL; only the hash is stored
+  calendarToken: {
+    hash: {
+      type: String,
+      select: false
+    },
+    createdAt: Date
+  },
+  
+  // Trust Score (computed by services/trustService)
   trustScore: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
   },
+
+  trustUpdatedAt: Date,
   
   // Verification Level
   verificationLevel: {
@@ -137,8 +273,15 @@ const userSchema = new mongoose.Schema({
 // Indexes for performance
 userSchema.index({ phone: 1 });
 userSchema.index({ 'address.geohash': 1 });
-userSchema.index({ neighborhood: 1 });
+userSchema.index({ 'address.point': '2dsphere' });
+userSchema.index({ neighborhood: 1, status: 1, joinedAt: -1 });
 userSchema.index({ status: 1, role: 1 });
+userSchema.index({ 'pushTokens.token': 1 });
+userSchema.index({ 'calendarToken.hash': 1 }, { sparse: true });
+userSchema.index(
+  { name: 'text', searchKeys: 'text' },
+  { ...TEXT_INDEX_OPTIONS, name: 'user_search', weights: { name: 3, searchKeys: 1 } }
+);
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -150,6 +293,32 @@ userSchema.virtual('isVerified').get(function() {
   return this.isPhoneVerified && this.isAddressVerified && this.status === 'active';
 });
 
+// Keep the GeoJSON point in step with the plain coordinates
+userSchema.pre('validate', function(next) {
+  if (this.isModified('address.coordinates')) {
+    this.address.point = toPoint(this.address.coordinates);
+  }
+  next();
+});
+
+userSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.searchKeys = searchKeys(this.name);
+  }
+  next();
+});
+
+// Profile edits go through findByIdAndUpdate, which skips document middleware
+userSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const name = update.$set && update.$set.name !== undefined ? update.$set.name : update.name;
+
+  if (name !== undefined) {
+    this.set('searchKeys', searchKeys(name));
+  }
+  next();
+});
+
 // Pre-save middleware for password hashing (if we add password auth later)
 userSchema.pre('save', async function(next) {
   // Update verification level based on completed steps
@@ -167,55 +336,204 @@ userSchema.pre('save', async function(next) {
 });
 
 // Instance methods
-userSchema.methods.generateAuthToken = function() {
+userSchema.methods.markAddressVerified = function(verification) {
+  this.isAddressVerified = true;
+  this.addressVerification = {
+    method: verification.method,
+    verifiedAt: new Date(),
+    verification: verification._id
+  };
+  return this.save();
+};
+
+// Short-lived access token bound to a device session (see Session model)
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
+      sid: sessionId,
       phone: this.phone, 
       role: this.role,
       neighborhood: this.neighborhood 
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
+userSchema.methods.canSendOTP = function() {
+  const now = Date.now();
+  const throttle = this.otpThrottle || {};
+  
+  if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'locked',
+      retryAfter: Math.ceil((throttle.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+  
+  if (throttle.lastSentAt) {
+    const cooldownEndsAt = throttle.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000;
+    if (cooldownEndsAt > now) {
+      return {
+        allowed: false,
+        reason: 'cooldown',
+        retryAfter: Math.ceil((cooldownEndsAt - now) / 1000)
+      };
+    }
+  }
+  
+  if (throttle.windowStartedAt && throttle.sendCount >= OTP_DAILY_SEND_LIMIT) {
+    const windowEndsAt = throttle.windowStartedAt.getTime() + ONE_DAY_MS;
+    if (windowEndsAt > now) {
+      return {
+        allowed: false,
+        reason: 'daily_limit',
+        retryAfter: Math.ceil((windowEndsAt - now) / 1000)
+      };
+    }
+  }
+  
+  return { allowed: true };
+};
+
 userSchema.methods.generateOTP = function() {
-  // Generate 6-digit OTP
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  // Generate 6-digit OTP from a CSPRNG
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const now = new Date();
   
   this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+    codeHash: hashOTP(this.phone, otp),
+    expiresAt: new Date(now.getTime() + OTP_EXPIRE_MINUTES * 60 * 1000),
     attempts: 0
   };
   
+  // Track sends in a rolling 24 hour window
+  const throttle = this.otpThrottle || {};
+  if (!throttle.windowStartedAt || now - throttle.windowStartedAt >= ONE_DAY_MS) {
+    throttle.windowStartedAt = now;
+    throttle.sendCount = 0;
+  }
+  throttle.sendCount += 1;
+  throttle.lastSentAt = now;
+  this.otpThrottle = throttle;
+  
   return otp;
 };
 
-userSchema.methods.verifyOTP = function(otpCode) {
-  if (!this.otp.code || !this.otp.expiresAt) {
-    return { valid: false, message: 'No OTP found' };
+// Checks the OTP and records the outcome with conditional atomic updates, so parallel
+// guesses each count towards OTP_MAX_ATTEMPTS and the lockout. Nothing is left to save.
+userSchema.methods.verifyOTP = async function(otpCode) {
+  const now = new Date();
+  const rejection = otpRejection(this.otp, this.otpThrottle, now);
+  if (rejection) return { valid: false, message: rejection };
+
+  const expected = Buffer.from(this.otp.codeHash, 'hex');
+  const received = Buffer.from(hashOTP(this.phone, String(otpCode)), 'hex');
+  const notLocked = { 'otpThrottle.lockedUntil': { $not: { $gt: now } } };
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    // Failures accumulate across regenerated OTPs until the account locks
+    const counted = await this.constructor.findOneAndUpdate(
+      { _id: this._id, ...notLocked },
+      { $inc: { 'otp.attempts': 1, 'otpThrottle.failedAttempts': 1 } },
+      { new: true, projection: 'otp otpThrottle' }
+    );
+    if (!counted) return { valid: false, message: 'Too many failed attempts' };
+
+    if (counted.otpThrottle.failedAttempts >= OTP_MAX_FAILED_ATTEMPTS) {
+      const lockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+      await this.constructor.updateOne(
+        { _id: this._id },
+        {
+          $set: { 'otpThrottle.lockedUntil': lockedUntil, 'otpThrottle.failedAttempts': 0 },
+          $unset: { otp: 1 }
+        }
+      );
+      syncOTPState(this, {
+        otp: undefined,
+        'otpThrottle.lockedUntil': lockedUntil,
+        'otpThrottle.failedAttempts': 0
+      });
+      return { valid: false, message: 'Too many failed attempts' };
+    }
+
+    syncOTPState(this, {
+      'otp.attempts': counted.otp.attempts,
+      'otpThrottle.failedAttempts': counted.otpThrottle.failedAttempts
+    });
+    return { valid: false, message: 'Invalid OTP' };
   }
-  
-  if (this.otp.attempts >= 3) {
-    return { valid: false, message: 'Maximum attempts exceeded' };
+
+  // Consume the code only if no parallel request locked the account, used up its
+  // attempts or consumed it first
+  const verified = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'otp.codeHash': this.otp.codeHash,
+      'otp.attempts': { $lt: OTP_MAX_ATTEMPTS },
+      ...notLocked
+    },
+    {
+      $set: { isPhoneVerified: true, 'otpThrottle.failedAttempts': 0 },
+      $unset: { otp: 1, 'otpThrottle.lockedUntil': 1 }
+    },
+    { new: true, projection: 'otpThrottle' }
+  );
+
+  if (!verified) {
+    const current = await this.constructor.findById(this._id).select('otp otpThrottle').lean();
+    return {
+      valid: false,
+      message: (current && otpRejection(current.otp, current.otpThrottle)) || 'No OTP found'
+    };
   }
+
+  syncOTPState(this, {
+    isPhoneVerified: true,
+    otp: undefined,
+    'otpThrottle.failedAttempts': 0,
+    'otpThrottle.lockedUntil': undefined
+  });
+
+  return { valid: true, message: 'OTP verified successfully' };
+};
+
+userSchema.methods.addPushToken = function({ token, provider, platform, deviceId }) {
+  // A device re-registering replaces its previous token
+  this.pushTokens = this.pushTokens.filter(entry =>
+    entry.token !== token && !(deviceId && entry.deviceId === deviceId)
+  );
   
-  if (new Date() > this.otp.expiresAt) {
-    return { valid: false, message: 'OTP expired' };
-  }
+  this.pushTokens.push({
+    token,
+    provider,
+    platform,
+    deviceId,
+    createdAt: new Date(),
+    lastUsedAt: new Date()
+  });
   
-  if (this.otp.code !== otpCode) {
-    this.otp.attempts += 1;
-    return { valid: false, message: 'Invalid OTP' };
+  return this.save();
+};
+
+userSchema.methods.removePushToken = function(token) {
+  this.pushTokens = this.pushTokens.filter(entry => entry.token !== token);
+  if (this.pushToken === token) {
+    this.pushToken = '';
   }
-  
-  // OTP is valid
-  this.isPhoneVerified = true;
-  this.otp = undefined; // Clear OTP after successful verification
-  
-  return { valid: true, message: 'OTP verified successfully' };
+  return this.save();
+};
+
+// Issues a new calendar feed token, revoking any previous feed URL
+userSchema.methods.generateCalendarToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.calendarToken = {
+    hash: hashCalendarToken(token),
+    createdAt: new Date()
+  };
+  return token;
 };
 
 userSchema.methods.updateLastActive = function() {
@@ -228,6 +546,11 @@ userSchema.statics.findByPhone = function(phone) {
   return this.findOne({ phone });
 };
 
+userSchema.statics.findByCalendarToken = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ 'calendarToken.hash': hashCalendarToken(token), status: 'active' });
+};
+
 userSchema.statics.findByNeighborhood = function(neighborhoodId) {
   return this.find({ 
     neighborhood: neighborhoodId, 
@@ -1,12 +1,25 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { protect, authorize, requireAddressVerification } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
+const Alert = require('../models/Alert');
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const push = require('../services/push');
+const { notifyNeighborhoodOfAlert } = require('../services/notificationService');
+const realtime = require('../services/realtime');
+const cursor = require('../utils/cursor');
 
 const router = express.Router();
 
-// In-memory storage for alerts (use Redis in production)
-let alerts = [];
+// Push categories for each alert type (gated by the matching user preference)
+const ALERT_PUSH_CATEGORIES = {
+  safety: 'safety',
+  emergency: 'safety',
+  event: 'events',
+  announcement: 'community',
+  community: 'community'
+};
 
 // @desc    Create safety alert
 // @route   POST /api/alerts/create
@@ -34,8 +47,7 @@ const createAlert = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const alert = {
-    id: Date.now().toString(),
+  const alert = await Alert.create({
     title,
     message,
     hindi_message: hindi_message || message,
@@ -43,12 +55,23 @@ const createAlert = asyncHandler(async (req, res, next) => {
     severity: severity || 'medium',
     neighborhood: req.user.neighborhood._id,
     createdBy: req.user.id,
-    createdAt: new Date(),
-    expiresAt: new Date(Date.now() + (expiresIn || 24) * 60 * 60 * 1000), // Default 24 hours
-    isActive: true
-  };
+    expiresAt: new Date(Date.now() + (expiresIn || 24) * 60 * 60 * 1000) // Default 24 hours
+  });
+
+  push.sendToNeighborhood(alert.neighborhood, {
+    title: alert.title,
+    message: alert.message,
+    hindi_message: alert.hindi_message,
+    data: { type: 'alert', alertId: alert._id.toString() },
+    priority: ['high', 'critical'].includes(alert.severity) ? 'high' : 'normal'
+  }, {
+    category: ALERT_PUSH_CATEGORIES[alert.type]
+  }).catch(error => console.error('Alert push fan-out failed:', error.message));
+
+  notifyNeighborhoodOfAlert(alert)
+    .catch(error => console.error('Alert inbox fan-out failed:', error.message));
 
-  alerts.push(alert);
+  realtime.publishInBackground(alert.neighborhood, 'alert:new', { alert });
 
   res.status(201).json({
     success: true,
@@ -72,12 +95,7 @@ const getActiveAlerts = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const now = new Date();
-  const activeAlerts = alerts.filter(alert => 
-    alert.neighborhood.toString() === req.user.neighborhood._id.toString() &&
-    alert.isActive &&
-    alert.expiresAt > now
-  );
+  const activeAlerts = await Alert.findActive(req.user.neighborhood._id);
 
   res.json({
     success: true,
@@ -93,9 +111,57 @@ const getActiveAlerts = asyncHandler(async (req, res, next) => {
 // @route   GET /api/alerts/all
 // @access  Private (Admin)
 const getAllAlerts = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      kannada_message: 'ಪರಿಶೀಲನೆ ವಿಫಲವಾಗಿದೆ',
+      errors: errors.array()
+    });
+  }
+
+  const paging = cursor.fromQuery(req.query, { maxLimit: 100 });
+  const { type, severity, neighborhood, status } = req.query;
+
+  if (!paging) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor',
+      hindi_message: 'अमान्य कर्सर',
+      kannada_message: 'ಅಮಾನ್ಯ ಕರ್ಸರ್'
+    });
+  }
+
+  const filter = {};
+
+  if (type) filter.type = type;
+  if (severity) filter.severity = severity;
+  if (neighborhood) filter.neighborhood = neighborhood;
+
+  // Filter by lifecycle state
+  if (status === 'active') {
+    filter.isActive = true;
+    filter.expiresAt = { $gt: new Date() };
+  } else if (status === 'expired') {
+    filter.expiresAt = { $lte: new Date() };
+  } else if (status === 'deactivated') {
+    filter.isActive = false;
+  }
+
+  const { items: alerts, pagination } = await cursor.paginate(
+    filter => Alert.find(filter)
+      .populate('createdBy', 'name avatar role')
+      .populate('neighborhood', 'name location.address.city'),
+    filter,
+    paging
+  );
+
   res.json({
     success: true,
     count: alerts.length,
+    ...pagination,
     message: 'All alerts retrieved successfully',
     hindi_message: 'सभी अलर्ट सफलतापूर्वक प्राप्त किए गए',
     kannada_message: 'ಎಲ್ಲಾ ಎಚ್ಚರಿಕೆಗಳನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಪಡೆಯಲಾಗಿದೆ',
@@ -107,7 +173,7 @@ const getAllAlerts = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/alerts/:id/deactivate
 // @access  Private (Moderators/Admins)
 const deactivateAlert = asyncHandler(async (req, res, next) => {
-  const alert = alerts.find(a => a.id === req.params.id);
+  const alert = await Alert.findById(req.params.id);
 
   if (!alert) {
     return res.status(404).json({
@@ -129,7 +195,9 @@ const deactivateAlert = asyncHandler(async (req, res, next) => {
     });
   }
 
-  alert.isActive = false;
+  await alert.deactivate(req.user.id);
+
+  realtime.publishInBackground(alert.neighborhood, 'alert:deactivated', { alertId: alert._id });
 
   res.json({
     success: true,
@@ -156,25 +224,32 @@ const sendNotification = asyncHandler(async (req, res, next) => {
 
   const { title, message, hindi_message, type } = req.body;
 
-  // In a real app, this would send push notifications
-  // For MVP, we'll just create a notification record
   const notification = {
-    id: Date.now().toString(),
     title,
     message,
     hindi_message: hindi_message || message,
     type: type || 'community',
     neighborhood: req.user.neighborhood._id,
     createdBy: req.user.id,
-    createdAt: new Date(),
-    isRead: false
+    createdAt: new Date()
   };
 
+  const recipients = await push.sendToNeighborhood(notification.neighborhood, {
+    title,
+    message,
+    hindi_message: notification.hindi_message,
+    data: { type: 'community' }
+  }, {
+    category: ALERT_PUSH_CATEGORIES[notification.type],
+    excludeUserId: req.user.id
+  });
+
   res.json({
     success: true,
     message: 'Notification sent successfully',
     hindi_message: 'अधिसूचना सफलतापूर्वक भेजी गई',
     kannada_message: 'ಅಧಿಸೂಚನೆ ಯಶಸ್ವಿಯಾಗಿ ಕಳುಹಿಸಲಾಗಿದೆ',
+    queued: recipients,
     notification
   });
 });
@@ -266,19 +341,16 @@ const reportIncident = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const incident = {
-    id: Date.now().toString(),
+  const incident = await Incident.create({
     type,
     description,
     location,
     severity: severity || 'medium',
     neighborhood: req.user.neighborhood._id,
-    reportedBy: req.user.id,
-    reportedAt: new Date(),
-    status: 'pending'
-  };
+    reportedBy: req.user.id
+  });
 
-  res.json({
+  res.status(201).json({
     success: true,
     message: 'Incident reported successfully',
     hindi_message: 'घटना की रिपोर्ट सफलतापूर्वक की गई',
@@ -287,6 +359,292 @@ const reportIncident = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Admins can handle any incident, moderators only those in their own neighborhood
+const canModerateIncident = (user, incident) => {
+  if (user.role === 'admin') return true;
+
+  return user.role === 'moderator' &&
+    !!user.neighborhood &&
+    incident.neighborhood.toString() === user.neighborhood._id.toString();
+};
+
+// @desc    Get incidents reported by current user
+// @route   GET /api/alerts/incidents/mine
+// @access  Private
+const getMyIncidents = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      kannada_message: 'ಪರಿಶೀಲನೆ ವಿಫಲವಾಗಿದೆ',
+      errors: errors.array()
+    });
+  }
+
+  const paging = cursor.fromQuery(req.query, { maxLimit: 100 });
+  const { status } = req.query;
+
+  if (!paging) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor',
+      hindi_message: 'अमान्य कर्सर',
+      kannada_message: 'ಅಮಾನ್ಯ ಕರ್ಸರ್'
+    });
+  }
+
+  const filter = { reportedBy: req.user.id };
+  if (status) filter.status = status;
+
+  const { items: incidents, pagination } = await cursor.paginate(
+    filter => Incident.find(filter).populate('assignedTo', 'name avatar role'),
+    filter,
+    paging
+  );
+
+  res.json({
+    success: true,
+    count: incidents.length,
+    ...pagination,
+    message: 'Your incidents retrieved successfully',
+    hindi_message: 'आपकी घटनाएं सफलतापूर्वक प्राप्त की गईं',
+    kannada_message: 'ನಿಮ್ಮ ಘಟನೆಗಳನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಪಡೆಯಲಾಗಿದೆ',
+    incidents
+  });
+});
+
+// @desc    Get incidents for moderation
+// @route   GET /api/alerts/incidents
+// @access  Private (Moderators/Admins)
+const getIncidents = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      kannada_message: 'ಪರಿಶೀಲನೆ ವಿಫಲವಾಗಿದೆ',
+      errors: errors.array()
+    });
+  }
+
+  const paging = cursor.fromQuery(req.query, { maxLimit: 100 });
+  const { status, type, severity, assigned, neighborhood } = req.query;
+
+  if (!paging) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor',
+      hindi_message: 'अमान्य कर्सर',
+      kannada_message: 'ಅಮಾನ್ಯ ಕರ್ಸರ್'
+    });
+  }
+
+  const filter = {};
+
+  if (req.user.role === 'admin') {
+    if (neighborhood) filter.neighborhood = neighborhood;
+  } else {
+    if (!req.user.neighborhood) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your address to moderate incidents',
+        hindi_message: 'घटनाओं को मॉडरेट करने के लिए कृपया अपना पता सत्यापित करें',
+        kannada_message: 'ಘಟನೆಗಳನ್ನು ಮಾಡರೇಟ್ ಮಾಡಲು ದಯವಿಟ್ಟು ನಿಮ್ಮ ವಿಳಾಸವನ್ನು ಪರಿಶೀಲಿಸಿ'
+      });
+    }
+    filter.neighborhood = req.user.neighborhood._id;
+  }
+
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  if (severity) filter.severity = severity;
+  if (assigned === 'me') filter.assignedTo = req.user.id;
+  if (assigned === 'none') filter.assignedTo = null;
+
+  const { items: incidents, pagination } = await cursor.paginate(
+    filter => Incident.find(filter)
+      .populate('reportedBy', 'name avatar verificationLevel')
+      .populate('assignedTo', 'name avatar role'),
+    filter,
+    paging
+  );
+
+  res.json({
+    success: true,
+    count: incidents.length,
+    ...pagination,
+    message: 'Incidents retrieved successfully',
+    hindi_message: 'घटनाएं सफलतापूर्वक प्राप्त की गईं',
+    kannada_message: 'ಘಟನೆಗಳನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಪಡೆಯಲಾಗಿದೆ',
+    incidents
+  });
+});
+
+// @desc    Get single incident
+// @route   GET /api/alerts/incidents/:id
+// @access  Private (Reporter/Moderators/Admins)
+const getIncident = asyncHandler(async (req, res, next) => {
+  const incident = await Incident.findById(req.params.id)
+    .populate('reportedBy', 'name avatar verificationLevel')
+    .populate('assignedTo', 'name avatar role')
+    .populate('statusHistory.changedBy', 'name role');
+
+  if (!incident) {
+    return res.status(404).json({
+      success: false,
+      message: 'Incident not found',
+      hindi_message: 'घटना नहीं मिली',
+      kannada_message: 'ಘಟನೆ ಕಂಡುಬಂದಿಲ್ಲ'
+    });
+  }
+
+  const isReporter = incident.reportedBy._id.toString() === req.user.id.toString();
+
+  if (!isReporter && !canModerateIncident(req.user, incident)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not authorized to view this incident',
+      hindi_message: 'आप इस घटना को देखने के लिए अधिकृत नहीं हैं',
+      kannada_message: 'ನೀವು ಈ ಘಟನೆಯನ್ನು ವೀಕ್ಷಿಸಲು ಅಧಿಕೃತರಾಗಿಲ್ಲ'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Incident retrieved successfully',
+    hindi_message: 'घटना सफलतापूर्वक प्राप्त की गई',
+    kannada_message: 'ಘಟನೆಯನ್ನು ಯಶಸ್ವಿಯಾಗಿ ಪಡೆಯಲಾಗಿದೆ',
+    incident
+  });
+});
+
+// @desc    Assign incident to a moderator
+// @route   PUT /api/alerts/incidents/:id/assign
+// @access  Private (Moderators/Admins)
+const assignIncident = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      kannada_message: 'ಪರಿಶೀಲನೆ ವಿಫಲವಾಗಿದೆ',
+      errors: errors.array()
+    });
+  }
+
+  const incident = await Incident.findById(req.params.id);
+
+  if (!incident) {
+    return res.status(404).json({
+      success: false,
+      message: 'Incident not found',
+      hindi_message: 'घटना नहीं मिली',
+      kannada_message: 'ಘಟನೆ ಕಂಡುಬಂದಿಲ್ಲ'
+    });
+  }
+
+  if (!canModerateIncident(req.user, incident)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not authorized to manage this incident',
+      hindi_message: 'आप इस घटना को प्रबंधित करने के लिए अधिकृत नहीं हैं',
+      kannada_message: 'ನೀವು ಈ ಘಟನೆಯನ್ನು ನಿರ್ವಹಿಸಲು ಅಧಿಕೃತರಾಗಿಲ್ಲ'
+    });
+  }
+
+  // Default to self-assignment
+  const assignee = req.body.assigneeId
+    ? await User.findById(req.body.assigneeId).populate('neighborhood')
+    : req.user;
+
+  if (!assignee || !canModerateIncident(assignee, incident)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Assignee must be a moderator of this neighborhood',
+      hindi_message: 'असाइनी इस मोहल्ले का मॉडरेटर होना चाहिए',
+      kannada_message: 'ನಿಯೋಜಿತರು ಈ ಪ್ರದೇಶದ ಮಾಡರೇಟರ್ ಆಗಿರಬೇಕು'
+    });
+  }
+
+  await incident.assign(assignee._id);
+  await incident.populate('assignedTo', 'name avatar role');
+
+  res.json({
+    success: true,
+    message: 'Incident assigned successfully',
+    hindi_message: 'घटना सफलतापूर्वक असाइन की गई',
+    kannada_message: 'ಘಟನೆಯನ್ನು ಯಶಸ್ವಿಯಾಗಿ ನಿಯೋಜಿಸಲಾಗಿದೆ',
+    incident
+  });
+});
+
+// @desc    Move incident to a new status
+// @route   PUT /api/alerts/incidents/:id/status
+// @access  Private (Moderators/Admins)
+const updateIncidentStatus = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      kannada_message: 'ಪರಿಶೀಲನೆ ವಿಫಲವಾಗಿದೆ',
+      errors: errors.array()
+    });
+  }
+
+  const { status, note } = req.body;
+  const incident = await Incident.findById(req.params.id);
+
+  if (!incident) {
+    return res.status(404).json({
+      success: false,
+      message: 'Incident not found',
+      hindi_message: 'घटना नहीं मिली',
+      kannada_message: 'ಘಟನೆ ಕಂಡುಬಂದಿಲ್ಲ'
+    });
+  }
+
+  if (!canModerateIncident(req.user, incident)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are not authorized to manage this incident',
+      hindi_message: 'आप इस घटना को प्रबंधित करने के लिए अधिकृत नहीं हैं',
+      kannada_message: 'ನೀವು ಈ ಘಟನೆಯನ್ನು ನಿರ್ವಹಿಸಲು ಅಧಿಕೃತರಾಗಿಲ್ಲ'
+    });
+  }
+
+  if (!incident.canTransitionTo(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot move incident from ${incident.status} to ${status}`,
+      hindi_message: `घटना को ${incident.status} से ${status} में नहीं बदला जा सकता`,
+      kannada_message: `ಘಟನೆಯನ್ನು ${incident.status} ನಿಂದ ${status} ಗೆ ಬದಲಾಯಿಸಲು ಸಾಧ್ಯವಿಲ್ಲ`,
+      allowedStatuses: Incident.STATUS_TRANSITIONS[incident.status]
+    });
+  }
+
+  // Whoever picks up an unassigned incident owns it
+  if (!incident.assignedTo) {
+    incident.assignedTo = req.user.id;
+    incident.assignedAt = new Date();
+  }
+
+  await incident.transitionTo(status, req.user.id, note);
+
+  res.json({
+    success: true,
+    message: 'Incident status updated successfully',
+    hindi_message: 'घटना की स्थिति सफलतापूर्वक अपडेट की गई',
+    kannada_message: 'ಘಟನೆಯ ಸ್ಥಿತಿಯನ್ನು ಯಶಸ್ವಿಯಾಗಿ ನವೀಕರಿಸಲಾಗಿದೆ',
+    incident
+  });
+});
+
 // Validation rules
 const alertValidation = [
   body('title')
@@ -330,14 +688,80 @@ const incidentValidation = [
     .withMessage('Invalid severity level')
 ];
 
+const assignValidation = [
+  body('assigneeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid assignee ID')
+];
+
+const incidentStatusValidation = [
+  body('status')
+    .isIn(Object.keys(Incident.STATUS_TRANSITIONS))
+    .withMessage('Invalid incident status'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// Query filters are checked so that only plain values reach the Mongo filter
+// (e.g. ?severity[$ne]=x would otherwise arrive as an operator)
+const alertFilterValidation = [
+  query('type')
+    .optional()
+    .isIn(['safety', 'event', 'announcement', 'emergency'])
+    .withMessage('Invalid alert type'),
+  query('severity')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Invalid severity level'),
+  query('neighborhood')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid neighborhood ID'),
+  query('status')
+    .optional()
+    .isIn(['active', 'expired', 'deactivated'])
+    .withMessage('Invalid alert status')
+];
+
+const incidentFilterValidation = [
+  query('type')
+    .optional()
+    .isIn(['suspicious_activity', 'noise_complaint', 'parking_issue', 'safety_concern', 'other'])
+    .withMessage('Invalid incident type'),
+  query('severity')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Invalid severity level'),
+  query('neighborhood')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid neighborhood ID'),
+  query('status')
+    .optional()
+    .isIn(Object.keys(Incident.STATUS_TRANSITIONS))
+    .withMessage('Invalid incident status'),
+  query('assigned')
+    .optional()
+    .isIn(['me', 'none'])
+    .withMessage('Assigned must be me or none')
+];
+
 // Routes
 router.post('/create', protect, authorize('moderator', 'admin'), alertValidation, createAlert);
 router.get('/active', protect, requireAddressVerification, getActiveAlerts);
-router.get('/all', protect, authorize('admin'), getAllAlerts);
+router.get('/all', protect, authorize('admin'), alertFilterValidation, getAllAlerts);
 router.put('/:id/deactivate', protect, authorize('moderator', 'admin'), deactivateAlert);
 router.post('/notify', protect, authorize('moderator', 'admin'), alertValidation, sendNotification);
 router.get('/emergency-contacts', protect, getEmergencyContacts);
 router.post('/report-incident', protect, requireAddressVerification, incidentValidation, reportIncident);
+router.get('/incidents/mine', protect, incidentFilterValidation, getMyIncidents);
+router.get('/incidents', protect, authorize('moderator', 'admin'), incidentFilterValidation, getIncidents);
+router.get('/incidents/:id', protect, getIncident);
+router.put('/incidents/:id/assign', protect, authorize('moderator', 'admin'), assignValidation, assignIncident);
+router.put('/incidents/:id/status', protect, authorize('moderator', 'admin'), incidentStatusValidation, updateIncidentStatus);
 
 // Test route
 router.get('/test', (req, res) => {
@@ -352,7 +776,12 @@ router.get('/test', (req, res) => {
       'PUT /api/alerts/:id/deactivate',
       'POST /api/alerts/notify',
       'GET /api/alerts/emergency-contacts',
-      'POST /api/alerts/report-incident'
+      'POST /api/alerts/report-incident',
+      'GET /api/alerts/incidents/mine',
+      'GET /api/alerts/incidents',
+      'GET /api/alerts/incidents/:id',
+      'PUT /api/alerts/incidents/:id/assign',
+      'PUT /api/alerts/incidents/:id/status'
     ]
   });
 });
@@ -11,7 +11,11 @@ const {
   getMe,
   updateProfile,
   logout,
-  verifyAddress
+  verifyAddress,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 } = require('../controllers/authController');
 
 // Import middleware
@@ -60,8 +64,8 @@ const emailValidation = [
 const languageValidation = [
   body('language')
     .optional()
-    .isIn(['en', 'hi'])
-    .withMessage('Language must be either English (en) or Hindi (hi)')
+    .isIn(['en', 'hi', 'kn'])
+    .withMessage('Language must be English (en), Hindi (hi) or Kannada (kn)')
 ];
 
 const addressValidation = [
@@ -93,6 +97,13 @@ const addressValidation = [
     .withMessage('Longitude must be between -180 and 180')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 // Routes
 
 // @route   POST /api/auth/register
@@ -172,6 +183,38 @@ router.post(
   logout
 );
 
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+router.post(
+  '/refresh',
+  refreshTokenValidation,
+  refreshToken
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List signed-in devices
+router.get(
+  '/sessions',
+  protect,
+  getSessions
+);
+
+// @route   POST /api/auth/sessions/revoke-others
+// @desc    Log out all other devices
+router.post(
+  '/sessions/revoke-others',
+  protect,
+  revokeOtherSessions
+);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out a single device
+router.delete(
+  '/sessions/:id',
+  protect,
+  revokeSession
+);
+
 // @route   GET /api/auth/test
 // @desc    Test authentication route
 router.get('/test', (req, res) => {
@@ -186,7 +229,11 @@ router.get('/test', (req, res) => {
       'GET /api/auth/me',
       'PUT /api/auth/update-profile',
       'POST /api/auth/verify-address',
-      'POST /api/auth/logout'
+      'POST /api/auth/logout',
+      'POST /api/auth/refresh',
+      'GET /api/auth/sessions',
+      'POST /api/auth/sessions/revoke-others',
+      'DELETE /api/auth/sessions/:id'
     ]
   });
 });
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getFeedStatus,
+  createFeedToken,
+  revokeFeedToken,
+  myEventsFeed,
+  neighborhoodFeed
+} = require('../controllers/calendarController');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+
+// Routes
+
+// @route   GET /api/calendar/token
+// @desc    Check whether the calendar feed is enabled
+router.get('/token', protect, getFeedStatus);
+
+// @route   POST /api/calendar/token
+// @desc    Create or rotate calendar feed URLs
+router.post('/token', protect, createFeedToken);
+
+// @route   DELETE /api/calendar/token
+// @desc    Revoke calendar feed URLs
+router.delete('/token', protect, revokeFeedToken);
+
+// @route   GET /api/calendar/test
+// @desc    Test calendar route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Calendar routes are working!',
+    hindi_message: 'कैलेंडर मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/calendar/token',
+      'POST /api/calendar/token',
+      'DELETE /api/calendar/token',
+      'GET /api/calendar/:token/my-events.ics',
+      'GET /api/calendar/:token/neighborhood.ics',
+      'GET /api/posts/:id/event.ics'
+    ]
+  });
+});
+
+// Calendar apps cannot send an Authorization header; the secret is in the URL
+
+// @route   GET /api/calendar/:token/my-events.ics
+// @desc    Events the user RSVP'd to
+router.get('/:token/my-events.ics', myEventsFeed);
+
+// @route   GET /api/calendar/:token/neighborhood.ics
+// @desc    All events in the user's neighborhood
+router.get('/:token/neighborhood.ics', neighborhoodFeed);
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+
+// Import controllers
+const {
+  getReplies,
+  editComment,
+  deleteComment,
+  toggleCommentLike,
+  reportComment,
+  getReportedComments,
+  removeComment,
+  restoreComment
+} = require('../controllers/commentController');
+
+// Import middleware
+const { protect, authorize, requireAddressVerification } = require('../middleware/auth');
+
+// Validation rules
+const editValidation = [
+  body('content')
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Comment must be between 1 and 500 characters')
+];
+
+const reportValidation = [
+  body('reason')
+    .isIn(['spam', 'inappropriate', 'harassment', 'false_information', 'other'])
+    .withMessage('Invalid report reason'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const removeValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 300 })
+    .withMessage('Removal reason must be between 3 and 300 characters')
+];
+
+// Routes
+
+// @route   GET /api/comments/test
+// @desc    Test comments route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Comment routes are working!',
+    hindi_message: 'टिप्पणी मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/comments/reported',
+      'GET /api/comments/:id/replies',
+      'PUT /api/comments/:id',
+      'DELETE /api/comments/:id',
+      'PUT /api/comments/:id/like',
+      'POST /api/comments/:id/report',
+      'PUT /api/comments/:id/remove',
+      'PUT /api/comments/:id/restore',
+      'GET /api/posts/:id/comments',
+      'POST /api/posts/:id/comment',
+      'POST /api/posts/:postId/comments/:commentId/reply'
+    ]
+  });
+});
+
+// @route   GET /api/comments/reported
+// @desc    Reported comments awaiting review
+router.get(
+  '/reported',
+  protect,
+  authorize('moderator', 'admin'),
+  getReportedComments
+);
+
+// @route   GET /api/comments/:id/replies
+// @desc    Get replies to a comment (paginated)
+router.get(
+  '/:id/replies',
+  protect,
+  requireAddressVerification,
+  getReplies
+);
+
+// @route   PUT /api/comments/:id
+// @desc    Edit own comment
+router.put(
+  '/:id',
+  protect,
+  requireAddressVerification,
+  editValidation,
+  editComment
+);
+
+// @route   DELETE /api/comments/:id
+// @desc    Delete comment
+router.delete(
+  '/:id',
+  protect,
+  requireAddressVerification,
+  deleteComment
+);
+
+// @route   PUT /api/comments/:id/like
+// @desc    Like/Unlike comment or reply
+router.put(
+  '/:id/like',
+  protect,
+  requireAddressVerification,
+  toggleCommentLike
+);
+
+// @route   POST /api/comments/:id/report
+// @desc    Report comment
+router.post(
+  '/:id/report',
+  protect,
+  requireAddressVerification,
+  reportValidation,
+  reportComment
+);
+
+// @route   PUT /api/comments/:id/remove
+// @desc    Remove comment with a reason (moderators)
+router.put(
+  '/:id/remove',
+  protect,
+  authorize('moderator', 'admin'),
+  removeValidation,
+  removeComment
+);
+
+// @route   PUT /api/comments/:id/restore
+// @desc    Dismiss reports and restore comment (moderators)
+router.put(
+  '/:id/restore',
+  protect,
+  authorize('moderator', 'admin'),
+  restoreComment
+);
+
+module.exports = router;
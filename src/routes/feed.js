@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getHomeFeed } = require('../controllers/feedController');
+
+// Import middleware
+const { protect, requireAddressVerification } = require('../middleware/auth');
+
+// Routes
+
+// @route   GET /api/feed/home
+// @desc    Personalized home feed (alerts, events, posts and listings)
+router.get('/home', protect, requireAddressVerification, getHomeFeed);
+
+// @route   GET /api/feed/test
+// @desc    Test feed route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Feed routes are working!',
+    hindi_message: 'फ़ीड मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/feed/home?cursor=&limit='
+    ]
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getSignedFile } = require('../controllers/fileController');
+
+// Routes
+
+// @route   GET /api/files/test
+// @desc    Test files route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'File routes are working!',
+    hindi_message: 'फ़ाइल मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/files/:key?expires=&signature= (signed links to locally stored files)'
+    ]
+  });
+});
+
+// @route   GET /api/files/:key
+// @desc    Download a locally stored file through a signed link
+router.get('/:key(*)', getSignedFile);
+
+module.exports = router;
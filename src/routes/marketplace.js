@@ -1,13 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
-const path = require('path');
 const { protect, requireAddressVerification } = require('../middleware/auth');
 
 // Import controller
 const {
   createListing,
   getListings,
+  getNearbyListings,
   getListing,
   toggleLike,
   expressInterest,
@@ -20,16 +20,9 @@ const {
 
 const router = express.Router();
 
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/marketplace/');
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Multer configuration for file uploads. Files stay in memory: the controller
+// resizes them into WebP variants (services/imageService) and only those are stored.
+const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image/')) {
@@ -101,19 +94,9 @@ router.post(
   protect,
   requireAddressVerification,
   upload.array('images', 5),
-  (req, res, next) => {
-    console.log('=== MARKETPLACE CREATE DEBUG ===');
-    console.log('Request body:', req.body);
-    console.log('Files:', req.files ? req.files.map(f => f.fieldname) : 'No files');
-    console.log('User:', req.user.id);
-    console.log('Neighborhood:', req.user.neighborhood._id);
-    next();
-  },
   createListingValidation,
   (req, res, next) => {
     const errors = validationResult(req);
-    console.log('=== VALIDATION ERRORS ===');
-    console.log('Validation errors:', errors.array());
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
@@ -128,6 +111,7 @@ router.post(
 );
 
 router.get('/listings', protect, requireAddressVerification, getListings);
+router.get('/nearby', protect, requireAddressVerification, getNearbyListings);
 router.get('/my-listings', protect, getMyListings);
 router.get('/trending', protect, requireAddressVerification, getTrendingListings);
 router.get('/category/:category', protect, requireAddressVerification, getListingsByCategory);
@@ -145,6 +129,7 @@ router.get('/test', (req, res) => {
     available_routes: [
       'POST /api/marketplace/create',
       'GET /api/marketplace/listings',
+      'GET /api/marketplace/nearby',
       'GET /api/marketplace/my-listings',
       'GET /api/marketplace/trending',
       'GET /api/marketplace/category/:category',
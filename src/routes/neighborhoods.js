@@ -2,8 +2,11 @@ const express = require('express');
 const { body } = require('express-validator');
 const Neighborhood = require('../models/Neighborhood');
 const User = require('../models/User');
-const { protect, requireAddressVerification } = require('../middleware/auth');
+const { protect, authorize, requireAddressVerification } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
+const { parseBoundary } = require('../utils/geo');
+const { escapeRegex } = require('../utils/search');
+const { claimAddress, METHODS: VERIFICATION_METHODS } = require('../services/addressVerification');
 
 const router = express.Router();
 
@@ -59,7 +62,7 @@ const getNearbyNeighborhoods = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Verify address by pincode
+// @desc    Claim address (verified through /api/verification)
 // @route   POST /api/neighborhoods/verify-address
 // @access  Private
 const verifyAddress = asyncHandler(async (req, res, next) => {
@@ -75,64 +78,172 @@ const verifyAddress = asyncHandler(async (req, res, next) => {
 
   const { pincode, fullAddress, city, state, coordinates } = req.body;
 
-  // Find or create neighborhood
-  let neighborhood = await Neighborhood.findOne({
-    'location.address.pincode': pincode
+  // Saves the claimed address; the user still has to complete a verification method
+  const { user, matchedBy, error } = await claimAddress(req.user.id, {
+    pincode,
+    fullAddress,
+    city,
+    state,
+    coordinates
   });
 
-  if (!neighborhood) {
-    // Create new neighborhood
-    neighborhood = await Neighborhood.create({
-      name: `${city} - ${pincode}`,
-      location: {
-        address: {
-          full: fullAddress,
-          pincode,
-          city,
-          state,
-          country: 'India'
-        },
-        coordinates: coordinates || { latitude: 0, longitude: 0 }
-      }
+  if (error === 'coordinates_required') {
+    return res.status(422).json({
+      success: false,
+      message: 'Please share your location so we can find your neighborhood',
+      hindi_message: 'कृपया अपना स्थान साझा करें ताकि हम आपका मोहल्ला ढूंढ सकें',
+      reason: error
     });
   }
 
-  // Update user
-  const user = await User.findByIdAndUpdate(
-    req.user.id,
-    {
-      address: {
-        fullAddress,
-        pincode,
-        city,
-        state,
-        country: 'India',
-        coordinates: coordinates || { latitude: 0, longitude: 0 },
-        geohash: neighborhood.location.geohash
-      },
-      neighborhood: neighborhood._id,
-      isAddressVerified: true
-    },
-    { new: true }
-  ).populate('neighborhood');
-
-  // Update neighborhood stats
-  await neighborhood.updateStats();
+  if (error === 'outside_boundaries') {
+    return res.status(422).json({
+      success: false,
+      message: 'Your location is outside the neighborhoods mapped for this pincode',
+      hindi_message: 'आपका स्थान इस पिनकोड के लिए चिह्नित मोहल्लों से बाहर है',
+      reason: error
+    });
+  }
+
+  await user.populate('neighborhood');
 
   res.json({
     success: true,
-    message: 'Address verified successfully',
-    hindi_message: 'पता सफलतापूर्वक सत्यापित हो गया',
+    message: user.isAddressVerified
+      ? 'Address already verified'
+      : 'Address saved. Please complete verification to join your neighborhood',
+    hindi_message: user.isAddressVerified
+      ? 'पता पहले से सत्यापित है'
+      : 'पता सहेजा गया। अपने मोहल्ले से जुड़ने के लिए कृपया सत्यापन पूरा करें',
+    matchedBy,
+    verificationMethods: user.isAddressVerified ? [] : VERIFICATION_METHODS,
     user: {
       id: user._id,
       address: user.address,
       isAddressVerified: user.isAddressVerified,
+      addressVerification: user.addressVerification,
       neighborhood: user.neighborhood,
       verificationLevel: user.verificationLevel
     }
   });
 });
 
+// @desc    Find the neighborhood containing a point
+// @route   GET /api/neighborhoods/locate
+// @access  Private
+const locateNeighborhood = asyncHandler(async (req, res, next) => {
+  const latitude = parseFloat(req.query.latitude);
+  const longitude = parseFloat(req.query.longitude);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Latitude and longitude are required',
+      hindi_message: 'अक्षांश और देशांश आवश्यक हैं'
+    });
+  }
+
+  const neighborhood = await Neighborhood.findContaining(latitude, longitude);
+
+  if (!neighborhood) {
+    return res.status(404).json({
+      success: false,
+      message: 'No mapped neighborhood contains this location',
+      hindi_message: 'कोई भी चिह्नित मोहल्ला इस स्थान को शामिल नहीं करता'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Neighborhood found',
+    hindi_message: 'मोहल्ला मिल गया',
+    neighborhood
+  });
+});
+
+// @desc    Upload neighborhood boundary (GeoJSON or KML)
+// @route   PUT /api/neighborhoods/:id/boundaries
+// @access  Private (Admins)
+const updateBoundaries = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      errors: errors.array()
+    });
+  }
+
+  const neighborhood = await Neighborhood.findById(req.params.id);
+
+  if (!neighborhood) {
+    return res.status(404).json({
+      success: false,
+      message: 'Neighborhood not found',
+      hindi_message: 'मोहल्ला नहीं मिला'
+    });
+  }
+
+  let geometry;
+  try {
+    geometry = parseBoundary(req.body.boundary);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid boundary: ${error.message}`,
+      hindi_message: 'अमान्य सीमा'
+    });
+  }
+
+  try {
+    await neighborhood.setBoundaries(geometry);
+  } catch (error) {
+    // MongoDB rejects self-intersecting or otherwise malformed polygons when indexing
+    if (error.code === 16755) {
+      return res.status(400).json({
+        success: false,
+        message: 'Boundary polygon is not valid (check for self-intersecting edges)',
+        hindi_message: 'सीमा बहुभुज मान्य नहीं है'
+      });
+    }
+    throw error;
+  }
+
+  const overlaps = await Neighborhood.findOverlapping(geometry, neighborhood._id);
+
+  res.json({
+    success: true,
+    message: 'Neighborhood boundary updated successfully',
+    hindi_message: 'मोहल्ले की सीमा सफलतापूर्वक अपडेट की गई',
+    boundaries: neighborhood.boundaries,
+    overlaps
+  });
+});
+
+// @desc    Remove neighborhood boundary
+// @route   DELETE /api/neighborhoods/:id/boundaries
+// @access  Private (Admins)
+const clearBoundaries = asyncHandler(async (req, res, next) => {
+  const neighborhood = await Neighborhood.findById(req.params.id);
+
+  if (!neighborhood) {
+    return res.status(404).json({
+      success: false,
+      message: 'Neighborhood not found',
+      hindi_message: 'मोहल्ला नहीं मिला'
+    });
+  }
+
+  await neighborhood.clearBoundaries();
+
+  res.json({
+    success: true,
+    message: 'Neighborhood boundary removed',
+    hindi_message: 'मोहल्ले की सीमा हटा दी गई'
+  });
+});
+
 // @desc    Get neighborhood statistics
 // @route   GET /api/neighborhoods/:id/stats
 // @access  Private
@@ -176,10 +287,10 @@ const searchNeighborhoods = asyncHandler(async (req, res, next) => {
     query['location.address.pincode'] = pincode;
   }
   if (city) {
-    query['location.address.city'] = new RegExp(city, 'i');
+    query['location.address.city'] = new RegExp(escapeRegex(city), 'i');
   }
   if (state) {
-    query['location.address.state'] = new RegExp(state, 'i');
+    query['location.address.state'] = new RegExp(escapeRegex(state), 'i');
   }
 
   const neighborhoods = await Neighborhood.find(query)
@@ -217,10 +328,20 @@ const addressValidation = [
     .withMessage('State can only contain letters and spaces')
 ];
 
+const boundaryValidation = [
+  body('boundary')
+    .custom(value => (typeof value === 'string' && value.trim().length > 0) ||
+      (value !== null && typeof value === 'object'))
+    .withMessage('Boundary must be a GeoJSON object or a KML/GeoJSON string')
+];
+
 // Routes
 router.get('/my', protect, getMyNeighborhood);
 router.get('/nearby', protect, getNearbyNeighborhoods);
+router.get('/locate', protect, locateNeighborhood);
 router.post('/verify-address', protect, addressValidation, verifyAddress);
+router.put('/:id/boundaries', protect, authorize('admin'), boundaryValidation, updateBoundaries);
+router.delete('/:id/boundaries', protect, authorize('admin'), clearBoundaries);
 router.get('/:id/stats', protect, getNeighborhoodStats);
 router.get('/search', protect, searchNeighborhoods);
 
@@ -232,7 +353,10 @@ router.get('/test', (req, res) => {
     available_routes: [
       'GET /api/neighborhoods/my',
       'GET /api/neighborhoods/nearby',
+      'GET /api/neighborhoods/locate',
       'POST /api/neighborhoods/verify-address',
+      'PUT /api/neighborhoods/:id/boundaries',
+      'DELETE /api/neighborhoods/:id/boundaries',
       'GET /api/neighborhoods/:id/stats',
       'GET /api/neighborhoods/search'
     ]
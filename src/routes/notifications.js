@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+
+// Routes
+
+// @route   GET /api/notifications
+// @desc    Get notification inbox
+router.get('/', protect, getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get unread notification count
+router.get('/unread-count', protect, getUnreadCount);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+router.put('/read-all', protect, markAllRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark notification as read
+router.put('/:id/read', protect, markRead);
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete notification
+router.delete('/:id', protect, deleteNotification);
+
+// @route   GET /api/notifications/test
+// @desc    Test notifications route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Notification routes are working!',
+    hindi_message: 'सूचना मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/notifications',
+      'GET /api/notifications/unread-count',
+      'PUT /api/notifications/read-all',
+      'PUT /api/notifications/:id/read',
+      'DELETE /api/notifications/:id'
+    ]
+  });
+});
+
+module.exports = router;
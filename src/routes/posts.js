@@ -1,42 +1,43 @@
 const express = require('express');
 const { body } = require('express-validator');
 const multer = require('multer');
-const path = require('path');
 const router = express.Router();
+const { parseDay } = require('../utils/recurrence');
 
 // Import controllers
 const {
   createPost,
   getFeed,
   getTrending,
+  getTrendingByType,
+  getNearbyPosts,
   getPost,
+  editPost,
+  getRevisions,
   toggleLike,
-  addComment,
-  addReply,
+  sharePost,
   deletePost,
   reportPost
 } = require('../controllers/postController');
+const {
+  getUpcomingEvents,
+  rsvp,
+  getAttendees,
+  cancelEvent,
+  rescheduleEvent
+} = require('../controllers/eventController');
+const { downloadEvent } = require('../controllers/calendarController');
+const { vote, getPollVoters, closePoll } = require('../controllers/pollController');
+const { getComments, addComment, addReply } = require('../controllers/commentController');
 
 // Import middleware
-const { protect, requireAddressVerification } = require('../middleware/auth');
+const { protect, authorize, requireAddressVerification } = require('../middleware/auth');
 
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/posts/');
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Multer configuration for file uploads. Files stay in memory: the controller
+// resizes them into WebP variants (services/imageService) and only those are stored.
+const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
-  console.log('Multer received file:', {
-    fieldname: file.fieldname,
-    mimetype: file.mimetype,
-    originalname: file.originalname
-  });
   if (file.mimetype.startsWith('image/')) {
     cb(null, true);
   } else {
@@ -72,11 +73,16 @@ const handleMulterError = (err, req, res, next) => {
 
 const createPostValidation = [
   body('content').isLength({ min: 1, max: 2000 }).withMessage('Post content must be between 1 and 2000 characters'),
-  body('type').isIn(['general', 'safety', 'event', 'announcement', 'help', 'recommendation', 'lost_found']).withMessage('Invalid post type'),
+  body('type').isIn(['general', 'safety', 'event', 'announcement', 'help', 'recommendation', 'lost_found', 'poll']).withMessage('Invalid post type'),
   body('neighborhood').notEmpty().withMessage('Neighborhood is required'),
   body('tags').optional().isString().withMessage('Tags must be a string')
 ];
 
+const editPostValidation = [
+  body('content').isLength({ min: 1, max: 2000 }).withMessage('Post content must be between 1 and 2000 characters'),
+  body('tags').optional().isArray().withMessage('Tags must be an array')
+];
+
 const commentValidation = [
   body('content')
     .isLength({ min: 1, max: 500 })
@@ -99,24 +105,59 @@ const reportValidation = [
     .withMessage('Description cannot exceed 500 characters')
 ];
 
+// Occurrence of a recurring event, as 'YYYY-MM-DD'
+const occurrenceValidation = body('occurrence')
+  .optional()
+  .custom(value => parseDay(value) !== null)
+  .withMessage('Occurrence must be a date like 2026-10-25');
+
+const rsvpValidation = [
+  body('status')
+    .isIn(['going', 'interested', 'not_going'])
+    .withMessage('RSVP must be going, interested or not_going'),
+  occurrenceValidation
+];
+
+const cancelEventValidation = [
+  occurrenceValidation,
+  body('reason')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Cancellation reason cannot exceed 300 characters')
+];
+
+const rescheduleEventValidation = [
+  body('date')
+    .isISO8601()
+    .withMessage('A valid date is required')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('New date must be in the future'),
+  body('time').optional().isString().withMessage('Time must be a string'),
+  body('venue')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Venue cannot exceed 200 characters')
+];
+
+const voteValidation = [
+  body('optionIds')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one option'),
+  body('optionIds.*')
+    .isMongoId()
+    .withMessage('Invalid poll option')
+];
+
 // Routes
 
 // @route   POST /api/posts/create
 // @desc    Create new post
-// Add this debugging middleware BEFORE multer
 router.post(
   '/create',
   protect,
   requireAddressVerification,
   upload.array('images', 5),
   handleMulterError,
-  (req, res, next) => {
-    console.log('=== AFTER MULTER ===');
-    console.log('Headers:', req.headers);
-    console.log('Body:', req.body);
-    console.log('Files:', req.files ? req.files.map(f => ({ fieldname: f.fieldname, originalname: f.originalname })) : 'No files');
-    next();
-  },
   createPostValidation,
   createPost
 );
@@ -139,6 +180,33 @@ router.get(
   getTrending
 );
 
+// @route   GET /api/posts/trending/by-type
+// @desc    Get trending posts grouped by type
+router.get(
+  '/trending/by-type',
+  protect,
+  requireAddressVerification,
+  getTrendingByType
+);
+
+// @route   GET /api/posts/nearby
+// @desc    Get posts near a location
+router.get(
+  '/nearby',
+  protect,
+  requireAddressVerification,
+  getNearbyPosts
+);
+
+// @route   GET /api/posts/events/upcoming
+// @desc    Get upcoming events in the neighborhood
+router.get(
+  '/events/upcoming',
+  protect,
+  requireAddressVerification,
+  getUpcomingEvents
+);
+
 // @route   GET /api/posts/:id
 // @desc    Get single post
 router.get(
@@ -148,6 +216,25 @@ router.get(
   getPost
 );
 
+// @route   PUT /api/posts/:id
+// @desc    Edit own post (within the edit window)
+router.put(
+  '/:id',
+  protect,
+  requireAddressVerification,
+  editPostValidation,
+  editPost
+);
+
+// @route   GET /api/posts/:id/revisions
+// @desc    Get edit history (moderators)
+router.get(
+  '/:id/revisions',
+  protect,
+  authorize('moderator', 'admin'),
+  getRevisions
+);
+
 // @route   PUT /api/posts/:id/like
 // @desc    Like/unlike post
 router.put(
@@ -157,6 +244,91 @@ router.put(
   toggleLike
 );
 
+// @route   PUT /api/posts/:id/rsvp
+// @desc    RSVP going/interested/not_going to an event
+router.put(
+  '/:id/rsvp',
+  protect,
+  requireAddressVerification,
+  rsvpValidation,
+  rsvp
+);
+
+// @route   GET /api/posts/:id/attendees
+// @desc    Get event attendees and waitlist
+router.get(
+  '/:id/attendees',
+  protect,
+  requireAddressVerification,
+  getAttendees
+);
+
+// @route   GET /api/posts/:id/event.ics
+// @desc    Download an event for calendar apps
+router.get(
+  '/:id/event.ics',
+  protect,
+  requireAddressVerification,
+  downloadEvent
+);
+
+// @route   PUT /api/posts/:id/event/cancel
+// @desc    Cancel an event (organizer or moderator)
+router.put(
+  '/:id/event/cancel',
+  protect,
+  requireAddressVerification,
+  cancelEventValidation,
+  cancelEvent
+);
+
+// @route   PUT /api/posts/:id/event/reschedule
+// @desc    Reschedule an event (organizer or moderator)
+router.put(
+  '/:id/event/reschedule',
+  protect,
+  requireAddressVerification,
+  rescheduleEventValidation,
+  rescheduleEvent
+);
+
+// @route   POST /api/posts/:id/vote
+// @desc    Vote in a poll (one vote per verified resident)
+router.post(
+  '/:id/vote',
+  protect,
+  requireAddressVerification,
+  voteValidation,
+  vote
+);
+
+// @route   GET /api/posts/:id/poll/voters
+// @desc    Get voters per option (non-anonymous polls)
+router.get(
+  '/:id/poll/voters',
+  protect,
+  requireAddressVerification,
+  getPollVoters
+);
+
+// @route   PUT /api/posts/:id/poll/close
+// @desc    Close a poll early (author or moderator)
+router.put(
+  '/:id/poll/close',
+  protect,
+  requireAddressVerification,
+  closePoll
+);
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get comments on a post (paginated)
+router.get(
+  '/:id/comments',
+  protect,
+  requireAddressVerification,
+  getComments
+);
+
 // @route   POST /api/posts/:id/comment
 // @desc    Add comment to post
 router.post(
@@ -177,6 +349,15 @@ router.post(
   addReply
 );
 
+// @route   POST /api/posts/:id/share
+// @desc    Record a share
+router.post(
+  '/:id/share',
+  protect,
+  requireAddressVerification,
+  sharePost
+);
+
 // @route   DELETE /api/posts/:id
 // @desc    Delete post
 router.delete(
@@ -206,10 +387,25 @@ router.get('/test', (req, res) => {
       'POST /api/posts/create',
       'GET /api/posts/feed',
       'GET /api/posts/trending',
+      'GET /api/posts/trending/by-type',
+      'GET /api/posts/nearby',
+      'GET /api/posts/events/upcoming',
       'GET /api/posts/:id',
+      'PUT /api/posts/:id',
+      'GET /api/posts/:id/revisions',
       'PUT /api/posts/:id/like',
+      'PUT /api/posts/:id/rsvp',
+      'GET /api/posts/:id/attendees',
+      'GET /api/posts/:id/event.ics',
+      'PUT /api/posts/:id/event/cancel',
+      'PUT /api/posts/:id/event/reschedule',
+      'POST /api/posts/:id/vote',
+      'GET /api/posts/:id/poll/voters',
+      'PUT /api/posts/:id/poll/close',
+      'GET /api/posts/:id/comments',
       'POST /api/posts/:id/comment',
       'POST /api/posts/:postId/comments/:commentId/reply',
+      'POST /api/posts/:id/share',
       'DELETE /api/posts/:id',
       'POST /api/posts/:id/report'
     ]
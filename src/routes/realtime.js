@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { stream } = require('../controllers/realtimeController');
+
+// Import middleware
+const { protect, requireAddressVerification } = require('../middleware/auth');
+
+// Browsers' EventSource cannot set headers, so accept the same JWT as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Routes
+
+// @route   GET /api/realtime/stream
+// @desc    Live neighborhood events (server-sent events)
+router.get('/stream', tokenFromQuery, protect, requireAddressVerification, stream);
+
+// @route   GET /api/realtime/test
+// @desc    Test realtime route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Realtime routes are working!',
+    hindi_message: 'रीयलटाइम मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/realtime/stream'
+    ],
+    events: ['post:new', 'comment:new', 'comment:likes', 'post:likes', 'alert:new', 'alert:deactivated', 'listing:status', 'poll:votes']
+  });
+});
+
+module.exports = router;
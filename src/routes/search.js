@@ -0,0 +1,42 @@
+const express = require('express');
+const { query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers
+const { searchAll } = require('../controllers/searchController');
+const { SEARCH_TYPES } = require('../services/searchService');
+
+// Import middleware
+const { protect, requireAddressVerification } = require('../middleware/auth');
+
+// Validation rules
+const searchValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+  query('types')
+    .optional()
+    .custom(value => value.split(',').every(type => SEARCH_TYPES.includes(type.trim())))
+    .withMessage(`Types must be a comma separated list of: ${SEARCH_TYPES.join(', ')}`)
+];
+
+// Routes
+
+// @route   GET /api/search
+// @desc    Search posts, listings and people
+router.get('/', protect, requireAddressVerification, searchValidation, searchAll);
+
+// @route   GET /api/search/test
+// @desc    Test search route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Search routes are working!',
+    hindi_message: 'खोज मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/search?q=&types=post,listing,user&limit=&postType=&category='
+    ]
+  });
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
 const { body } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requireAddressVerification } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
+const { detectProvider } = require('../services/push');
+const trustService = require('../services/trustService');
+const { escapeRegex, textQuery } = require('../utils/search');
+const cursor = require('../utils/cursor');
 
 const router = express.Router();
 
@@ -18,31 +22,31 @@ const getNeighborhoodUsers = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
+  const paging = cursor.fromQuery(req.query);
+  if (!paging) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor',
+      hindi_message: 'अमान्य कर्सर'
+    });
+  }
 
-  const users = await User.find({
-    neighborhood: req.user.neighborhood,
-    status: 'active',
-    isPhoneVerified: true
-  })
-    .select('name avatar verificationLevel trustScore joinedAt lastActiveAt')
-    .sort({ joinedAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(limit);
-
-  const totalUsers = await User.countDocuments({
-    neighborhood: req.user.neighborhood,
-    status: 'active',
-    isPhoneVerified: true
-  });
+  // Newest members first
+  const { items: users, pagination } = await cursor.paginate(
+    filter => User.find(filter).select('name avatar verificationLevel trustScore joinedAt lastActiveAt'),
+    {
+      neighborhood: req.user.neighborhood._id,
+      status: 'active',
+      isPhoneVerified: true
+    },
+    paging,
+    { field: 'joinedAt' }
+  );
 
   res.json({
     success: true,
     count: users.length,
-    total: totalUsers,
-    page,
-    pages: Math.ceil(totalUsers / limit),
+    ...pagination,
     message: 'Neighborhood users retrieved successfully',
     hindi_message: 'मोहल्ला उपयोगकर्ता सफलतापूर्वक प्राप्त किए गए',
     users
@@ -54,7 +58,7 @@ const getNeighborhoodUsers = asyncHandler(async (req, res, next) => {
 // @access  Private
 const getUserProfile = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.params.id)
-    .select('-otp -notifications')
+    .select('-otp -otpThrottle -notifications')
     .populate('neighborhood', 'name location.address.city');
 
   if (!user) {
@@ -148,16 +152,31 @@ const searchUsers = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const users = await User.find({
+  const filter = {
     neighborhood: req.user.neighborhood,
     status: 'active',
-    isPhoneVerified: true,
-    $or: [
-      { name: { $regex: query, $options: 'i' } },
-      { phone: { $regex: query, $options: 'i' } }
-    ]
-  })
+    isPhoneVerified: true
+  };
+
+  // Digits look up a phone number; anything else searches names (any script or spelling)
+  const digits = query.replace(/[\s+-]/g, '');
+  const searchText = textQuery(query);
+
+  if (/^\d+$/.test(digits)) {
+    filter.phone = { $regex: escapeRegex(digits) };
+  } else if (searchText) {
+    filter.$text = { $search: searchText };
+  } else {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query must be at least 2 characters',
+      hindi_message: 'खोज क्वेरी कम से कम 2 अक्षरों की होनी चाहिए'
+    });
+  }
+
+  const users = await User.find(filter, filter.$text ? { score: { $meta: 'textScore' } } : {})
     .select('name avatar verificationLevel trustScore joinedAt')
+    .sort(filter.$text ? { score: { $meta: 'textScore' } } : { name: 1 })
     .limit(20);
 
   res.json({
@@ -211,7 +230,138 @@ const getUserStats = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Register a device push token
+// @route   POST /api/users/push-tokens
+// @access  Private
+const registerPushToken = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      errors: errors.array()
+    });
+  }
+
+  const { token, platform, deviceId } = req.body;
+
+  // A token belongs to one account; drop it from whoever used the device before
+  await User.updateMany(
+    { _id: { $ne: req.user.id }, 'pushTokens.token': token },
+    { $pull: { pushTokens: { token } } }
+  );
+
+  const user = await User.findById(req.user.id);
+  await user.addPushToken({
+    token,
+    provider: detectProvider(token),
+    platform,
+    deviceId
+  });
+
+  res.status(201).json({
+    success: true,
+    count: user.pushTokens.length,
+    message: 'Push token registered successfully',
+    hindi_message: 'पुश टोकन सफलतापूर्वक पंजीकृत किया गया'
+  });
+});
+
+// @desc    Unregister a device push token
+// @route   DELETE /api/users/push-tokens
+// @access  Private
+const unregisterPushToken = asyncHandler(async (req, res, next) => {
+  const errors = require('express-validator').validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      hindi_message: 'सत्यापन विफल रहा',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+  await user.removePushToken(req.body.token);
+
+  res.json({
+    success: true,
+    count: user.pushTokens.length,
+    message: 'Push token removed successfully',
+    hindi_message: 'पुश टोकन सफलतापूर्वक हटाया गया'
+  });
+});
+
+// @desc    Get my trust score with an explanation of each factor
+// @route   GET /api/users/me/trust
+// @access  Private
+const getMyTrust = asyncHandler(async (req, res, next) => {
+  const { score, breakdown, updatedAt } = await trustService.recalculate(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Trust score retrieved successfully',
+    hindi_message: 'विश्वास स्कोर सफलतापूर्वक प्राप्त किया गया',
+    trustScore: score,
+    updatedAt,
+    breakdown
+  });
+});
+
+// @desc    Neighbors who vouched for a user's address (POST /api/verification/:id/vouch)
+// @route   GET /api/users/:id/vouches
+// @access  Private (verified residents)
+const getUserVouches = asyncHandler(async (req, res, next) => {
+  const neighbor = await User.findById(req.params.id).select('neighborhood status');
+
+  if (!neighbor || neighbor.status !== 'active' ||
+      !neighbor.neighborhood || neighbor.neighborhood.toString() !== req.user.neighborhood._id.toString()) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+      hindi_message: 'उपयोगकर्ता नहीं मिला'
+    });
+  }
+
+  const vouches = (await trustService.findVouchers(neighbor))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ voucher, createdAt }) => ({
+      voucher: {
+        _id: voucher._id,
+        name: voucher.name,
+        avatar: voucher.avatar,
+        verificationLevel: voucher.verificationLevel
+      },
+      createdAt
+    }));
+
+  res.json({
+    success: true,
+    count: vouches.length,
+    message: 'Vouches retrieved successfully',
+    hindi_message: 'पुष्टियां सफलतापूर्वक प्राप्त की गईं',
+    vouchedByMe: vouches.some(vouch => vouch.voucher && vouch.voucher._id.toString() === req.user.id.toString()),
+    vouches
+  });
+});
+
 // Validation rules
+const pushTokenValidation = [
+  body('token')
+    .isString()
+    .isLength({ min: 10, max: 4096 })
+    .withMessage('A valid push token is required'),
+  body('platform')
+    .optional()
+    .isIn(['ios', 'android', 'web'])
+    .withMessage('Platform must be ios, android or web'),
+  body('deviceId')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Device ID cannot exceed 200 characters')
+];
+
 const avatarValidation = [
   body('avatar')
     .isURL()
@@ -221,8 +371,12 @@ const avatarValidation = [
 ];
 
 // Routes
-router.get('/neighborhood', protect, getNeighborhoodUsers);
-router.get('/search', protect, searchUsers);
+router.get('/me/trust', protect, getMyTrust);
+router.get('/:id/vouches', protect, requireAddressVerification, getUserVouches);
+router.post('/push-tokens', protect, pushTokenValidation, registerPushToken);
+router.delete('/push-tokens', protect, pushTokenValidation.slice(0, 1), unregisterPushToken);
+router.get('/neighborhood', protect, requireAddressVerification, getNeighborhoodUsers);
+router.get('/search', protect, requireAddressVerification, searchUsers);
 router.get('/:id', protect, getUserProfile);
 router.put('/avatar', protect, avatarValidation, updateAvatar);
 router.get('/stats', protect, authorize('admin'), getUserStats);
@@ -237,7 +391,11 @@ router.get('/test', (req, res) => {
       'GET /api/users/search',
       'GET /api/users/:id',
       'PUT /api/users/avatar',
-      'GET /api/users/stats'
+      'GET /api/users/stats',
+      'POST /api/users/push-tokens',
+      'DELETE /api/users/push-tokens',
+      'GET /api/users/me/trust',
+      'GET /api/users/:id/vouches'
     ]
   });
 });
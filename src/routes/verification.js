@@ -0,0 +1,134 @@
+const express = require('express');
+const { body } = require('express-validator');
+const multer = require('multer');
+const router = express.Router();
+
+// Import controllers
+const {
+  getStatus,
+  verifyByGPS,
+  requestPostcard,
+  confirmPostcard,
+  requestVouches,
+  getVouchRequests,
+  vouch,
+  uploadDocument,
+  getDocument,
+  getPendingDocuments,
+  reviewDocument,
+  getPendingPostcards,
+  markPostcardDispatched
+} = require('../controllers/verificationController');
+
+// Import middleware
+const { protect, authorize, requireAddressVerification } = require('../middleware/auth');
+
+// Address proofs are personal documents: the controller stores them as private
+// files, reachable only through short-lived signed links
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image or PDF documents are allowed!'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: fileFilter
+});
+
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'Document must be smaller than 5MB' : `Upload error: ${err.message}`,
+      hindi_message: 'दस्तावेज़ अपलोड विफल रहा',
+      error: err.code
+    });
+  }
+  next(err);
+};
+
+// Validation rules
+const gpsValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+  body('accuracy')
+    .isFloat({ min: 0 })
+    .withMessage('Location accuracy (in meters) is required')
+];
+
+const postcardCodeValidation = [
+  body('code')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Code must be 6 digits')
+    .isNumeric()
+    .withMessage('Code must contain only numbers')
+];
+
+const documentValidation = [
+  body('documentType')
+    .isIn(['aadhaar', 'utility_bill', 'rent_agreement', 'voter_id', 'passport', 'other'])
+    .withMessage('Invalid document type')
+];
+
+const reviewValidation = [
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// Routes
+router.get('/status', protect, getStatus);
+router.post('/gps', protect, gpsValidation, verifyByGPS);
+router.post('/postcard', protect, requestPostcard);
+router.post('/postcard/confirm', protect, postcardCodeValidation, confirmPostcard);
+router.post('/vouch-request', protect, requestVouches);
+router.get('/vouch-requests', protect, requireAddressVerification, getVouchRequests);
+router.post('/document', protect, upload.single('document'), handleMulterError, documentValidation, uploadDocument);
+router.get('/review/documents', protect, authorize('moderator', 'admin'), getPendingDocuments);
+router.get('/review/postcards', protect, authorize('admin'), getPendingPostcards);
+router.post('/:id/vouch', protect, requireAddressVerification, vouch);
+router.get('/:id/document', protect, getDocument);
+router.put('/:id/review', protect, authorize('moderator', 'admin'), reviewValidation, reviewDocument);
+router.put('/:id/postcard-dispatched', protect, authorize('admin'), markPostcardDispatched);
+
+// Test route
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Verification routes are working!',
+    hindi_message: 'सत्यापन मार्ग काम कर रहे हैं!',
+    available_routes: [
+      'GET /api/verification/status',
+      'POST /api/verification/gps',
+      'POST /api/verification/postcard',
+      'POST /api/verification/postcard/confirm',
+      'POST /api/verification/vouch-request',
+      'GET /api/verification/vouch-requests',
+      'POST /api/verification/document',
+      'GET /api/verification/review/documents',
+      'GET /api/verification/review/postcards',
+      'POST /api/verification/:id/vouch',
+      'GET /api/verification/:id/document',
+      'PUT /api/verification/:id/review',
+      'PUT /api/verification/:id/postcard-dispatched'
+    ]
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const AddressVerification = require('../models/AddressVerification');
+const Neighborhood = require('../models/Neighborhood');
+const User = require('../models/User');
+const { toPoint } = require('../utils/geo');
+const { notifyInBackground } = require('./notificationService');
+const { recalculateInBackground: recalculateTrust } = require('./trustService');
+
+const METHODS = ['gps', 'postcard', 'vouch', 'document'];
+
+// Record the address a user says they live at. This places them in a
+// neighborhood but does not verify them; that takes one of METHODS.
+// Resolves to { user, neighborhood, matchedBy } or { error } (see Neighborhood.resolveForAddress)
+const claimAddress = async (userId, { pincode, fullAddress, city, state, coordinates }) => {
+  const { neighborhood, matchedBy, error } = await Neighborhood.resolveForAddress({
+    pincode,
+    fullAddress,
+    city,
+    state,
+    coordinates
+  });
+
+  if (error) {
+    return { error };
+  }
+
+  const user = await User.findById(userId);
+
+  const unchanged = user.isAddressVerified &&
+    user.neighborhood && user.neighborhood.toString() === neighborhood._id.toString() &&
+    user.address && user.address.fullAddress === fullAddress && user.address.pincode === pincode;
+
+  user.address = {
+    fullAddress,
+    pincode,
+    city,
+    state,
+    country: 'India',
+    coordinates: coordinates || { latitude: 0, longitude: 0 },
+    point: toPoint(coordinates),
+    geohash: neighborhood.location.geohash
+  };
+  user.neighborhood = neighborhood._id;
+
+  // A new address has to be verified again
+  if (!unchanged) {
+    user.isAddressVerified = false;
+    user.addressVerification = undefined;
+    await AddressVerification.cancelPendingForUser(user._id);
+  }
+
+  await user.save();
+
+  return { user, neighborhood, matchedBy };
+};
+
+const refreshNeighborhoodStats = (neighborhoodId) => {
+  Neighborhood.findById(neighborhoodId)
+    .then(neighborhood => neighborhood && neighborhood.updateStats())
+    .catch(error => console.error('Neighborhood stats refresh failed:', error.message));
+};
+
+// Approve an attempt and mark the user verified, provided they have not moved since
+const approve = async (verification, { reviewedBy, note } = {}) => {
+  verification.status = 'approved';
+  verification.completedAt = new Date();
+  verification.reviewedBy = reviewedBy;
+  verification.reviewNote = note;
+  await verification.save();
+
+  const user = await User.findById(verification.user);
+  if (!user || !user.neighborhood || user.neighborhood.toString() !== verification.neighborhood.toString()) {
+    return null;
+  }
+
+  await user.markAddressVerified(verification);
+
+  await AddressVerification.updateMany(
+    { user: user._id, status: 'pending', _id: { $ne: verification._id } },
+    { $set: { status: 'cancelled', completedAt: new Date() } }
+  );
+
+  refreshNeighborhoodStats(verification.neighborhood);
+  recalculateTrust(user._id);
+
+  notifyInBackground('address_verified', {
+    recipient: user._id,
+    actor: reviewedBy,
+    data: { verification: verification._id }
+  });
+
+  return user;
+};
+
+const reject = async (verification, { reviewedBy, note } = {}) => {
+  verification.status = 'rejected';
+  verification.completedAt = new Date();
+  verification.reviewedBy = reviewedBy;
+  verification.reviewNote = note;
+  await verification.save();
+
+  notifyInBackground('address_rejected', {
+    recipient: verification.user,
+    actor: reviewedBy,
+    data: { verification: verification._id },
+    vars: { note }
+  });
+
+  return verification;
+};
+
+module.exports = {
+  METHODS,
+  claimAddress,
+  approve,
+  reject
+};
@@ -0,0 +1,188 @@
+const Post = require('../models/Post');
+const Marketplace = require('../models/Marketplace');
+const Alert = require('../models/Alert');
+const Comment = require('../models/Comment');
+const cursor = require('../utils/cursor');
+const { DAY_MS, startOfTodayIST } = require('../utils/recurrence');
+
+// How much of the user's recent activity shapes their feed
+const AFFINITY_DAYS = 30;
+
+// Upcoming events pinned under the alerts on the first page
+const PINNED_EVENTS = 3;
+const PINNED_EVENT_DAYS = 7;
+
+const COMMENT_PREVIEW = 2;
+
+// Each item scores 0..1 on every factor; the weights add up to 1
+const WEIGHTS = {
+  freshness: 0.5,
+  engagement: 0.3,
+  affinity: 0.2
+};
+
+// Freshness halves every 12 hours
+const FRESHNESS_HALF_LIFE_HOURS = 12;
+
+// Engagement at which an item counts as fully "popular"
+const ENGAGEMENT_SATURATION = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const tally = (counts, key) => {
+  if (key == null) return;
+  const id = key.toString();
+  counts[id] = (counts[id] || 0) + 1;
+};
+
+// What the user has liked, commented on, RSVP'd to or shown interest in lately:
+// counts by post type, author, listing category and seller
+const engagementProfile = async (userId, neighborhoodId) => {
+  const since = new Date(Date.now() - AFFINITY_DAYS * DAY_MS);
+  const recent = { neighborhood: neighborhoodId, createdAt: { $gte: since } };
+
+  const [liked, attended, commented, listings] = await Promise.all([
+    Post.find({ ...recent, 'likes.user': userId }).select('type author').lean(),
+    Post.find({ ...recent, type: 'event', 'eventDetails.attendees.user': userId }).select('type author').lean(),
+    Comment.find({ author: userId, createdAt: { $gte: since } }).distinct('post'),
+    Marketplace.find({
+      ...recent,
+      $or: [{ 'likes.user': userId }, { 'interestedUsers.user': userId }]
+    }).select('category seller').lean()
+  ]);
+
+  const commentedPosts = commented.length > 0
+    ? await Post.find({ _id: { $in: commented } }).select('type author').lean()
+    : [];
+
+  const profile = { postTypes: {}, authors: {}, categories: {}, sellers: {}, posts: 0, listings: listings.length };
+
+  [...liked, ...attended, ...commentedPosts].forEach(post => {
+    tally(profile.postTypes, post.type);
+    tally(profile.authors, post.author);
+    profile.posts += 1;
+  });
+
+  listings.forEach(listing => {
+    tally(profile.categories, listing.category);
+    tally(profile.sellers, listing.seller);
+  });
+
+  return profile;
+};
+
+const freshness = (createdAt, now) =>
+  Math.pow(0.5, Math.max(0, now - createdAt) / HOUR_MS / FRESHNESS_HALF_LIFE_HOURS);
+
+const engagementScore = (count) =>
+  Math.min(1, Math.log1p(count) / Math.log1p(ENGAGEMENT_SATURATION));
+
+// Share of the user's activity that went to this kind of item, plus a boost for people they engage with
+const affinityScore = (kindCounts, kindTotal, kind, personCounts, person) => {
+  const kindShare = kindTotal > 0 ? (kindCounts[kind] || 0) / kindTotal : 0;
+  const personBoost = person ? Math.min(1, (personCounts[person.toString()] || 0) / 3) : 0;
+  return Math.min(1, kindShare + personBoost);
+};
+
+const scoreItem = ({ type, doc }, profile, now) => {
+  let engagement;
+  let affinity;
+
+  if (type === 'post') {
+    engagement = doc.likes.length + 2 * (doc.commentCount || 0) + 2 * (doc.shareCount || 0) +
+      (doc.eventDetails ? doc.eventDetails.attendees.length : 0) +
+      (doc.pollDetails ? doc.pollDetails.voterCount || 0 : 0);
+    affinity = affinityScore(profile.postTypes, profile.posts, doc.type, profile.authors, doc.author && (doc.author._id || doc.author));
+  } else {
+    engagement = doc.likes.length + 2 * doc.interestedUsers.length;
+    affinity = affinityScore(profile.categories, profile.listings, doc.category, profile.sellers, doc.seller && (doc.seller._id || doc.seller));
+  }
+
+  const score = WEIGHTS.freshness * freshness(doc.createdAt, now) +
+    WEIGHTS.engagement * engagementScore(engagement) +
+    WEIGHTS.affinity * affinity;
+
+  return Math.round(score * 1000) / 1000;
+};
+
+// Newest first across posts and listings, ties broken by _id like the cursor
+const newestFirst = (a, b) =>
+  (b.doc.createdAt - a.doc.createdAt) || b.doc._id.toString().localeCompare(a.doc._id.toString());
+
+// Alerts and the next few events, shown above the stream on the first page
+const pinnedItems = async (user) => {
+  const from = startOfTodayIST();
+  const to = new Date(from.getTime() + PINNED_EVENT_DAYS * DAY_MS);
+
+  const [alerts, occurrences] = await Promise.all([
+    Alert.findActive(user.neighborhood._id),
+    Post.findUpcomingOccurrences(user.neighborhood._id, { from, to })
+  ]);
+
+  const events = occurrences
+    .filter(({ startsAt }) => startsAt <= to)
+    .slice(0, PINNED_EVENTS)
+    .map(({ post, occurrence }) => ({ ...post.toJSON(), ...post.occurrenceSummary(occurrence, user.id) }));
+
+  return { alerts, events };
+};
+
+// One page of the home feed. Pages are cut by time (newest posts and listings
+// after the cursor), then ordered within the page by score, so scrolling never
+// repeats or skips items even as scores change.
+const homeFeed = async (user, { after, limit }) => {
+  const neighborhoodId = user.neighborhood._id;
+  const now = Date.now();
+
+  const [posts, listings, profile, pinned] = await Promise.all([
+    Post.find(cursor.withCursor({ neighborhood: neighborhoodId, status: 'active' }, after))
+      .populate('author', 'name avatar verificationLevel')
+      .sort(cursor.sortFor())
+      .limit(limit + 1),
+    Marketplace.find(cursor.withCursor({
+      neighborhood: neighborhoodId,
+      status: 'active',
+      isAvailable: true,
+      expiresAt: { $gt: new Date() }
+    }, after))
+      .populate('seller', 'name avatar verificationLevel')
+      .sort(cursor.sortFor())
+      .limit(limit + 1),
+    engagementProfile(user.id, neighborhoodId),
+    after ? null : pinnedItems(user)
+  ]);
+
+  const merged = [
+    ...posts.map(doc => ({ type: 'post', doc })),
+    ...listings.map(doc => ({ type: 'listing', doc }))
+  ].sort(newestFirst);
+
+  const hasMore = merged.length > limit;
+  const pageItems = merged.slice(0, limit);
+  const last = pageItems[pageItems.length - 1];
+
+  const pagePosts = pageItems.filter(({ type }) => type === 'post').map(({ doc }) => doc._id);
+  const topComments = await Comment.previewForPosts(pagePosts, COMMENT_PREVIEW);
+
+  const items = pageItems
+    .map(item => ({ ...item, score: scoreItem(item, profile, now) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ type, doc, score }) => ({
+      type,
+      score,
+      item: type === 'post'
+        ? { ...doc.toViewerJSON(user.id), topComments: topComments.get(doc._id.toString()) || [] }
+        : doc.toJSON()
+    }));
+
+  return {
+    pinned,
+    items,
+    hasMore,
+    nextCursor: hasMore && last ? cursor.encode(last.doc, 'createdAt') : null
+  };
+};
+
+module.exports = {
+  homeFeed
+};
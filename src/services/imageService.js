@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const storage = require('./storage');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Longest edge of each variant; smaller originals are never enlarged
+const VARIANTS = {
+  thumbnail: { size: 320, quality: 70 },
+  medium: { size: 1024, quality: 80 },
+  full: { size: 2048, quality: 85 }
+};
+
+// Blurhash is computed on a tiny copy; 4x3 components is plenty for a placeholder
+const BLURHASH_SAMPLE = 32;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+
+const unprocessable = () => new ErrorResponse(
+  'Could not process one of the images. Please upload a JPEG, PNG or WebP photo.',
+  400,
+  'एक फ़ोटो प्रोसेस नहीं हो सकी। कृपया JPEG, PNG या WebP फ़ोटो अपलोड करें।'
+);
+
+const placeholder = async (image) => {
+  const { data, info } = await image.clone()
+    .resize(BLURHASH_SAMPLE, BLURHASH_SAMPLE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y);
+};
+
+// Works on plain objects and on image subdocuments alike
+const variantKeys = (images) => images.flatMap(image =>
+  Object.keys(VARIANTS).map(variant => image.variants && image.variants[variant] && image.variants[variant].key)
+);
+
+// Turn one uploaded file (multer memory storage) into WebP variants stored under <folder>/.
+// rotate() bakes in the EXIF orientation; sharp then drops all metadata, GPS included,
+// because withMetadata() is never called.
+const processImage = async (file, folder) => {
+  const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  const rendered = [];
+  let blurhash;
+
+  try {
+    const image = sharp(file.buffer, { failOn: 'error' }).rotate();
+
+    for (const [variant, { size, quality }] of Object.entries(VARIANTS)) {
+      const { data, info } = await image.clone()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer({ resolveWithObject: true });
+
+      rendered.push({ variant, data, info });
+    }
+
+    blurhash = await placeholder(image);
+  } catch (error) {
+    console.error('Image processing error:', error.message);
+    throw unprocessable();
+  }
+
+  const variants = {};
+
+  try {
+    for (const { variant, data, info } of rendered) {
+      const { key, url } = await storage.put(`${folder}/${name}-${variant}.webp`, data, { contentType: 'image/webp' });
+
+      variants[variant] = {
+        key,
+        url,
+        width: info.width,
+        height: info.height,
+        size: info.size
+      };
+    }
+  } catch (error) {
+    storage.removeInBackground(variantKeys([{ variants }]));
+    throw error;
+  }
+
+  return {
+    url: variants.full.url,
+    filename: `${name}-full.webp`,
+    size: variants.full.size,
+    mimeType: 'image/webp',
+    width: variants.full.width,
+    height: variants.full.height,
+    blurhash,
+    variants
+  };
+};
+
+// Process a request's uploads one at a time (sharp is CPU and memory heavy).
+// If any image fails, the ones already written are removed and the error is rethrown.
+const processImages = async (files = [], folder) => {
+  const images = [];
+
+  try {
+    for (const file of files) {
+      images.push(await processImage(file, folder));
+    }
+  } catch (error) {
+    removeImagesInBackground(images);
+    throw error;
+  }
+
+  return images;
+};
+
+// Delete every variant of stored images (a post that failed to save, a deleted listing).
+// Runs in the background; failures are logged, never thrown.
+const removeImagesInBackground = (images = []) => storage.removeInBackground(variantKeys(images));
+
+module.exports = {
+  VARIANTS,
+  processImage,
+  processImages,
+  removeImagesInBackground
+};
@@ -0,0 +1,192 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const push = require('./push');
+
+// Reviewer notes can be up to 500 characters, as long as the whole notification message
+const NOTE_PREVIEW_LENGTH = 300;
+
+const preview = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Localized text for each notification type
+const TEMPLATES = {
+  post_like: ({ actorName }) => ({
+    title: 'New like',
+    message: `${actorName} liked your post`,
+    hindi_message: `${actorName} ने आपकी पोस्ट को पसंद किया`,
+    kannada_message: `${actorName} ನಿಮ್ಮ ಪೋಸ್ಟ್ ಅನ್ನು ಇಷ್ಟಪಟ್ಟಿದ್ದಾರೆ`
+  }),
+  post_comment: ({ actorName }) => ({
+    title: 'New comment',
+    message: `${actorName} commented on your post`,
+    hindi_message: `${actorName} ने आपकी पोस्ट पर टिप्पणी की`,
+    kannada_message: `${actorName} ನಿಮ್ಮ ಪೋಸ್ಟ್‌ಗೆ ಕಾಮೆಂಟ್ ಮಾಡಿದ್ದಾರೆ`
+  }),
+  comment_like: ({ actorName }) => ({
+    title: 'New like',
+    message: `${actorName} liked your comment`,
+    hindi_message: `${actorName} ने आपकी टिप्पणी को पसंद किया`,
+    kannada_message: `${actorName} ನಿಮ್ಮ ಕಾಮೆಂಟ್ ಅನ್ನು ಇಷ್ಟಪಟ್ಟಿದ್ದಾರೆ`
+  }),
+  comment_removed: ({ reason }) => ({
+    title: 'Comment removed',
+    message: `A moderator removed your comment: ${reason}`,
+    hindi_message: `एक मॉडरेटर ने आपकी टिप्पणी हटा दी: ${reason}`,
+    kannada_message: `ಮಾಡರೇಟರ್ ನಿಮ್ಮ ಕಾಮೆಂಟ್ ಅನ್ನು ತೆಗೆದುಹಾಕಿದ್ದಾರೆ: ${reason}`
+  }),
+  comment_reply: ({ actorName }) => ({
+    title: 'New reply',
+    message: `${actorName} replied to your comment`,
+    hindi_message: `${actorName} ने आपकी टिप्पणी का उत्तर दिया`,
+    kannada_message: `${actorName} ನಿಮ್ಮ ಕಾಮೆಂಟ್‌ಗೆ ಉತ್ತರಿಸಿದ್ದಾರೆ`
+  }),
+  listing_interest: ({ actorName, listingTitle }) => ({
+    title: 'Someone is interested',
+    message: `${actorName} is interested in "${listingTitle}"`,
+    hindi_message: `${actorName} ने "${listingTitle}" में रुचि दिखाई`,
+    kannada_message: `${actorName} "${listingTitle}" ನಲ್ಲಿ ಆಸಕ್ತಿ ತೋರಿಸಿದ್ದಾರೆ`
+  }),
+  address_verified: () => ({
+    title: 'Address verified',
+    message: 'Your address is verified. Welcome to your neighborhood!',
+    hindi_message: 'आपका पता सत्यापित हो गया है। अपने मोहल्ले में आपका स्वागत है!',
+    kannada_message: 'ನಿಮ್ಮ ವಿಳಾಸ ಪರಿಶೀಲಿಸಲಾಗಿದೆ. ನಿಮ್ಮ ನೆರೆಹೊರೆಗೆ ಸ್ವಾಗತ!'
+  }),
+  address_rejected: ({ note }) => ({
+    title: 'Address verification declined',
+    message: note
+      ? `Your address proof was not accepted: ${preview(note, NOTE_PREVIEW_LENGTH)}`
+      : 'Your address proof was not accepted. Please try another method.',
+    hindi_message: 'आपका पता प्रमाण स्वीकार नहीं किया गया। कृपया कोई अन्य तरीका आज़माएं।',
+    kannada_message: 'ನಿಮ್ಮ ವಿಳಾಸ ಪುರಾವೆ ಸ್ವೀಕರಿಸಲಾಗಿಲ್ಲ. ದಯವಿಟ್ಟು ಬೇರೆ ವಿಧಾನವನ್ನು ಪ್ರಯತ್ನಿಸಿ.'
+  }),
+  event_cancelled: ({ eventTitle }) => ({
+    title: 'Event cancelled',
+    message: `"${eventTitle}" has been cancelled`,
+    hindi_message: `"${eventTitle}" रद्द कर दिया गया है`,
+    kannada_message: `"${eventTitle}" ರದ್ದುಗೊಳಿಸಲಾಗಿದೆ`
+  }),
+  event_rescheduled: ({ eventTitle, when }) => ({
+    title: 'Event rescheduled',
+    message: `"${eventTitle}" has moved to ${when}`,
+    hindi_message: `"${eventTitle}" का समय बदलकर ${when} कर दिया गया है`,
+    kannada_message: `"${eventTitle}" ಅನ್ನು ${when} ಗೆ ಬದಲಾಯಿಸಲಾಗಿದೆ`
+  }),
+  event_waitlist_promoted: ({ eventTitle }) => ({
+    title: 'You are in!',
+    message: `A spot opened up for "${eventTitle}". You are now going.`,
+    hindi_message: `"${eventTitle}" में जगह खाली हुई। अब आप शामिल हैं।`,
+    kannada_message: `"${eventTitle}" ನಲ್ಲಿ ಸ್ಥಳ ಖಾಲಿಯಾಗಿದೆ. ನೀವು ಈಗ ಭಾಗವಹಿಸುತ್ತಿದ್ದೀರಿ.`
+  })
+};
+
+// Push categories, so marketplace notifications honour the marketplace preference
+const PUSH_CATEGORIES = {
+  listing_interest: 'marketplace',
+  event_cancelled: 'events',
+  event_rescheduled: 'events',
+  event_waitlist_promoted: 'events'
+};
+
+// Types where repeating the same action should not stack up unread entries
+const DEDUPE_TYPES = ['post_like', 'comment_like', 'listing_interest'];
+
+// Notify a single user about another user's action
+const notify = async (type, { recipient, actor, data = {}, vars = {} }) => {
+  if (!recipient || (actor && recipient.toString() === actor.toString())) {
+    return null;
+  }
+
+  if (DEDUPE_TYPES.includes(type)) {
+    const duplicate = await Notification.exists({
+      recipient,
+      actor,
+      type,
+      isRead: false,
+      ...(data.post && { 'data.post': data.post }),
+      ...(data.comment && { 'data.comment': data.comment }),
+      ...(data.listing && { 'data.listing': data.listing })
+    });
+    if (duplicate) return null;
+  }
+
+  const content = TEMPLATES[type](vars);
+  const notification = await Notification.create({
+    recipient,
+    actor,
+    type,
+    ...content,
+    data
+  });
+
+  push.sendToUsers([recipient], {
+    ...content,
+    data: { type, notificationId: notification._id.toString() }
+  }, {
+    category: PUSH_CATEGORIES[type]
+  }).catch(error => console.error('Notification push failed:', error.message));
+
+  return notification;
+};
+
+// Same notification for several users (e.g. everyone attending an event)
+const notifyUsers = async (type, { recipients, actor, data = {}, vars = {} }) => {
+  const targets = [...new Set(recipients.map(id => id.toString()))]
+    .filter(id => !actor || id !== actor.toString());
+
+  if (targets.length === 0) return [];
+
+  const content = TEMPLATES[type](vars);
+  const notifications = await Notification.insertMany(targets.map(recipient => ({
+    recipient,
+    actor,
+    type,
+    ...content,
+    data
+  })), { ordered: false });
+
+  push.sendToUsers(targets, {
+    ...content,
+    data: { type, ...(data.post && { postId: data.post.toString() }) }
+  }, {
+    category: PUSH_CATEGORIES[type]
+  }).catch(error => console.error('Notification push failed:', error.message));
+
+  return notifications;
+};
+
+// Put an alert in the inbox of every resident (push is sent by the caller)
+const notifyNeighborhoodOfAlert = async (alert) => {
+  const residents = await User.find({
+    neighborhood: alert.neighborhood,
+    status: 'active',
+    isPhoneVerified: true,
+    _id: { $ne: alert.createdBy }
+  }).select('_id');
+
+  if (residents.length === 0) return [];
+
+  return Notification.insertMany(residents.map(resident => ({
+    recipient: resident._id,
+    actor: alert.createdBy,
+    type: 'alert',
+    title: alert.title,
+    message: alert.message,
+    hindi_message: alert.hindi_message,
+    data: { alert: alert._id }
+  })), { ordered: false });
+};
+
+// Fire-and-forget wrapper: inbox failures must never break the triggering request
+const notifyInBackground = (type, options) => {
+  const send = options.recipients ? notifyUsers : notify;
+  send(type, options).catch(error =>
+    console.error(`Failed to create ${type} notification:`, error.message)
+  );
+};
+
+module.exports = {
+  notify,
+  notifyUsers,
+  notifyInBackground,
+  notifyNeighborhoodOfAlert
+};
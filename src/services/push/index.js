@@ -0,0 +1,148 @@
+const User = require('../../models/User');
+const queue = require('./queue');
+
+const providers = {
+  expo: require('./providers/expo'),
+  fcm: require('./providers/fcm'),
+  local: require('./providers/local')
+};
+
+// Notification categories mapped to the user preference that gates them
+const CATEGORY_PREFERENCES = {
+  safety: 'safetyAlerts',
+  marketplace: 'marketplace',
+  events: 'events'
+};
+
+// PUSH_TRANSPORT=live sends through Expo/FCM; anything else uses the local fake
+const resolveProvider = (tokenProvider) => {
+  if (process.env.PUSH_TRANSPORT !== 'live') {
+    return providers.local;
+  }
+  return providers[tokenProvider] || providers.expo;
+};
+
+// Expo tokens look like ExponentPushToken[...]; everything else is treated as FCM
+const detectProvider = (token) =>
+  /^Expo(nent)?PushToken\[/.test(token) ? 'expo' : 'fcm';
+
+// Pick the title/body in the recipient's language
+const localize = (notification, language) => {
+  const body = (language === 'hi' && notification.hindi_message) ||
+    (language === 'kn' && notification.kannada_message) ||
+    notification.message;
+
+  return {
+    title: notification.title,
+    body
+  };
+};
+
+const userTokens = (user) => {
+  const tokens = (user.pushTokens || []).map(entry => ({
+    token: entry.token,
+    provider: entry.provider
+  }));
+
+  // Legacy single-device token
+  if (user.pushToken && !tokens.some(entry => entry.token === user.pushToken)) {
+    tokens.push({ token: user.pushToken, provider: detectProvider(user.pushToken) });
+  }
+
+  return tokens;
+};
+
+// Build messages for recipients and hand them to the delivery queue
+const dispatch = (users, notification) => {
+  const byProvider = new Map();
+
+  users.forEach(user => {
+    const { title, body } = localize(notification, user.language);
+
+    userTokens(user).forEach(({ token, provider: tokenProvider }) => {
+      const provider = resolveProvider(tokenProvider);
+      if (!byProvider.has(provider)) {
+        byProvider.set(provider, []);
+      }
+      byProvider.get(provider).push({
+        to: token,
+        title,
+        body,
+        data: notification.data || {},
+        priority: notification.priority
+      });
+    });
+  });
+
+  let queued = 0;
+  byProvider.forEach((messages, provider) => {
+    queue.enqueue(provider, messages);
+    queued += messages.length;
+  });
+
+  return queued;
+};
+
+// Filter that keeps only users who want push for this category
+const preferenceQuery = (category) => {
+  const query = {
+    status: 'active',
+    'notifications.push': { $ne: false },
+    $or: [
+      { 'pushTokens.0': { $exists: true } },
+      { pushToken: { $nin: [null, ''] } }
+    ]
+  };
+
+  const preference = CATEGORY_PREFERENCES[category];
+  if (preference) {
+    query[`notifications.${preference}`] = { $ne: false };
+  }
+
+  return query;
+};
+
+// Send a notification to specific users
+const sendToUsers = async (userIds, notification, { category } = {}) => {
+  const users = await User.find({
+    ...preferenceQuery(category),
+    _id: { $in: userIds }
+  }).select('pushTokens pushToken language');
+
+  return dispatch(users, notification);
+};
+
+// Fan a notification out to every resident of a neighborhood
+const sendToNeighborhood = async (neighborhoodId, notification, { category, excludeUserId } = {}) => {
+  const query = {
+    ...preferenceQuery(category),
+    neighborhood: neighborhoodId,
+    isPhoneVerified: true
+  };
+  if (excludeUserId) {
+    query._id = { $ne: excludeUserId };
+  }
+
+  const users = await User.find(query).select('pushTokens pushToken language');
+
+  return dispatch(users, notification);
+};
+
+// Tokens rejected by the provider belong to uninstalled apps
+queue.setInvalidTokenHandler(async (tokens) => {
+  await User.updateMany(
+    { 'pushTokens.token': { $in: tokens } },
+    { $pull: { pushTokens: { token: { $in: tokens } } } }
+  );
+  await User.updateMany(
+    { pushToken: { $in: tokens } },
+    { $set: { pushToken: '' } }
+  );
+});
+
+module.exports = {
+  CATEGORY_PREFERENCES,
+  detectProvider,
+  sendToUsers,
+  sendToNeighborhood
+};
@@ -0,0 +1,55 @@
+// Expo push service. Accepts up to 100 messages per request.
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+const BATCH_SIZE = 100;
+
+const send = async (messages) => {
+  const headers = {
+    Accept: 'application/json',
+    'Content-Type': 'application/json'
+  };
+  if (process.env.EXPO_ACCESS_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+  }
+
+  const response = await fetch(EXPO_PUSH_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(messages.map(message => ({
+      to: message.to,
+      title: message.title,
+      body: message.body,
+      data: message.data,
+      sound: 'default',
+      priority: message.priority === 'high' ? 'high' : 'default'
+    })))
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Expo push failed with status ${response.status}`);
+    error.retryable = response.status >= 500 || response.status === 429;
+    throw error;
+  }
+
+  const { data: tickets = [] } = await response.json();
+
+  // One ticket per message, in order
+  return messages.map((message, index) => {
+    const ticket = tickets[index] || {};
+    const errorCode = ticket.details && ticket.details.error;
+
+    return {
+      to: message.to,
+      ok: ticket.status === 'ok',
+      invalidToken: errorCode === 'DeviceNotRegistered',
+      retryable: errorCode === 'MessageRateExceeded',
+      error: ticket.message
+    };
+  });
+};
+
+module.exports = {
+  name: 'expo',
+  batchSize: BATCH_SIZE,
+  send
+};
@@ -0,0 +1,153 @@
+const jwt = require('jsonwebtoken');
+
+// Firebase Cloud Messaging over the HTTP v1 API, authorised with a service account
+const FCM_SEND_URL = (projectId) => `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`;
+const OAUTH_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+const BATCH_SIZE = 1000;
+const INVALID_TOKEN_ERRORS = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+const RETRYABLE_ERRORS = ['UNAVAILABLE', 'INTERNAL', 'QUOTA_EXCEEDED'];
+
+// Reused until a minute before Google's expiry
+let accessToken = null;
+
+const credentials = () => ({
+  projectId: process.env.FCM_PROJECT_ID,
+  clientEmail: process.env.FCM_CLIENT_EMAIL,
+  // Private keys in .env files usually carry escaped newlines
+  privateKey: (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+});
+
+const missingConfig = () =>
+  ['FCM_PROJECT_ID', 'FCM_CLIENT_EMAIL', 'FCM_PRIVATE_KEY'].filter(name => !process.env[name]);
+
+// Trades a signed service-account assertion for an OAuth2 access token
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now()) return accessToken.value;
+
+  const { clientEmail, privateKey } = credentials();
+  const assertion = jwt.sign({ scope: FCM_SCOPE }, privateKey, {
+    algorithm: 'RS256',
+    issuer: clientEmail,
+    audience: OAUTH_TOKEN_URL,
+    expiresIn: '1h'
+  });
+
+  const response = await fetch(OAUTH_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    })
+  });
+
+  if (!response.ok) {
+    const error = new Error(`FCM access token request failed with status ${response.status}`);
+    error.retryable = response.status >= 500 || response.status === 429;
+    throw error;
+  }
+
+  const { access_token: value, expires_in: expiresIn = 3600 } = await response.json();
+  accessToken = { value, expiresAt: Date.now() + (expiresIn - 60) * 1000 };
+  return value;
+};
+
+// FCM v1 only accepts string values in `data`
+const stringData = (data = {}) => Object.fromEntries(
+  Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+);
+
+// The FCM error code sits in the details of a Google API error
+const fcmErrorCode = (body) => {
+  const error = (body && body.error) || {};
+  const detail = (error.details || []).find(item => item.errorCode);
+  return (detail && detail.errorCode) || error.status;
+};
+
+// One message per request. Failures are reported per token, never thrown, so the
+// queue retries only the messages that didn't go out.
+const sendOne = async (message, { projectId, token }) => {
+  let response;
+  try {
+    response = await fetch(FCM_SEND_URL(projectId), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        message: {
+          token: message.to,
+          notification: {
+            title: message.title,
+            body: message.body
+          },
+          data: stringData(message.data),
+          android: {
+            priority: message.priority === 'high' ? 'high' : 'normal'
+          }
+        }
+      })
+    });
+  } catch (error) {
+    // Network failure: the message may not have reached FCM
+    return { to: message.to, ok: false, retryable: true, error: error.message };
+  }
+
+  if (response.ok) {
+    return { to: message.to, ok: true };
+  }
+
+  const errorCode = fcmErrorCode(await response.json().catch(() => null)) || `HTTP ${response.status}`;
+
+  return {
+    to: message.to,
+    ok: false,
+    invalidToken: INVALID_TOKEN_ERRORS.includes(errorCode),
+    retryable: RETRYABLE_ERRORS.includes(errorCode) || response.status >= 500 || response.status === 429,
+    // Rejected credentials fail every remaining message the same way
+    unauthorized: response.status === 401 || response.status === 403,
+    error: errorCode
+  };
+};
+
+const send = async (messages) => {
+  const missing = missingConfig();
+  if (missing.length > 0) {
+    const error = new Error(`${missing.join(', ')} not configured for FCM`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const auth = { projectId: credentials().projectId, token: await getAccessToken() };
+
+  // Each v1 request carries a single message
+  const results = [];
+
+  for (const message of messages) {
+    const { unauthorized, ...result } = await sendOne(message, auth);
+    results.push(result);
+
+    if (unauthorized) {
+      // Fetch a fresh access token next time in case this one was revoked
+      accessToken = null;
+      messages.slice(results.length).forEach(rest => {
+        results.push({ to: rest.to, ok: false, retryable: false, error: result.error });
+      });
+      console.error(`FCM rejected the service account credentials (${result.error})`);
+      break;
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  name: 'fcm',
+  batchSize: BATCH_SIZE,
+  send
+};
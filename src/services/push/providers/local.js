@@ -0,0 +1,30 @@
+// Fake transport for development and tests; records messages in memory
+const MAX_SENT_SIZE = 500;
+const sent = [];
+
+const send = async (messages) => {
+  messages.forEach(message => {
+    sent.push({ ...message, sentAt: new Date().toISOString() });
+    if (sent.length > MAX_SENT_SIZE) {
+      sent.shift();
+    }
+
+    if (process.env.NODE_ENV !== 'test') {
+      console.log(`[Push:local] To ${message.to}: ${message.title} - ${message.body}`);
+    }
+  });
+
+  return messages.map(message => ({ to: message.to, ok: true }));
+};
+
+const clearSent = () => {
+  sent.length = 0;
+};
+
+module.exports = {
+  name: 'local',
+  batchSize: 100,
+  send,
+  sent,
+  clearSent
+};
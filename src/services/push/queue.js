@@ -0,0 +1,80 @@
+// In-process delivery queue with exponential backoff.
+// Pushes are best effort: anything still queued when the process exits is lost.
+const MAX_RETRIES = parseInt(process.env.PUSH_MAX_RETRIES) || 3;
+const BASE_DELAY_MS = parseInt(process.env.PUSH_RETRY_BASE_DELAY_MS) || 1000;
+
+const jobs = [];
+let processing = false;
+let onInvalidTokens = async () => {};
+
+const schedule = (job, delay = 0) => {
+  setTimeout(() => {
+    jobs.push(job);
+    processQueue();
+  }, delay).unref();
+};
+
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (jobs.length > 0) {
+    const job = jobs.shift();
+    await runJob(job);
+  }
+
+  processing = false;
+};
+
+const retryLater = (job, messages) => {
+  if (job.attempt >= MAX_RETRIES) {
+    console.error(`Push via ${job.provider.name} dropped after ${job.attempt + 1} attempts (${messages.length} messages)`);
+    return;
+  }
+
+  const delay = BASE_DELAY_MS * Math.pow(2, job.attempt);
+  schedule({ ...job, messages, attempt: job.attempt + 1 }, delay);
+};
+
+const runJob = async (job) => {
+  try {
+    const results = await job.provider.send(job.messages);
+
+    const invalidTokens = results.filter(result => result.invalidToken).map(result => result.to);
+    if (invalidTokens.length > 0) {
+      await onInvalidTokens(invalidTokens).catch(error =>
+        console.error('Failed to prune invalid push tokens:', error.message)
+      );
+    }
+
+    const retryTokens = new Set(results.filter(result => result.retryable).map(result => result.to));
+    if (retryTokens.size > 0) {
+      retryLater(job, job.messages.filter(message => retryTokens.has(message.to)));
+    }
+  } catch (error) {
+    console.error(`Push via ${job.provider.name} failed:`, error.message);
+    if (error.retryable !== false) {
+      retryLater(job, job.messages);
+    }
+  }
+};
+
+// Queue messages for a provider, split into provider-sized batches
+const enqueue = (provider, messages) => {
+  for (let i = 0; i < messages.length; i += provider.batchSize) {
+    schedule({
+      provider,
+      messages: messages.slice(i, i + provider.batchSize),
+      attempt: 0
+    });
+  }
+};
+
+const setInvalidTokenHandler = (handler) => {
+  onInvalidTokens = handler;
+};
+
+module.exports = {
+  enqueue,
+  setInvalidTokenHandler
+};
@@ -0,0 +1,109 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const RealtimeEvent = require('../models/RealtimeEvent');
+
+// Events are stored first, so reconnecting clients can replay what they missed. Every
+// instance polls the collection for new events in the neighborhoods its connections
+// follow and fans them out locally, so a client gets events published on any instance.
+// Polling stays SETTLE_SECONDS behind the clock: ids from different instances are only
+// ordered by their timestamp, and this lets inserts from the same second land first.
+const POLL_INTERVAL_MS = parseInt(process.env.REALTIME_POLL_INTERVAL_MS) || 1000;
+const SETTLE_SECONDS = 2;
+const POLL_BATCH_SIZE = 1000;
+
+const CATCH_UP_LIMIT = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const CHANNEL_PREFIX = 'neighborhood:';
+const channel = (neighborhoodId) => `${CHANNEL_PREFIX}${neighborhoodId}`;
+
+// Last event id fanned out; events after it are picked up by the next poll
+let cursor = null;
+let pollTimer = null;
+
+const settledBefore = () =>
+  mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000) - SETTLE_SECONDS);
+
+const followedNeighborhoods = () =>
+  emitter.eventNames().map(name => name.slice(CHANNEL_PREFIX.length));
+
+const poll = async () => {
+  const neighborhoods = followedNeighborhoods();
+  const before = settledBefore();
+
+  if (neighborhoods.length === 0) {
+    // Nobody is listening here any more; the next subscriber starts from now
+    pollTimer = null;
+    return;
+  }
+
+  try {
+    const events = await RealtimeEvent.find({
+      neighborhood: { $in: neighborhoods },
+      _id: { $gt: cursor, $lt: before }
+    })
+      .sort({ _id: 1 })
+      .limit(POLL_BATCH_SIZE);
+
+    events.forEach(event => emitter.emit(channel(event.neighborhood), event));
+
+    // A full batch may have more behind it; otherwise everything before `before` is done
+    cursor = events.length === POLL_BATCH_SIZE ? events[events.length - 1]._id : before;
+  } catch (error) {
+    console.error('Realtime poll failed:', error.message);
+  }
+
+  pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+  pollTimer.unref();
+};
+
+const startPolling = () => {
+  if (pollTimer) return;
+  cursor = settledBefore();
+  pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+  pollTimer.unref();
+};
+
+const publish = (neighborhoodId, type, payload) => RealtimeEvent.create({
+  neighborhood: neighborhoodId,
+  type,
+  payload
+});
+
+// Fire-and-forget wrapper for request handlers
+const publishInBackground = (neighborhoodId, type, payload) => {
+  publish(neighborhoodId, type, payload).catch(error =>
+    console.error(`Failed to publish ${type} event:`, error.message)
+  );
+};
+
+// The listener gets each new event of the neighborhood, in id order
+const subscribe = (neighborhoodId, listener) => {
+  emitter.on(channel(neighborhoodId), listener);
+  startPolling();
+  return () => emitter.off(channel(neighborhoodId), listener);
+};
+
+// Events after the given event id, oldest first
+const eventsSince = (neighborhoodId, sinceId) => {
+  if (!mongoose.Types.ObjectId.isValid(sinceId)) {
+    return Promise.resolve([]);
+  }
+
+  return RealtimeEvent.find({
+    neighborhood: neighborhoodId,
+    _id: { $gt: sinceId }
+  })
+    .sort({ _id: 1 })
+    .limit(CATCH_UP_LIMIT + 1);
+};
+
+module.exports = {
+  CATCH_UP_LIMIT,
+  publish,
+  publishInBackground,
+  subscribe,
+  eventsSince
+};
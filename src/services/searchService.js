@@ -0,0 +1,92 @@
+const Post = require('../models/Post');
+const Marketplace = require('../models/Marketplace');
+const User = require('../models/User');
+const { textQuery } = require('../utils/search');
+
+const USER_FIELDS = 'name avatar verificationLevel trustScore joinedAt';
+
+// Ids and text scores of the best matches, best first
+const rankedIds = (model, filter, limit) => model
+  .find(filter, { score: { $meta: 'textScore' } })
+  .sort({ score: { $meta: 'textScore' } })
+  .limit(limit)
+  .lean();
+
+// Full documents in ranked order. Resolves to [{ doc, score }]
+const loadRanked = async (ranked, load) => {
+  const docs = await load(ranked.map(({ _id }) => _id));
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+  return ranked
+    .filter(({ _id }) => byId.has(_id.toString()))
+    .map(({ _id, score }) => ({ doc: byId.get(_id.toString()), score: Math.round(score * 1000) / 1000 }));
+};
+
+const searchPosts = async (neighborhoodId, search, { limit, postType } = {}) => {
+  const filter = { $text: { $search: search }, neighborhood: neighborhoodId, status: 'active' };
+  if (postType && postType !== 'all') filter.type = postType;
+
+  const ranked = await rankedIds(Post, filter, limit);
+  return loadRanked(ranked, ids => Post.find({ _id: { $in: ids } })
+    .populate('author', 'name avatar verificationLevel'));
+};
+
+const searchListings = async (neighborhoodId, search, { limit, category } = {}) => {
+  const filter = {
+    $text: { $search: search },
+    neighborhood: neighborhoodId,
+    status: 'active',
+    isAvailable: true,
+    expiresAt: { $gt: new Date() }
+  };
+  if (category && category !== 'all') filter.category = category;
+
+  const ranked = await rankedIds(Marketplace, filter, limit);
+  return loadRanked(ranked, ids => Marketplace.find({ _id: { $in: ids } })
+    .populate('seller', 'name avatar verificationLevel'));
+};
+
+const searchUsers = async (neighborhoodId, search, { limit } = {}) => {
+  const ranked = await rankedIds(User, {
+    $text: { $search: search },
+    neighborhood: neighborhoodId,
+    status: 'active',
+    isPhoneVerified: true
+  }, limit);
+
+  return loadRanked(ranked, ids => User.find({ _id: { $in: ids } }).select(USER_FIELDS));
+};
+
+const SEARCHERS = {
+  post: searchPosts,
+  listing: searchListings,
+  user: searchUsers
+};
+
+const SEARCH_TYPES = Object.keys(SEARCHERS);
+
+// One query across content types. Results are typed and merged by relevance:
+// [{ type: 'post' | 'listing' | 'user', score, doc }]
+// Resolves to null when the query has nothing searchable in it.
+const search = async (neighborhoodId, query, { types = SEARCH_TYPES, limit = 10, ...options } = {}) => {
+  const text = textQuery(query);
+  if (!text) return null;
+
+  const groups = await Promise.all(types.map(async type => {
+    const results = await SEARCHERS[type](neighborhoodId, text, { limit, ...options });
+    return results.map(result => ({ type, ...result }));
+  }));
+
+  const counts = Object.fromEntries(types.map((type, index) => [type, groups[index].length]));
+  const results = groups.flat().sort((a, b) => b.score - a.score);
+
+  return { counts, results };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  search,
+  searchPosts,
+  searchListings,
+  searchUsers
+};
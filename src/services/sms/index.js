@@ -0,0 +1,80 @@
+const ErrorResponse = require('../../utils/errorResponse');
+const { renderOTPMessage } = require('./templates');
+
+const providers = {
+  msg91: require('./providers/msg91'),
+  twilio: require('./providers/twilio'),
+  local: require('./providers/local')
+};
+
+// Pick the transport from SMS_PROVIDER (defaults to the local stand-in)
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'local';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  if (name === 'local' && process.env.NODE_ENV === 'production') {
+    console.warn('SMS_PROVIDER is not configured; OTPs are not being delivered');
+  }
+
+  return provider;
+};
+
+// OTPs may be echoed in API responses only in development with the local stand-in,
+// never when a real SMS went out
+const shouldExposeOTP = () =>
+  process.env.NODE_ENV === 'development' && (process.env.SMS_PROVIDER || 'local') === 'local';
+
+// Send an OTP to a user in their preferred language and record the outcome
+const sendOTP = async (user, otp) => {
+  const provider = getProvider();
+  const { body, dltTemplateId, unicode } = renderOTPMessage(user.language, {
+    otp,
+    minutes: parseInt(process.env.OTP_EXPIRE_MINUTES) || 10
+  });
+
+  try {
+    const result = await provider.send({
+      to: `91${user.phone}`,
+      body,
+      dltTemplateId,
+      unicode
+    });
+
+    user.otpDelivery = {
+      provider: provider.name,
+      messageId: result.messageId,
+      status: result.status,
+      error: undefined,
+      sentAt: new Date()
+    };
+    await user.save();
+
+    return result;
+  } catch (error) {
+    console.error(`SMS delivery via ${provider.name} failed:`, error.message);
+
+    user.otpDelivery = {
+      provider: provider.name,
+      status: 'failed',
+      error: error.message,
+      sentAt: new Date()
+    };
+    await user.save();
+
+    throw new ErrorResponse(
+      'Could not send OTP. Please try again.',
+      502,
+      'ओटीपी नहीं भेजा जा सका। कृपया पुनः प्रयास करें।'
+    );
+  }
+};
+
+module.exports = {
+  getProvider,
+  shouldExposeOTP,
+  sendOTP
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stand-in transport for development and tests: nothing leaves the machine.
+// Messages are kept in an in-memory outbox and, if SMS_OUTBOX_FILE is set,
+// appended to that file as JSON lines.
+const MAX_OUTBOX_SIZE = 100;
+const outbox = [];
+
+const send = async ({ to, body, dltTemplateId }) => {
+  const message = {
+    messageId: `local-${crypto.randomBytes(8).toString('hex')}`,
+    to,
+    body,
+    dltTemplateId,
+    sentAt: new Date().toISOString()
+  };
+
+  outbox.push(message);
+  if (outbox.length > MAX_OUTBOX_SIZE) {
+    outbox.shift();
+  }
+
+  if (process.env.SMS_OUTBOX_FILE) {
+    const file = path.resolve(process.env.SMS_OUTBOX_FILE);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, JSON.stringify(message) + '\n');
+  }
+
+  if (process.env.NODE_ENV !== 'test') {
+    console.log(`[SMS:local] To ${to}: ${body}`);
+  }
+
+  return {
+    messageId: message.messageId,
+    status: 'delivered'
+  };
+};
+
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  name: 'local',
+  send,
+  outbox,
+  clearOutbox
+};
@@ -0,0 +1,41 @@
+// MSG91 transactional SMS (route 4) with DLT template and entity IDs
+const MSG91_SEND_URL = 'https://api.msg91.com/api/v2/sendsms';
+
+const send = async ({ to, body, dltTemplateId, unicode }) => {
+  if (!process.env.MSG91_AUTH_KEY) {
+    throw new Error('MSG91_AUTH_KEY is not configured');
+  }
+
+  const response = await fetch(MSG91_SEND_URL, {
+    method: 'POST',
+    headers: {
+      authkey: process.env.MSG91_AUTH_KEY,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      sender: process.env.SMS_SENDER_ID,
+      route: '4',
+      country: '91',
+      unicode: unicode ? 1 : 0,
+      DLT_TE_ID: dltTemplateId,
+      PE_ID: process.env.SMS_DLT_ENTITY_ID,
+      sms: [{ message: body, to: [to] }]
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.type !== 'success') {
+    throw new Error(`MSG91 send failed: ${data.message || response.status}`);
+  }
+
+  return {
+    messageId: data.message,
+    status: 'sent'
+  };
+};
+
+module.exports = {
+  name: 'msg91',
+  send
+};
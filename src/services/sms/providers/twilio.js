@@ -0,0 +1,41 @@
+// Twilio Programmable Messaging. DLT templates for Indian numbers are mapped
+// on Twilio's side against the sender, so only the rendered body is sent.
+const send = async ({ to, body }) => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM } = process.env;
+
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM) {
+    throw new Error('Twilio credentials are not configured');
+  }
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
+  const credentials = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      To: `+${to}`,
+      From: TWILIO_FROM,
+      Body: body
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Twilio send failed: ${data.message || response.status}`);
+  }
+
+  return {
+    messageId: data.sid,
+    status: data.status === 'failed' || data.status === 'undelivered' ? 'failed' : 'sent'
+  };
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
@@ -0,0 +1,71 @@
+const providers = {
+  local: require('./providers/local'),
+  s3: require('./providers/s3')
+};
+
+// Private files are stored under this prefix, which is never publicly readable
+const PRIVATE_PREFIX = 'private/';
+
+// How long signed links to private files stay valid unless the caller asks otherwise
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 300;
+
+// Pick the backend from STORAGE_DRIVER (defaults to this server's disk)
+const getProvider = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return provider;
+};
+
+// Throws when the selected backend is missing settings; run once at startup
+const checkConfig = () => getProvider().checkConfig();
+
+// Store a file under `key` (e.g. posts/123-abc-full.webp). Resolves to { key, url };
+// private files get no url, hand them out with signedUrl(). Keep the returned key:
+// it is what remove() and signedUrl() take.
+const put = async (key, body, { contentType, visibility = 'public' } = {}) => {
+  const provider = getProvider();
+  const isPrivate = visibility === 'private';
+  const storedKey = isPrivate ? `${PRIVATE_PREFIX}${key}` : key;
+
+  await provider.put(storedKey, body, { contentType, isPrivate });
+
+  return {
+    key: storedKey,
+    url: isPrivate ? null : provider.url(storedKey)
+  };
+};
+
+const url = (key) => getProvider().url(key);
+
+// Short-lived link to a file, private or not
+const signedUrl = (key, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) =>
+  getProvider().signedUrl(key, expiresIn);
+
+// Delete one key or many; missing files are not an error
+const remove = async (keys) => {
+  const provider = getProvider();
+  await Promise.all([].concat(keys).filter(Boolean).map(key => provider.remove(key)));
+};
+
+// Fire-and-forget cleanup; failures are logged, never thrown
+const removeInBackground = (keys) => {
+  remove(keys).catch(error => {
+    console.error('Storage cleanup failed:', error.message);
+  });
+};
+
+module.exports = {
+  PRIVATE_PREFIX,
+  getProvider,
+  checkConfig,
+  put,
+  url,
+  signedUrl,
+  remove,
+  removeInBackground
+};
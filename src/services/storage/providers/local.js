@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files on this server's disk. Public files live under UPLOAD_PATH and are served
+// at /uploads by express.static; private ones (keys under private/) live under
+// STORAGE_PRIVATE_PATH and are only reachable through signed /api/files URLs.
+// Fine for development and single-instance deployments; use s3 behind a load balancer.
+const publicDir = path.resolve(process.env.UPLOAD_PATH || './uploads');
+const privateDir = path.resolve(process.env.STORAGE_PRIVATE_PATH || './private');
+
+const PRIVATE_PREFIX = 'private/';
+
+// Signed links need their own secret (never the JWT one) and an absolute base URL,
+// since they are handed to clients and used in redirects. Checked at startup.
+const checkConfig = () => {
+  const missing = ['STORAGE_SIGNING_SECRET', 'PUBLIC_API_URL'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Local storage needs ${missing.join(' and ')} to be set`);
+  }
+};
+
+const signingSecret = () => {
+  if (!process.env.STORAGE_SIGNING_SECRET) {
+    throw new Error('STORAGE_SIGNING_SECRET is not configured');
+  }
+  return process.env.STORAGE_SIGNING_SECRET;
+};
+
+// Absolute path of a key, or null if the key tries to escape its folder
+const filePath = (key) => {
+  const [root, relative] = key.startsWith(PRIVATE_PREFIX)
+    ? [privateDir, key.slice(PRIVATE_PREFIX.length)]
+    : [publicDir, key];
+  const resolved = path.resolve(root, relative);
+
+  return resolved.startsWith(root + path.sep) ? resolved : null;
+};
+
+const put = async (key, body) => {
+  const file = filePath(key);
+  if (!file) throw new Error(`Invalid storage key: ${key}`);
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, body);
+};
+
+const remove = async (key) => {
+  const file = filePath(key);
+  if (!file) return;
+
+  try {
+    await fs.promises.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+const url = (key) => `/uploads/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+const signature = (key, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`${key}\n${expires}`).digest('hex');
+
+const signedUrl = (key, expiresIn) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const base = process.env.PUBLIC_API_URL.replace(/\/+$/, '');
+
+  return `${base}/api/files/${key.split('/').map(encodeURIComponent).join('/')}` +
+    `?expires=${expires}&signature=${signature(key, expires)}`;
+};
+
+// Checks a signed URL's expiry and signature in constant time
+const verify = (key, expires, providedSignature) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof providedSignature !== 'string') return false;
+
+  const expected = Buffer.from(signature(key, expiresAt), 'hex');
+  const provided = Buffer.from(providedSignature, 'hex');
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+module.exports = {
+  name: 'local',
+  publicDir,
+  checkConfig,
+  put,
+  remove,
+  url,
+  signedUrl,
+  verify,
+  filePath
+};
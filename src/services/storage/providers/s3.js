@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+// S3 and S3-compatible stores (MinIO, Cloudflare R2, DigitalOcean Spaces) over plain
+// fetch with AWS Signature Version 4. Set S3_ENDPOINT for anything that isn't AWS;
+// such endpoints are addressed path-style (http://localhost:9000/<bucket>/<key>).
+// The bucket policy should allow public reads except under private/.
+const config = () => {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+
+  return {
+    bucket: process.env.S3_BUCKET,
+    region,
+    endpoint,
+    pathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: process.env.S3_PUBLIC_URL && process.env.S3_PUBLIC_URL.replace(/\/+$/, '')
+  };
+};
+
+const checkConfig = () => {
+  const missing = ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`S3 storage needs ${missing.join(', ')} to be set`);
+  }
+};
+
+// RFC 3986 encoding, which SigV4 requires (encodeURIComponent leaves !'()* alone)
+const encode = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const objectUrl = ({ bucket, endpoint, pathStyle }, key) => {
+  if (pathStyle) return new URL(`${endpoint}/${bucket}/${encodeKey(key)}`);
+
+  const base = new URL(endpoint);
+  return new URL(`${base.protocol}//${bucket}.${base.host}/${encodeKey(key)}`);
+};
+
+// amzDate is YYYYMMDDTHHMMSSZ
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+// SigV4 signature over a canonical request. `headers` must use lower-case names
+// and include host; `query` holds the unencoded query parameters.
+const signature = ({ secretAccessKey, region }, { method, url, headers, query, payloadHash, timestamp }) => {
+  const day = timestamp.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const names = Object.keys(headers).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&'),
+    names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', timestamp, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['aws4_request', 's3', region, day]
+    .reduceRight((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+
+  return {
+    scope,
+    signedHeaders: names.join(';'),
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  };
+};
+
+const request = async (method, key, { body, headers = {} } = {}) => {
+  const settings = config();
+  const url = objectUrl(settings, key);
+  const timestamp = amzDate(new Date());
+  const payloadHash = sha256(body || '');
+
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': timestamp
+  };
+  const signed = signature(settings, { method, url, headers: signedHeaders, query: {}, payloadHash, timestamp });
+
+  const { host, ...sent } = signedHeaders;
+  return fetch(url, {
+    method,
+    body,
+    headers: {
+      ...sent,
+      authorization: `AWS4-HMAC-SHA256 Credential=${settings.accessKeyId}/${signed.scope}, ` +
+        `SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`
+    }
+  });
+};
+
+const failure = async (action, key, response) =>
+  new Error(`S3 ${action} ${key} failed: ${response.status} ${(await response.text()).slice(0, 200)}`);
+
+const put = async (key, body, { contentType, isPrivate } = {}) => {
+  const response = await request('PUT', key, {
+    body,
+    headers: {
+      'content-type': contentType || 'application/octet-stream',
+      // Keys are unique per upload, so public copies can be cached forever
+      'cache-control': isPrivate ? 'private, no-store' : 'public, max-age=31536000, immutable'
+    }
+  });
+
+  if (!response.ok) throw await failure('PUT', key, response);
+};
+
+const remove = async (key) => {
+  const response = await request('DELETE', key);
+  if (!response.ok && response.status !== 404) throw await failure('DELETE', key, response);
+};
+
+const url = (key) => {
+  const settings = config();
+  return settings.publicUrl
+    ? `${settings.publicUrl}/${encodeKey(key)}`
+    : objectUrl(settings, key).toString();
+};
+
+// Presigned GET (query-string SigV4). `now` is only there for reproducible signatures.
+const signedUrl = (key, expiresIn, now = new Date()) => {
+  const settings = config();
+  const target = objectUrl(settings, key);
+  const timestamp = amzDate(now);
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${settings.accessKeyId}/${timestamp.slice(0, 8)}/${settings.region}/s3/aws4_request`,
+    'X-Amz-Date': timestamp,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host'
+  };
+
+  const signed = signature(settings, {
+    method: 'GET',
+    url: target,
+    headers: { host: target.host },
+    query,
+    payloadHash: 'UNSIGNED-PAYLOAD',
+    timestamp
+  });
+
+  const search = Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+  return `${target.origin}${target.pathname}?${search}&X-Amz-Signature=${signed.signature}`;
+};
+
+module.exports = {
+  name: 's3',
+  checkConfig,
+  put,
+  remove,
+  url,
+  signedUrl
+};
@@ -0,0 +1,206 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Marketplace = require('../models/Marketplace');
+const AddressVerification = require('../models/AddressVerification');
+
+// A post with at least this many likes counts as helpful
+const HELPFUL_POST_LIKES = 3;
+
+const VERIFICATION_POINTS = {
+  basic: 0,
+  phone: 10,
+  address: 20,
+  verified: 30
+};
+
+// Each factor turns the user's activity into points, capped at `max`.
+// Reports are the only negative factor. Positive maxima add up to 100.
+const FACTORS = [
+  {
+    factor: 'verification',
+    label: 'Verification level',
+    hindi_label: 'सत्यापन स्तर',
+    max: 30,
+    points: ({ user }) => VERIFICATION_POINTS[user.verificationLevel] || 0,
+    detail: ({ user }) => ({ verificationLevel: user.verificationLevel })
+  },
+  {
+    factor: 'account_age',
+    label: 'Time in the community',
+    hindi_label: 'समुदाय में समय',
+    max: 15,
+    // Grows linearly over the first year
+    points: ({ accountAgeDays }) => Math.floor(Math.min(accountAgeDays / 365, 1) * 15),
+    detail: ({ accountAgeDays }) => ({ days: accountAgeDays })
+  },
+  {
+    factor: 'marketplace',
+    label: 'Completed marketplace sales',
+    hindi_label: 'पूर्ण बाज़ार बिक्री',
+    max: 15,
+    points: ({ soldListings }) => Math.min(soldListings * 3, 15),
+    detail: ({ soldListings }) => ({ soldListings })
+  },
+  {
+    factor: 'helpful_posts',
+    label: 'Helpful posts',
+    hindi_label: 'उपयोगी पोस्ट',
+    max: 15,
+    points: ({ helpfulPosts }) => Math.min(helpfulPosts * 2, 15),
+    detail: ({ helpfulPosts }) => ({ helpfulPosts, likesNeeded: HELPFUL_POST_LIKES })
+  },
+  {
+    factor: 'vouches',
+    label: 'Neighbors who vouch for you',
+    hindi_label: 'आपकी पुष्टि करने वाले पड़ोसी',
+    max: 25,
+    // Vouches only come with an address verification request, which closes once it has
+    // enough of them, so that many earns the full points
+    points: ({ vouches }) => Math.floor(Math.min(vouches / AddressVerification.VOUCHES_REQUIRED, 1) * 25),
+    detail: ({ vouches }) => ({ vouches, vouchesNeeded: AddressVerification.VOUCHES_REQUIRED })
+  },
+  {
+    factor: 'reports',
+    label: 'Reports on your posts and listings',
+    hindi_label: 'आपकी पोस्ट और लिस्टिंग पर रिपोर्ट',
+    max: 0,
+    min: -30,
+    points: ({ reportsReceived }) => -Math.min(reportsReceived * 5, 30),
+    detail: ({ reportsReceived }) => ({ reportsReceived })
+  }
+];
+
+const countReports = async (Model, field, userId) => {
+  const [result] = await Model.aggregate([
+    { $match: { [field]: userId } },
+    { $group: { _id: null, total: { $sum: { $size: { $ifNull: ['$reports', []] } } } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// Neighbors who vouched for the user's address in their current neighborhood
+// (see AddressVerification.vouches). Only verified, active residents still
+// living there count, each of them once.
+const findVouchers = async (user) => {
+  if (!user.neighborhood) return [];
+
+  const verifications = await AddressVerification.find({
+    user: user._id,
+    neighborhood: user.neighborhood,
+    method: 'vouch',
+    status: { $in: ['pending', 'approved'] }
+  })
+    .select('vouches')
+    .populate('vouches.user', 'name avatar verificationLevel isAddressVerified status neighborhood');
+
+  const vouchers = new Map();
+  verifications.flatMap(verification => verification.vouches).forEach(({ user: voucher, createdAt }) => {
+    if (voucher &&
+        voucher.status === 'active' &&
+        voucher.isAddressVerified &&
+        voucher.neighborhood && voucher.neighborhood.toString() === user.neighborhood.toString() &&
+        !vouchers.has(voucher._id.toString())) {
+      vouchers.set(voucher._id.toString(), { voucher, createdAt });
+    }
+  });
+
+  return [...vouchers.values()];
+};
+
+const countVouches = async (user) => (await findVouchers(user)).length;
+
+const gatherSignals = async (user) => {
+  const [soldListings, helpfulPosts, postReports, listingReports, vouches] = await Promise.all([
+    Marketplace.countDocuments({ seller: user._id, availabilityStatus: 'sold' }),
+    Post.countDocuments({
+      author: user._id,
+      status: 'active',
+      [`likes.${HELPFUL_POST_LIKES - 1}`]: { $exists: true }
+    }),
+    countReports(Post, 'author', user._id),
+    countReports(Marketplace, 'seller', user._id),
+    countVouches(user)
+  ]);
+
+  return {
+    user,
+    accountAgeDays: Math.floor((Date.now() - new Date(user.joinedAt || user.createdAt)) / (24 * 60 * 60 * 1000)),
+    soldListings,
+    helpfulPosts,
+    reportsReceived: postReports + listingReports,
+    vouches
+  };
+};
+
+// Score plus the per-factor breakdown shown to the user
+const computeTrust = async (user) => {
+  const signals = await gatherSignals(user);
+
+  const breakdown = FACTORS.map(({ factor, label, hindi_label, max, min = 0, points, detail }) => ({
+    factor,
+    label,
+    hindi_label,
+    points: Math.max(min, Math.min(points(signals), max)),
+    max,
+    ...(min < 0 && { min }),
+    detail: detail(signals)
+  }));
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    score: Math.max(0, Math.min(100, total)),
+    breakdown
+  };
+};
+
+// Recompute and store a user's score
+const recalculate = async (userId) => {
+  const user = await User.findById(userId)
+    .select('verificationLevel joinedAt createdAt neighborhood status');
+  if (!user) return null;
+
+  const result = await computeTrust(user);
+  const updatedAt = new Date();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { trustScore: result.score, trustUpdatedAt: updatedAt } }
+  );
+
+  return { ...result, updatedAt };
+};
+
+// Fire-and-forget wrapper for request handlers
+const recalculateInBackground = (userId) => {
+  if (!userId) return;
+  recalculate(userId).catch(error =>
+    console.error('Trust score recalculation failed:', error.message)
+  );
+};
+
+// Nightly pass over every active user, one at a time to keep the load flat
+const recalculateAll = async () => {
+  let processed = 0;
+  const cursor = User.find({ status: 'active' }).select('_id').cursor();
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    try {
+      await recalculate(doc._id);
+      processed += 1;
+    } catch (error) {
+      console.error(`Trust score recalculation failed for ${doc._id}:`, error.message);
+    }
+  }
+
+  return processed;
+};
+
+module.exports = {
+  HELPFUL_POST_LIKES,
+  computeTrust,
+  findVouchers,
+  recalculate,
+  recalculateInBackground,
+  recalculateAll
+};
@@ -0,0 +1,42 @@
+// Checks run on post and comment text whenever it is written (create and edit)
+
+const MAX_POST_LENGTH = 2000;
+
+const CONTENT_ERROR_MESSAGES = {
+  empty: {
+    message: 'Content is required',
+    hindi: 'सामग्री आवश्यक है'
+  },
+  too_long: {
+    message: `Post cannot exceed ${MAX_POST_LENGTH} characters`,
+    hindi: `पोस्ट ${MAX_POST_LENGTH} अक्षरों से अधिक नहीं हो सकती`
+  }
+};
+
+// Returns { ok: true, text, tags } with cleaned values, or { ok: false, reason }
+const checkPostContent = (text, tags = []) => {
+  const cleanText = typeof text === 'string' ? text.trim() : '';
+  const cleanTags = (Array.isArray(tags) ? tags : [])
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+
+  if (!cleanText) return { ok: false, reason: 'empty' };
+  if (cleanText.length > MAX_POST_LENGTH) return { ok: false, reason: 'too_long' };
+
+  return { ok: true, text: cleanText, tags: [...new Set(cleanTags)] };
+};
+
+// Comment length is enforced by request validation and the schema
+const checkCommentContent = (text) => {
+  const cleanText = typeof text === 'string' ? text.trim() : '';
+
+  if (!cleanText) return { ok: false, reason: 'empty' };
+
+  return { ok: true, text: cleanText };
+};
+
+module.exports = {
+  CONTENT_ERROR_MESSAGES,
+  checkPostContent,
+  checkCommentContent
+};
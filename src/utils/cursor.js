@@ -0,0 +1,134 @@
+// Opaque keyset cursors for lists ordered by a date or number plus _id.
+//
+// A cursor marks the last item a client has seen; the next page is everything
+// after it in sort order. Unlike skip/limit, new posts arriving at the top do
+// not shift later pages, and deep pages cost the same as the first.
+//
+// List endpoints read their paging params with fromQuery() and run the query
+// through paginate(). Lower level: fetch `limit + 1` documents with
+// filterAfter() and sortFor(), then call page().
+
+const mongoose = require('mongoose');
+
+const encode = (doc, field) => {
+  const value = field.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), doc);
+  const payload = value instanceof Date
+    ? { d: value.getTime(), i: doc._id.toString() }
+    : { n: value, i: doc._id.toString() };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Resolves a client's cursor to { value, id }, or null when it is missing or malformed
+const decode = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(payload.i)) return null;
+
+    if (Number.isFinite(payload.d)) return { value: new Date(payload.d), id: new mongoose.Types.ObjectId(payload.i) };
+    if (Number.isFinite(payload.n)) return { value: payload.n, id: new mongoose.Types.ObjectId(payload.i) };
+    return null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Sort that matches the cursor: the field, then _id to break ties
+const sortFor = (field = 'createdAt', direction = -1) => ({ [field]: direction, _id: direction });
+
+// Filter for documents after the cursor (pass the decoded cursor; null means the first page)
+const filterAfter = (cursor, field = 'createdAt', direction = -1) => {
+  if (!cursor) return {};
+
+  const beyond = direction < 0 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [beyond]: cursor.value } },
+      { [field]: cursor.value, _id: { [beyond]: cursor.id } }
+    ]
+  };
+};
+
+// Adds the cursor condition to a filter, keeping any $or the filter already has
+const withCursor = (filter, cursor, field = 'createdAt', direction = -1) => {
+  if (!cursor) return filter;
+
+  const after = filterAfter(cursor, field, direction);
+  return filter.$or ? { $and: [filter, after] } : { ...filter, ...after };
+};
+
+// Trims a `limit + 1` fetch to one page and works out the next cursor
+const page = (docs, limit, field = 'createdAt') => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encode(items[items.length - 1], field) : null
+  };
+};
+
+// Paging params from the query string. Requests without ?cursor get numbered pages
+// (?page, default 1), so existing clients keep total/page/pages; those pages also carry
+// a nextCursor, and requests that send it back page by cursor from then on.
+// Null when the cursor is invalid.
+const fromQuery = (query, { limit = 20, maxLimit = 50 } = {}) => {
+  const size = Math.min(parseInt(query.limit) || limit, maxLimit);
+
+  if (!query.cursor) {
+    return { page: Math.max(parseInt(query.page) || 1, 1), limit: size };
+  }
+
+  const after = decode(query.cursor);
+  if (!after) return null;
+
+  return { after, limit: size };
+};
+
+// One page of `find(filter)`, where `find` builds the query with its populates and
+// selects. Resolves to { items, pagination }; spread pagination into the response.
+// Numbered pages also report total/page/pages; pass `total` when it is already known.
+const paginate = async (find, filter, params, { field = 'createdAt', direction = -1, total } = {}) => {
+  const sort = sortFor(field, direction);
+
+  if (params.page) {
+    const [items, count] = await Promise.all([
+      find(filter).sort(sort).skip((params.page - 1) * params.limit).limit(params.limit),
+      total !== undefined ? total : find(filter).model.countDocuments(filter)
+    ]);
+
+    const hasMore = params.page * params.limit < count;
+
+    return {
+      items,
+      pagination: {
+        hasMore,
+        nextCursor: hasMore && items.length ? encode(items[items.length - 1], field) : null,
+        total: count,
+        page: params.page,
+        pages: Math.ceil(count / params.limit)
+      }
+    };
+  }
+
+  const docs = await find(withCursor(filter, params.after, field, direction))
+    .sort(sort)
+    .limit(params.limit + 1);
+  const { items, hasMore, nextCursor } = page(docs, params.limit, field);
+
+  return { items, pagination: { hasMore, nextCursor } };
+};
+
+module.exports = {
+  encode,
+  decode,
+  sortFor,
+  filterAfter,
+  withCursor,
+  page,
+  fromQuery,
+  paginate
+};
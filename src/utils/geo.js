@@ -0,0 +1,173 @@
+const geolib = require('geolib');
+const ErrorResponse = require('./errorResponse');
+
+// Geospatial helpers for points and boundary polygons. Positions follow GeoJSON order: [longitude, latitude]
+
+const isValidPosition = (position) => Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+// Coordinates sent by the app default to 0,0 when the GPS fix is missing
+const hasCoordinates = (coordinates) => Boolean(coordinates) &&
+  Number.isFinite(Number(coordinates.latitude)) &&
+  Number.isFinite(Number(coordinates.longitude)) &&
+  !(Number(coordinates.latitude) === 0 && Number(coordinates.longitude) === 0);
+
+const inRange = (coordinates) =>
+  Math.abs(Number(coordinates.latitude)) <= 90 && Math.abs(Number(coordinates.longitude)) <= 180;
+
+// GeoJSON Point for a { latitude, longitude } pair, or undefined when there is no fix.
+// Throws a 400 for coordinates off the globe, which Mongo's 2dsphere index would reject.
+const toPoint = (coordinates) => {
+  if (!hasCoordinates(coordinates)) {
+    return undefined;
+  }
+  if (!inRange(coordinates)) {
+    throw new ErrorResponse(
+      'Latitude must be between -90 and 90 and longitude between -180 and 180',
+      400,
+      'अक्षांश -90 से 90 और देशांतर -180 से 180 के बीच होना चाहिए'
+    );
+  }
+  return {
+    type: 'Point',
+    coordinates: [Number(coordinates.longitude), Number(coordinates.latitude)]
+  };
+};
+
+// Search radius for "near me" queries, in meters
+const DEFAULT_NEARBY_RADIUS = 1000;
+const MAX_NEARBY_RADIUS = 10000;
+
+const nearbyRadius = (value) => {
+  const radius = parseInt(value) || DEFAULT_NEARBY_RADIUS;
+  return Math.min(Math.max(radius, 1), MAX_NEARBY_RADIUS);
+};
+
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isValidPosition)) {
+    throw new Error('Boundary contains invalid coordinates');
+  }
+
+  const positions = ring.map(([lng, lat]) => [lng, lat]);
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+
+  // GeoJSON rings must be closed
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    positions.push([first[0], first[1]]);
+  }
+
+  if (positions.length < 4) {
+    throw new Error('Each boundary ring needs at least three distinct points');
+  }
+
+  return positions;
+};
+
+const normalizePolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    throw new Error('Polygon has no rings');
+  }
+  return rings.map(normalizeRing);
+};
+
+// Accepts a Geometry, Feature or FeatureCollection and returns a Polygon or MultiPolygon
+const parseGeoJSON = (input) => {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('Boundary must be a GeoJSON object');
+  }
+
+  if (geojson.type === 'Feature') {
+    return parseGeoJSON(geojson.geometry);
+  }
+
+  if (geojson.type === 'FeatureCollection') {
+    const polygons = (geojson.features || [])
+      .map(feature => parseGeoJSON(feature.geometry))
+      .flatMap(geometry => geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+    return toGeometry(polygons);
+  }
+
+  if (geojson.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: normalizePolygon(geojson.coordinates) };
+  }
+
+  if (geojson.type === 'MultiPolygon') {
+    if (!Array.isArray(geojson.coordinates)) {
+      throw new Error('MultiPolygon has no polygons');
+    }
+    return toGeometry(geojson.coordinates.map(normalizePolygon));
+  }
+
+  throw new Error(`Unsupported boundary type: ${geojson.type}`);
+};
+
+const parseKMLCoordinates = (text) => text.trim().split(/\s+/).map(tuple => {
+  const [lng, lat] = tuple.split(',').map(Number);
+  return [lng, lat];
+});
+
+const ringsIn = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}>[\\s\\S]*?<coordinates>([\\s\\S]*?)</coordinates>[\\s\\S]*?</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => parseKMLCoordinates(match[1]));
+};
+
+// Reads every <Polygon> in a KML document (outer ring plus holes)
+const parseKML = (kml) => {
+  const polygons = [...String(kml).matchAll(/<Polygon[^>]*>([\s\S]*?)<\/Polygon>/g)].map(match => {
+    const [outer] = ringsIn(match[1], 'outerBoundaryIs');
+    if (!outer) {
+      throw new Error('KML polygon is missing an outer boundary');
+    }
+    return normalizePolygon([outer, ...ringsIn(match[1], 'innerBoundaryIs')]);
+  });
+
+  return toGeometry(polygons);
+};
+
+const toGeometry = (polygons) => {
+  if (polygons.length === 0) {
+    throw new Error('No polygons found in boundary');
+  }
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+};
+
+// KML is detected from a leading '<', anything else is treated as GeoJSON
+const parseBoundary = (input) => {
+  if (typeof input === 'string' && input.trim().startsWith('<')) {
+    return parseKML(input);
+  }
+  return parseGeoJSON(input);
+};
+
+const isPointInPolygon = (point, rings) => {
+  const [outer, ...holes] = rings;
+  return geolib.isPointInPolygon(point, outer) &&
+    !holes.some(hole => geolib.isPointInPolygon(point, hole));
+};
+
+const isPointInGeometry = (latitude, longitude, geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return false;
+  }
+
+  const point = { latitude, longitude };
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(rings => isPointInPolygon(point, rings));
+};
+
+module.exports = {
+  hasCoordinates,
+  toPoint,
+  nearbyRadius,
+  parseBoundary,
+  parseGeoJSON,
+  parseKML,
+  isPointInGeometry
+};
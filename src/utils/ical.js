@@ -0,0 +1,264 @@
+// iCalendar (RFC 5545) output for event posts. Times are written in Asia/Kolkata,
+// which has had a fixed +05:30 offset since 1945, so a single STANDARD block is enough.
+
+const { serializeRule, sameDay } = require('./recurrence');
+
+const TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DEFAULT_DURATION_MINUTES = 120;
+const PRODUCT_ID = '-//MohallaHub//Neighborhood Events//EN';
+const UID_DOMAIN = 'mohallahub.app';
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0530',
+  'TZOFFSETTO:+0530',
+  'TZNAME:IST',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded; never split inside a multi-byte character
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 20261019T083000Z
+const formatUTC = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// Wall-clock parts of an instant in India
+const toIST = (date) => {
+  const d = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    hours: d.getUTCHours(),
+    minutes: d.getUTCMinutes()
+  };
+};
+
+const formatLocalDate = ({ year, month, day }) => `${pad(year, 4)}${pad(month)}${pad(day)}`;
+
+const formatLocalDateTime = (parts) =>
+  `${formatLocalDate(parts)}T${pad(parts.hours)}${pad(parts.minutes)}00`;
+
+// Accepts "18:30", "6:30 PM", "6pm"; returns null for anything else
+const parseTime = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+};
+
+// The event's day is its date in IST; with a readable `time` it becomes a timed event,
+// otherwise it is an all-day event.
+const eventStart = (eventDetails) => {
+  const day = toIST(eventDetails.date);
+  const time = parseTime(eventDetails.time);
+  return time ? { ...day, ...time, allDay: false } : { ...day, allDay: true };
+};
+
+const addMinutes = (parts, minutes) => {
+  const utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours || 0, parts.minutes || 0) + minutes * 60 * 1000;
+  const d = new Date(utc);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    hours: d.getUTCHours(),
+    minutes: d.getUTCMinutes()
+  };
+};
+
+const eventLocation = ({ eventDetails, location }) => {
+  if (eventDetails.isOnline) return eventDetails.meetingUrl || 'Online';
+  return eventDetails.venue || (location && location.address) || '';
+};
+
+// DTSTART/RECURRENCE-ID/EXDATE style property for one or more starts
+const dateProperty = (name, starts) => {
+  const [first] = starts;
+  return first.allDay
+    ? `${name};VALUE=DATE:${starts.map(formatLocalDate).join(',')}`
+    : `${name};TZID=${TIMEZONE}:${starts.map(formatLocalDateTime).join(',')}`;
+};
+
+const timeLines = (start) => [
+  dateProperty('DTSTART', [start]),
+  dateProperty('DTEND', [addMinutes(start, start.allDay ? 24 * 60 : DEFAULT_DURATION_MINUTES)])
+];
+
+// Recurring events: the rule plus the days the organizer skipped
+const recurrenceLines = ({ eventDetails }, start) => {
+  const lines = [`RRULE:${serializeRule(eventDetails.recurrence.rule, { allDay: start.allDay })}`];
+  const exdates = eventDetails.recurrence.exdates || [];
+
+  if (exdates.length > 0) {
+    lines.push(dateProperty('EXDATE', exdates.map(date => eventStart({ ...eventDetails, date }))));
+  }
+  return lines;
+};
+
+// Sorted, one per IST day
+const distinctDays = (dates) => [...dates]
+  .sort((a, b) => new Date(a) - new Date(b))
+  .filter((date, index, sorted) => index === 0 || !sameDay(date, sorted[index - 1]));
+
+// Only some occurrences of a series (post.occurrences): the first is the start, the rest RDATEs
+const occurrenceLines = ({ eventDetails }, [, ...rest]) =>
+  rest.length > 0 ? [dateProperty('RDATE', rest.map(date => eventStart({ ...eventDetails, date })))] : [];
+
+// One CANCELLED override per called-off occurrence, matched to the series by RECURRENCE-ID
+const cancelledOccurrenceComponents = (post, occurrences) => {
+  const { eventDetails } = post;
+  if (eventDetails.status === 'cancelled') return [];
+
+  return (eventDetails.cancelledOccurrences || [])
+    .filter(({ date }) => !occurrences || occurrences.some(occurrence => sameDay(occurrence, date)))
+    .flatMap(({ date, reason, cancelledAt }) => {
+      const start = eventStart({ ...eventDetails, date });
+      return [
+        'BEGIN:VEVENT',
+        `UID:${post._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUTC(cancelledAt || post.updatedAt || Date.now())}`,
+        dateProperty('RECURRENCE-ID', [start]),
+        ...timeLines(start),
+        `SUMMARY:${escapeText(`Cancelled: ${eventDetails.title}`)}`,
+        ...(reason ? [`DESCRIPTION:${escapeText(reason)}`] : []),
+        'STATUS:CANCELLED',
+        'END:VEVENT'
+      ];
+    });
+};
+
+// VEVENT lines for one event post (plus overrides for recurring events). A recurring post
+// with an `occurrences` list is written as just those occurrences instead of its rule.
+const eventComponent = (post, { baseUrl } = {}) => {
+  const { eventDetails } = post;
+  const recurring = Boolean(eventDetails.recurrence && eventDetails.recurrence.rule);
+  const occurrences = recurring && post.occurrences && post.occurrences.length > 0
+    ? distinctDays(post.occurrences)
+    : null;
+  const start = eventStart(occurrences ? { ...eventDetails, date: occurrences[0] } : eventDetails);
+  const cancelled = eventDetails.status === 'cancelled';
+
+  let seriesLines = [];
+  if (occurrences) seriesLines = occurrenceLines(post, occurrences);
+  else if (recurring) seriesLines = recurrenceLines(post, start);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${post._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUTC(post.updatedAt || Date.now())}`,
+    ...timeLines(start),
+    ...seriesLines
+  ];
+
+  lines.push(`SUMMARY:${escapeText(cancelled ? `Cancelled: ${eventDetails.title}` : eventDetails.title)}`);
+
+  const description = [
+    post.content && post.content.text,
+    cancelled && eventDetails.cancellationReason && `Cancelled: ${eventDetails.cancellationReason}`,
+    post.author && post.author.name && `Organised by ${post.author.name}`
+  ].filter(Boolean).join('\n\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  const location = eventLocation(post);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+
+  const coordinates = post.location && post.location.coordinates;
+  if (coordinates && coordinates.latitude && coordinates.longitude) {
+    lines.push(`GEO:${coordinates.latitude};${coordinates.longitude}`);
+  }
+
+  if (eventDetails.isOnline && eventDetails.meetingUrl) {
+    lines.push(`URL:${eventDetails.meetingUrl}`);
+  } else if (baseUrl) {
+    lines.push(`URL:${baseUrl}/api/posts/${post._id}`);
+  }
+
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  if (post.createdAt) lines.push(`CREATED:${formatUTC(post.createdAt)}`);
+  if (post.updatedAt) lines.push(`LAST-MODIFIED:${formatUTC(post.updatedAt)}`);
+  lines.push('END:VEVENT');
+
+  return recurring ? [...lines, ...cancelledOccurrenceComponents(post, occurrences)] : lines;
+};
+
+// Full VCALENDAR document, CRLF-terminated as the spec requires
+const buildCalendar = ({ name, events = [], baseUrl }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    // Hint for subscribed calendars to poll hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  lines.push(...VTIMEZONE);
+  events
+    .filter(post => post.eventDetails && post.eventDetails.date)
+    .forEach(post => lines.push(...eventComponent(post, { baseUrl })));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  TIMEZONE,
+  buildCalendar,
+  eventStart,
+  parseTime
+};
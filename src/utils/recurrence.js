@@ -0,0 +1,325 @@
+// Recurring events: a practical subset of RFC 5545 RRULE, expanded in IST.
+// India has no daylight saving, so every IST day is exactly 24 hours and an occurrence
+// is always the series start shifted by whole days.
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY
+// (with ordinals such as 1SU or -1SA for MONTHLY), BYMONTHDAY (MONTHLY) and WKST.
+
+const IST_OFFSET_MS = 330 * 60 * 1000; // UTC+05:30
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_COUNT = 730;
+// Safety net for rules expanded without an end date, counted from the start of the window
+const MAX_SCAN_DAYS = 5 * 366;
+// COUNT series are walked from their first day, so their length is capped
+const MAX_COUNT_SPAN_DAYS = 50 * 366;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Longest gap between two periods of each frequency
+const PERIOD_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Days since the epoch, counted in IST
+const dayNumber = (date) => Math.floor((new Date(date).getTime() + IST_OFFSET_MS) / DAY_MS);
+
+const startOfDay = (day) => new Date(day * DAY_MS - IST_OFFSET_MS);
+
+const civil = (day) => {
+  const d = new Date(day * DAY_MS);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth(),
+    date: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+    daysInMonth: new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate()
+  };
+};
+
+const startOfTodayIST = () => startOfDay(dayNumber(Date.now()));
+
+// 'YYYY-MM-DD' of the IST day an instant falls on
+const dateKey = (date) => new Date(dayNumber(date) * DAY_MS).toISOString().slice(0, 10);
+
+// Accepts 'YYYY-MM-DD' (an IST day) or a full ISO timestamp; returns the IST day number
+const parseDay = (value) => {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return Number.isNaN(time) ? null : time / DAY_MS;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : dayNumber(time);
+};
+
+const sameDay = (a, b) => Boolean(a) && Boolean(b) && dayNumber(a) === dayNumber(b);
+
+const parseUntil = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) throw new Error('UNTIL must look like 20261231 or 20261231T183000Z');
+
+  const [, year, month, date, hours, minutes, seconds, utc] = match;
+  const day = Date.UTC(year, month - 1, date) / DAY_MS;
+
+  if (!hours) {
+    // A bare date includes the whole IST day
+    return new Date(startOfDay(day + 1).getTime() - 1000);
+  }
+
+  const local = Date.UTC(year, month - 1, date, hours, minutes, seconds);
+  return new Date(utc ? local : local - IST_OFFSET_MS);
+};
+
+const parseInteger = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Parses 'FREQ=WEEKLY;BYDAY=SU' (an 'RRULE:' prefix is allowed); throws on anything unsupported
+const parseRule = (text) => {
+  const parts = String(text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const rule = { interval: 1, byDay: [], byMonthDay: [], weekStart: 1 };
+
+  for (const part of parts) {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.toUpperCase();
+
+    if (!value) throw new Error(`Recurrence part ${key} has no value`);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Unsupported frequency: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(value, 'INTERVAL', 1, 99);
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(value, 'COUNT', 1, MAX_COUNT);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(entry => {
+          const match = entry.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) throw new Error(`Invalid BYDAY value: ${entry}`);
+          const nth = match[1] ? parseInt(match[1]) : 0;
+          if (Math.abs(nth) > 5) throw new Error(`Invalid BYDAY value: ${entry}`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), nth };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(entry => {
+          const day = parseInteger(entry, 'BYMONTHDAY', -31, 31);
+          if (day === 0) throw new Error('BYMONTHDAY cannot be 0');
+          return day;
+        });
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(value.toUpperCase())) throw new Error(`Invalid WKST value: ${value}`);
+        rule.weekStart = WEEKDAYS.indexOf(value.toUpperCase());
+        break;
+      default:
+        throw new Error(`Unsupported recurrence part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('Recurrence rule needs a FREQ');
+  if (rule.count && rule.until) throw new Error('Use either COUNT or UNTIL, not both');
+  if (rule.count && rule.count * rule.interval * PERIOD_DAYS[rule.freq] > MAX_COUNT_SPAN_DAYS) {
+    throw new Error('COUNT is too large for this frequency; series can run for at most 50 years');
+  }
+  if (rule.byDay.some(({ nth }) => nth !== 0) && rule.freq !== 'MONTHLY') {
+    throw new Error('Numbered BYDAY values (like 1SU) are only supported with FREQ=MONTHLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (rule.freq === 'YEARLY' && rule.byDay.length > 0) {
+    throw new Error('BYDAY is not supported with FREQ=YEARLY');
+  }
+  if (rule.byDay.length > 0 && rule.byMonthDay.length > 0) {
+    throw new Error('Use either BYDAY or BYMONTHDAY, not both');
+  }
+
+  return rule;
+};
+
+const isValidRule = (text) => {
+  try {
+    parseRule(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatUntil = (until, allDay) => {
+  if (allDay) {
+    return dateKey(until).replace(/-/g, '');
+  }
+  return new Date(until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Canonical RRULE text (without the 'RRULE:' prefix). All-day events need a date-only UNTIL.
+const serializeRule = (text, { allDay = false } = {}) => {
+  const rule = typeof text === 'string' ? parseRule(text) : text;
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, nth }) => `${nth || ''}${WEEKDAYS[weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.weekStart !== 1) parts.push(`WKST=${WEEKDAYS[rule.weekStart]}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until, allDay)}`);
+
+  return parts.join(';');
+};
+
+const matchesByDay = (byDay, day) => {
+  const { weekday, date, daysInMonth } = civil(day);
+  return byDay.some(entry => {
+    if (entry.weekday !== weekday) return false;
+    if (entry.nth > 0) return Math.ceil(date / 7) === entry.nth;
+    if (entry.nth < 0) return Math.ceil((daysInMonth - date + 1) / 7) === -entry.nth;
+    return true;
+  });
+};
+
+// Whether `day` is part of the series that starts on `anchorDay`
+const matches = (rule, anchorDay, day) => {
+  const anchor = civil(anchorDay);
+  const current = civil(day);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return (day - anchorDay) % rule.interval === 0 &&
+        (rule.byDay.length === 0 || matchesByDay(rule.byDay, day));
+
+    case 'WEEKLY': {
+      const weekOf = (d) => d - ((civil(d).weekday - rule.weekStart + 7) % 7);
+      const weeks = (weekOf(day) - weekOf(anchorDay)) / 7;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(entry => entry.weekday) : [anchor.weekday];
+      return weeks % rule.interval === 0 && weekdays.includes(current.weekday);
+    }
+
+    case 'MONTHLY': {
+      const months = (current.year - anchor.year) * 12 + (current.month - anchor.month);
+      if (months % rule.interval !== 0) return false;
+      if (rule.byMonthDay.length > 0) {
+        return rule.byMonthDay.some(value =>
+          (value > 0 ? value : current.daysInMonth + value + 1) === current.date
+        );
+      }
+      if (rule.byDay.length > 0) return matchesByDay(rule.byDay, day);
+      return current.date === anchor.date;
+    }
+
+    case 'YEARLY':
+      return (current.year - anchor.year) % rule.interval === 0 &&
+        current.month === anchor.month &&
+        current.date === anchor.date;
+
+    default:
+      return false;
+  }
+};
+
+// Occurrence start times between `from` and `to` (inclusive). COUNT is counted from the
+// series start and exceptions still use up a slot, as in RFC 5545, so COUNT rules are
+// walked from the first day (days before `from` only cost a match check). Other rules
+// start at `from`, and without `to` stop MAX_SCAN_DAYS after it.
+const expandOccurrences = (start, text, { from, to, exdates = [], limit = Infinity } = {}) => {
+  const rule = typeof text === 'string' ? parseRule(text) : text;
+  const startTime = new Date(start).getTime();
+  const anchorDay = dayNumber(start);
+  const excluded = new Set(exdates.map(dayNumber));
+
+  const fromDay = from ? Math.max(anchorDay, dayNumber(from)) : anchorDay;
+  const firstDay = rule.count ? anchorDay : fromDay;
+
+  let lastDay = rule.count ? anchorDay + MAX_COUNT_SPAN_DAYS : fromDay + MAX_SCAN_DAYS;
+  if (to) lastDay = dayNumber(to);
+  if (rule.until) lastDay = Math.min(lastDay, dayNumber(rule.until));
+
+  const occurrences = [];
+  let seen = 0;
+
+  for (let day = firstDay; day <= lastDay && occurrences.length < limit; day++) {
+    if (!matches(rule, anchorDay, day)) continue;
+
+    seen += 1;
+    if (rule.count && seen > rule.count) break;
+    if (day < fromDay || excluded.has(day)) continue;
+
+    const occurrence = new Date(startTime + (day - anchorDay) * DAY_MS);
+    if (rule.until && occurrence > rule.until) break;
+    if (from && occurrence < new Date(from)) continue;
+    if (to && occurrence > new Date(to)) break;
+
+    occurrences.push(occurrence);
+  }
+
+  return occurrences;
+};
+
+// Start of the final occurrence, or null for open-ended series
+const lastOccurrence = (start, text, exdates = []) => {
+  const rule = parseRule(text);
+  if (!rule.count && !rule.until) return null;
+
+  if (rule.count) {
+    const occurrences = expandOccurrences(start, rule, { exdates });
+    return occurrences.length > 0 ? occurrences[occurrences.length - 1] : null;
+  }
+
+  // UNTIL series: walk back from the end instead of forward from the start
+  const anchorDay = dayNumber(start);
+  const untilDay = dayNumber(rule.until);
+  const excluded = new Set(exdates.map(dayNumber));
+
+  for (let day = untilDay; day >= Math.max(anchorDay, untilDay - MAX_COUNT_SPAN_DAYS); day--) {
+    if (!matches(rule, anchorDay, day) || excluded.has(day)) continue;
+
+    const occurrence = new Date(new Date(start).getTime() + (day - anchorDay) * DAY_MS);
+    if (occurrence <= rule.until) return occurrence;
+  }
+  return null;
+};
+
+// The occurrence of a series on a given day ('YYYY-MM-DD' or ISO), or null if there is none
+const findOccurrence = (start, text, value, exdates = []) => {
+  const day = parseDay(value);
+  if (day === null) return null;
+
+  const [occurrence] = expandOccurrences(start, text, {
+    from: startOfDay(day),
+    to: new Date(startOfDay(day + 1).getTime() - 1),
+    exdates,
+    limit: 1
+  });
+  return occurrence || null;
+};
+
+module.exports = {
+  DAY_MS,
+  dayNumber,
+  dateKey,
+  parseDay,
+  startOfDay,
+  startOfTodayIST,
+  sameDay,
+  parseRule,
+  isValidRule,
+  serializeRule,
+  expandOccurrences,
+  lastOccurrence,
+  findOccurrence
+};
@@ -0,0 +1,59 @@
+// Search keys and query building for MongoDB text indexes.
+//
+// Documents store `searchKeys`: every word as written plus its phonetic key
+// (utils/transliterate), so Hindi, Kannada and Hinglish spellings meet in one token.
+// Queries are expanded the same way and matched with $text, which ranks by textScore.
+
+const { phoneticKey } = require('./transliterate');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_WORDS = 10;
+
+// Text indexes use no stemming or stop words (they are English-only in MongoDB).
+// The override points at a field no document has, because User.language ('hi', 'kn')
+// would otherwise be read as the index language and rejected.
+const TEXT_INDEX_OPTIONS = {
+  default_language: 'none',
+  language_override: 'searchLanguage'
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Letters (any script, with their combining marks) and digits
+const words = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+// Keys for the given strings (or arrays of strings), without duplicates
+const searchKeys = (...values) => {
+  const keys = new Set();
+
+  values.flat().forEach(value => words(value).forEach(word => {
+    keys.add(word);
+    const key = phoneticKey(word);
+    if (key.length >= MIN_QUERY_LENGTH) keys.add(key);
+  }));
+
+  return [...keys];
+};
+
+// $search string for a user query: each word and its phonetic key, any of which may match.
+// Quotes and leading minus signs are dropped, so phrases and negation can't be injected.
+// Returns null when there is nothing searchable.
+const textQuery = (query) => {
+  const terms = words(query)
+    .slice(0, MAX_QUERY_WORDS)
+    .filter(word => word.length >= MIN_QUERY_LENGTH || /\d/.test(word));
+
+  if (terms.length === 0) return null;
+  return searchKeys(terms).join(' ');
+};
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  TEXT_INDEX_OPTIONS,
+  escapeRegex,
+  searchKeys,
+  textQuery
+};
@@ -0,0 +1,132 @@
+// Romanization and phonetic keys for Indic text, so a search for "doodh", "dudh"
+// or "दूध" finds the same posts.
+//
+// The main Indic scripts (Devanagari, Bengali, Gurmukhi, Gujarati, Oriya, Tamil,
+// Telugu, Kannada, Malayalam) share one layout: each 128-character block puts the
+// same letter at the same offset. One table keyed by offset covers all of them.
+
+const INDIC_START = 0x0900;
+const INDIC_END = 0x0D7F;
+const BLOCK_SIZE = 0x80;
+
+const CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'n',
+  0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'n',
+  0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+  0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'l', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+  // Precomposed nukta letters (क़ ख़ ग़ ज़ ड़ ढ़ फ़ य़)
+  0x58: 'q', 0x59: 'kh', 0x5A: 'g', 0x5B: 'z', 0x5C: 'r', 0x5D: 'rh', 0x5E: 'f', 0x5F: 'y'
+};
+
+const VOWELS = {
+  0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ii', 0x09: 'u', 0x0A: 'uu',
+  0x0B: 'ri', 0x0C: 'li', 0x0D: 'e', 0x0E: 'e', 0x0F: 'e', 0x10: 'ai',
+  0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au'
+};
+
+const VOWEL_SIGNS = {
+  0x3E: 'aa', 0x3F: 'i', 0x40: 'ii', 0x41: 'u', 0x42: 'uu', 0x43: 'ri', 0x44: 'ri',
+  0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au'
+};
+
+const NASALS = [0x01, 0x02];
+const VISARGA = 0x03;
+const NUKTA = 0x3C;
+const VIRAMA = 0x4D;
+const DIGITS_START = 0x66;
+
+// Nukta turns ज into ज़ (z), फ into फ़ (f), ड/ढ into ड़/ढ़ (r)
+const NUKTA_FORMS = { j: 'z', ph: 'f', d: 'r', dh: 'rh', k: 'q' };
+
+const indicOffset = (char) => {
+  const code = char.codePointAt(0);
+  return code >= INDIC_START && code <= INDIC_END ? (code - INDIC_START) % BLOCK_SIZE : null;
+};
+
+// Latin spelling of Indic text. Consonants carry an inherent "a" unless a vowel sign
+// or virama follows; it is dropped at the end of a word, as Hindi speakers do.
+const romanize = (text) => {
+  let output = '';
+  let lastConsonant = '';
+  let pendingA = false;
+
+  const flushA = () => {
+    if (pendingA) output += 'a';
+    pendingA = false;
+  };
+
+  for (const char of String(text || '')) {
+    const offset = indicOffset(char);
+
+    if (offset === null) {
+      // Word boundary or Latin text: the inherent vowel is silent
+      pendingA = false;
+      lastConsonant = '';
+      output += char;
+    } else if (CONSONANTS[offset]) {
+      flushA();
+      lastConsonant = CONSONANTS[offset];
+      output += lastConsonant;
+      pendingA = true;
+    } else if (VOWEL_SIGNS[offset]) {
+      pendingA = false;
+      output += VOWEL_SIGNS[offset];
+    } else if (VOWELS[offset]) {
+      flushA();
+      output += VOWELS[offset];
+    } else if (offset === VIRAMA) {
+      pendingA = false;
+    } else if (offset === NUKTA) {
+      if (NUKTA_FORMS[lastConsonant]) {
+        output = output.slice(0, -lastConsonant.length) + NUKTA_FORMS[lastConsonant];
+        lastConsonant = NUKTA_FORMS[lastConsonant];
+      }
+    } else if (NASALS.includes(offset)) {
+      flushA();
+      output += 'n';
+    } else if (offset === VISARGA) {
+      flushA();
+      output += 'h';
+    } else if (offset >= DIGITS_START && offset < DIGITS_START + 10) {
+      pendingA = false;
+      output += String(offset - DIGITS_START);
+    }
+    // Anything else (avagraha, stress marks, unassigned) is dropped
+  }
+
+  return output;
+};
+
+// Loose spelling-independent key for one word: "doodh", "dudh", "दूध" -> "dud".
+// Long and short vowels merge, aspiration and doubled letters are ignored and
+// non-initial "a" is dropped (so schwa deletion doesn't matter).
+const phoneticKey = (word) => {
+  const key = romanize(word)
+    .toLowerCase()
+    // "café" -> "cafe": split off accents, then keep plain letters and digits
+    .normalize('NFD')
+    .replace(/[^a-z0-9]/g, '')
+    .replace(/a+y$/, 'ai')
+    .replace(/n([bpm])/g, 'm$1')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/ph/g, 'f')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/ai/g, 'e')
+    .replace(/au/g, 'o')
+    .replace(/([b-df-hj-np-tv-z])h/g, '$1')
+    .replace(/(.)\1+/g, '$1');
+
+  return key.length > 1 ? key[0] + key.slice(1).replace(/a/g, '') : key;
+};
+
+module.exports = {
+  romanize,
+  phoneticKey
+};
@@ -0,0 +1,69 @@
+// Time-decayed engagement score shared by trending posts and listings:
+//
+//   score = engagement / (ageHours + 2) ^ gravity
+//
+// Engagement is a weighted sum of counts, so a post with a few comments an hour
+// ago can outrank one with more likes from yesterday. Computed in the aggregation
+// pipeline, so nothing has to be kept in sync on every like or view.
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_WINDOW_MS = 30 * 24 * HOUR_MS;
+const AGE_OFFSET_HOURS = 2;
+
+const GRAVITY = parseFloat(process.env.TRENDING_GRAVITY) || 1.5;
+
+// "12h", "3d", "1w"; returns milliseconds, or null if unreadable or longer than 30 days
+const parseWindow = (value) => {
+  const match = String(value || '').trim().match(/^(\d+)\s*([hdw])$/i);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]) * { h: 1, d: 24, w: 168 }[match[2].toLowerCase()];
+  const ms = hours * HOUR_MS;
+  return ms > 0 && ms <= MAX_WINDOW_MS ? ms : null;
+};
+
+const sizeOf = (path) => ({ $size: { $ifNull: [path, []] } });
+
+// Pipeline stages adding `engagement` and `trendingScore` to each document.
+// `signals` maps a weight to an expression, e.g. { weight: 3, value: sizeOf('$likes') }.
+const scoreStages = (signals) => [
+  {
+    $addFields: {
+      engagement: {
+        $add: signals.map(({ weight, value }) => ({ $multiply: [weight, { $ifNull: [value, 0] }] }))
+      },
+      ageHours: {
+        $max: [0, { $divide: [{ $subtract: ['$$NOW', '$createdAt'] }, HOUR_MS] }]
+      }
+    }
+  },
+  {
+    $addFields: {
+      trendingScore: {
+        $divide: ['$engagement', { $pow: [{ $add: ['$ageHours', AGE_OFFSET_HOURS] }, GRAVITY] }]
+      }
+    }
+  },
+  // Nothing to trend on yet
+  { $match: { engagement: { $gt: 0 } } }
+];
+
+// Loads full documents for scored ids in trending order. Resolves to [{ doc, score }]
+const hydrateRanked = async (model, ranked, populate) => {
+  const docs = await model.find({ _id: { $in: ranked.map(({ _id }) => _id) } }).populate(populate);
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+  return ranked
+    .filter(({ _id }) => byId.has(_id.toString()))
+    .map(({ _id, trendingScore }) => ({
+      doc: byId.get(_id.toString()),
+      score: Math.round(trendingScore * 1000) / 1000
+    }));
+};
+
+module.exports = {
+  parseWindow,
+  sizeOf,
+  scoreStages,
+  hydrateRanked
+};
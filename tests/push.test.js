@@ -0,0 +1,143 @@
+process.env.NODE_ENV = 'test';
+process.env.PUSH_RETRY_BASE_DELAY_MS = '1';
+process.env.PUSH_MAX_RETRIES = '2';
+process.env.FCM_PROJECT_ID = 'mohallahub-test';
+process.env.FCM_CLIENT_EMAIL = 'push@mohallahub-test.iam.gserviceaccount.com';
+process.env.FCM_PRIVATE_KEY = require('crypto').generateKeyPairSync('rsa', { modulusLength: 2048 })
+  .privateKey.export({ type: 'pkcs8', format: 'pem' });
+delete process.env.PUSH_TRANSPORT;
+
+const User = require('../src/models/User');
+const push = require('../src/services/push');
+const queue = require('../src/services/push/queue');
+const local = require('../src/services/push/providers/local');
+const fcm = require('../src/services/push/providers/fcm');
+
+const wait = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Recipients come from User.find(...).select(...); no database is involved here
+const withRecipients = (users) => jest.spyOn(User, 'find').mockReturnValue({
+  select: jest.fn().mockResolvedValue(users.map(fields => new User({ phone: '9876543210', name: 'Resident', ...fields })))
+});
+
+const fcmResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body
+});
+
+const fcmError = (status, errorCode) => fcmResponse({
+  error: {
+    code: status,
+    status: errorCode,
+    details: [{ '@type': 'type.googleapis.com/google.firebase.fcm.v1.FcmError', errorCode }]
+  }
+}, status);
+
+// Answers the service-account token exchange and hands every send to `onSend`
+const mockFCM = (onSend) => {
+  global.fetch = jest.fn(async (url, options) => {
+    if (url === 'https://oauth2.googleapis.com/token') {
+      return fcmResponse({ access_token: 'test-access-token', expires_in: 3600 });
+    }
+    return onSend(url, options);
+  });
+  return global.fetch;
+};
+
+const sends = () => global.fetch.mock.calls.filter(([url]) => url.includes('/messages:send'));
+
+beforeEach(() => {
+  local.clearSent();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('push fan-out', () => {
+  it('sends one message per device in each recipient\'s language', async () => {
+    withRecipients([
+      { language: 'en', pushTokens: [{ token: 'ExponentPushToken[a]', provider: 'expo' }, { token: 'fcm-a', provider: 'fcm' }] },
+      { language: 'hi', pushToken: 'fcm-legacy' }
+    ]);
+
+    const queued = await push.sendToNeighborhood('64b000000000000000000001', {
+      title: 'Water cut',
+      message: 'No water from 10am',
+      hindi_message: 'सुबह 10 बजे से पानी नहीं'
+    }, { category: 'safety' });
+    await wait();
+
+    expect(queued).toBe(3);
+    expect(local.sent.map(message => message.to).sort()).toEqual(['ExponentPushToken[a]', 'fcm-a', 'fcm-legacy']);
+    expect(local.sent.find(message => message.to === 'fcm-legacy').body).toBe('सुबह 10 बजे से पानी नहीं');
+    expect(local.sent.find(message => message.to === 'fcm-a').body).toBe('No water from 10am');
+  });
+
+  it('skips users who turned the category off', async () => {
+    const find = withRecipients([]);
+
+    await push.sendToUsers(['64b000000000000000000002'], { title: 'Sale', message: 'New listing' }, { category: 'marketplace' });
+
+    expect(find.mock.calls[0][0]['notifications.marketplace']).toEqual({ $ne: false });
+  });
+});
+
+describe('push retries', () => {
+  it('retries only the devices that failed', async () => {
+    const attempts = {};
+    mockFCM(async (url, { headers, body }) => {
+      expect(url).toBe('https://fcm.googleapis.com/v1/projects/mohallahub-test/messages:send');
+      expect(headers.Authorization).toBe('Bearer test-access-token');
+
+      const { message: { token: to } } = JSON.parse(body);
+      attempts[to] = (attempts[to] || 0) + 1;
+
+      if (to === 'flaky' && attempts[to] === 1) throw new Error('socket hang up');
+      if (to === 'busy' && attempts[to] === 1) return fcmError(503, 'UNAVAILABLE');
+      return fcmResponse({ name: `projects/mohallahub-test/messages/m-${to}` });
+    });
+
+    queue.enqueue(fcm, ['ok', 'flaky', 'busy'].map(to => ({ to, title: 'Hi', body: 'There' })));
+    await wait();
+
+    expect(attempts).toEqual({ ok: 1, flaky: 2, busy: 2 });
+  });
+
+  it('sends data as strings, as the v1 API requires', async () => {
+    mockFCM(async () => fcmResponse({ name: 'projects/mohallahub-test/messages/m' }));
+
+    queue.enqueue(fcm, [{ to: 'device', title: 'Hi', body: 'There', priority: 'high', data: { type: 'alert', count: 2 } }]);
+    await wait();
+
+    const { message } = JSON.parse(sends()[0][1].body);
+    expect(message.data).toEqual({ type: 'alert', count: '2' });
+    expect(message.android.priority).toBe('high');
+  });
+
+  it('gives up after the retry limit', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFCM(async () => fcmError(503, 'UNAVAILABLE'));
+
+    queue.enqueue(fcm, [{ to: 'down', title: 'Hi', body: 'There' }]);
+    await wait();
+
+    expect(sends()).toHaveLength(3);
+  });
+
+  it('prunes tokens the provider reports as unregistered', async () => {
+    const updateMany = jest.spyOn(User, 'updateMany').mockResolvedValue({});
+    mockFCM(async () => fcmError(404, 'UNREGISTERED'));
+
+    queue.enqueue(fcm, [{ to: 'uninstalled', title: 'Hi', body: 'There' }]);
+    await wait();
+
+    expect(sends()).toHaveLength(1);
+    expect(updateMany).toHaveBeenCalledWith(
+      { 'pushTokens.token': { $in: ['uninstalled'] } },
+      { $pull: { pushTokens: { token: { $in: ['uninstalled'] } } } }
+    );
+  });
+});
@@ -0,0 +1,70 @@
+process.env.NODE_ENV = 'test';
+process.env.REALTIME_POLL_INTERVAL_MS = '5';
+
+const mongoose = require('mongoose');
+const RealtimeEvent = require('../src/models/RealtimeEvent');
+const realtime = require('../src/services/realtime');
+
+const HERE = '64b0000000000000000000aa';
+const ELSEWHERE = '64b0000000000000000000bb';
+
+const wait = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The shared collection every instance writes to; no database is involved here
+const stored = [];
+
+const eventAt = (seconds, neighborhood, type = 'post:new') => {
+  const event = new RealtimeEvent({
+    _id: mongoose.Types.ObjectId.createFromTime(seconds),
+    neighborhood,
+    type,
+    payload: { seconds }
+  });
+  stored.push(event);
+  return event;
+};
+
+let now;
+
+beforeEach(() => {
+  stored.length = 0;
+  now = Math.floor(Date.now() / 1000);
+  jest.spyOn(Date, 'now').mockImplementation(() => now * 1000);
+  jest.spyOn(RealtimeEvent, 'find').mockImplementation(({ neighborhood, _id }) => ({
+    sort: () => ({
+      limit: async (size) => stored
+        .filter(event => neighborhood.$in.includes(event.neighborhood.toString()))
+        .filter(event => event._id.toString() > _id.$gt.toString() && event._id.toString() < _id.$lt.toString())
+        .sort((a, b) => (a._id.toString() < b._id.toString() ? -1 : 1))
+        .slice(0, size)
+    })
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('realtime fan-out', () => {
+  it('delivers events stored by any instance to this instance\'s subscribers, once and in order', async () => {
+    const received = [];
+    const unsubscribe = realtime.subscribe(HERE, event => received.push(event.payload.seconds));
+
+    // Published elsewhere after this client connected
+    eventAt(now + 1, HERE);
+    eventAt(now + 1, ELSEWHERE);
+    eventAt(now + 2, HERE);
+
+    // Not settled yet, so nothing goes out
+    await wait();
+    expect(received).toEqual([]);
+
+    now += 5;
+    await wait();
+    await wait();
+
+    expect(received).toEqual([now - 4, now - 3]);
+    unsubscribe();
+    await wait();
+  });
+});
@@ -0,0 +1,170 @@
+process.env.NODE_ENV = 'test';
+process.env.SMS_PROVIDER = 'local';
+process.env.OTP_SECRET = 'test-otp-secret';
+
+const User = require('../src/models/User');
+const { sendOTP, getProvider } = require('../src/services/sms');
+const local = require('../src/services/sms/providers/local');
+
+// Users are never written to a database here; save() just resolves
+const newUser = (fields = {}) => {
+  const user = new User({ phone: '9876543210', name: 'Test User', ...fields });
+  user.save = jest.fn().mockResolvedValue(user);
+  return user;
+};
+
+// Stands in for the stored copy of `stored`: the conditional updates verifyOTP sends
+// are applied to it synchronously, so each one is atomic as it is in MongoDB
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '_id') return true;
+  const value = doc.get(path);
+  if (condition && condition.$not) return !(value > condition.$not.$gt);
+  if (condition && condition.$lt !== undefined) return value < condition.$lt;
+  return value === condition;
+});
+
+const storeFor = (stored) => {
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (!matches(stored, filter)) return null;
+    Object.entries(update.$inc || {}).forEach(([path, by]) => stored.set(path, (stored.get(path) || 0) + by));
+    Object.entries(update.$set || {}).forEach(([path, value]) => stored.set(path, value));
+    Object.keys(update.$unset || {}).forEach(path => stored.set(path, undefined));
+    return stored.toObject();
+  });
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    Object.entries(update.$set || {}).forEach(([path, value]) => stored.set(path, value));
+    Object.keys(update.$unset || {}).forEach(path => stored.set(path, undefined));
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: () => ({ lean: async () => stored.toObject() })
+  });
+  return stored;
+};
+
+// The code as the resident would read it from the SMS
+const otpFromOutbox = () => local.outbox[local.outbox.length - 1].body.match(/\d{6}/)[0];
+
+beforeEach(() => {
+  local.clearOutbox();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('local SMS provider', () => {
+  it('is the default provider', () => {
+    expect(getProvider()).toBe(local);
+  });
+
+  it('delivers the OTP to the outbox in the user\'s language', async () => {
+    const user = newUser({ language: 'hi' });
+    const otp = user.generateOTP();
+
+    await sendOTP(user, otp);
+
+    expect(local.outbox).toHaveLength(1);
+    expect(local.outbox[0].to).toBe('919876543210');
+    expect(local.outbox[0].body).toContain(otp);
+    expect(local.outbox[0].body).toContain('सत्यापन कोड');
+    expect(user.otpDelivery.provider).toBe('local');
+    expect(user.otpDelivery.status).toBe('delivered');
+  });
+});
+
+describe('OTP verification', () => {
+  it('accepts the code that was sent, once', async () => {
+    const user = storeFor(newUser());
+    await sendOTP(user, user.generateOTP());
+
+    const otp = otpFromOutbox();
+    expect(await user.verifyOTP(otp)).toEqual({ valid: true, message: 'OTP verified successfully' });
+    expect(user.isPhoneVerified).toBe(true);
+    expect((await user.verifyOTP(otp)).valid).toBe(false);
+  });
+
+  it('rejects a wrong code and stops after the attempt limit', async () => {
+    const user = storeFor(newUser());
+    await sendOTP(user, user.generateOTP());
+    const otp = otpFromOutbox();
+    const wrong = otp === '111111' ? '222222' : '111111';
+
+    expect((await user.verifyOTP(wrong)).message).toBe('Invalid OTP');
+    expect((await user.verifyOTP(wrong)).message).toBe('Invalid OTP');
+    expect((await user.verifyOTP(wrong)).message).toBe('Invalid OTP');
+    expect((await user.verifyOTP(otp)).message).toBe('Maximum attempts exceeded');
+  });
+
+  it('rejects an expired code', async () => {
+    const user = storeFor(newUser());
+    await sendOTP(user, user.generateOTP());
+    user.otp.expiresAt = new Date(Date.now() - 1000);
+
+    expect((await user.verifyOTP(otpFromOutbox())).message).toBe('OTP expired');
+  });
+
+  it('counts every guess in a parallel burst', async () => {
+    const stored = storeFor(newUser());
+    const otp = stored.generateOTP();
+    const wrong = otp === '111111' ? '222222' : '111111';
+
+    // Each request loaded the user before any of the guesses was recorded
+    const requests = Array.from({ length: 6 }, () => User.hydrate(stored.toObject()));
+    const results = await Promise.all(requests.map(request => request.verifyOTP(wrong)));
+
+    expect(results.filter(result => result.message === 'Too many failed attempts')).toHaveLength(2);
+    expect(stored.otpThrottle.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(stored.otp.codeHash).toBeUndefined();
+    expect((await User.hydrate(stored.toObject()).verifyOTP(otp)).message).toBe('Too many failed attempts');
+  });
+
+  it('lets only one of two parallel requests use a correct code', async () => {
+    const stored = storeFor(newUser());
+    const otp = stored.generateOTP();
+
+    const requests = [User.hydrate(stored.toObject()), User.hydrate(stored.toObject())];
+    const results = await Promise.all(requests.map(request => request.verifyOTP(otp)));
+
+    expect(results.map(result => result.valid).sort()).toEqual([false, true]);
+    expect(stored.isPhoneVerified).toBe(true);
+  });
+});
+
+describe('OTP throttling', () => {
+  it('enforces a cooldown between sends', async () => {
+    const user = newUser();
+    expect(user.canSendOTP()).toEqual({ allowed: true });
+
+    await sendOTP(user, user.generateOTP());
+
+    const throttle = user.canSendOTP();
+    expect(throttle.allowed).toBe(false);
+    expect(throttle.reason).toBe('cooldown');
+    expect(throttle.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('caps sends per day', () => {
+    const user = newUser();
+
+    for (let i = 0; i < 10; i++) {
+      user.generateOTP();
+      user.otpThrottle.lastSentAt = new Date(Date.now() - 2 * 60 * 1000);
+    }
+
+    expect(user.canSendOTP().reason).toBe('daily_limit');
+  });
+
+  it('locks the account after repeated failures across regenerated codes', async () => {
+    const user = storeFor(newUser());
+
+    for (let i = 0; i < 5; i++) {
+      const otp = user.generateOTP();
+      await user.verifyOTP(otp === '111111' ? '222222' : '111111');
+    }
+
+    expect(user.otp.codeHash).toBeUndefined();
+    expect(user.canSendOTP().reason).toBe('locked');
+    expect((await user.verifyOTP('123456')).message).toBe('Too many failed attempts');
+  });
+});
@@ -0,0 +1,181 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A minimal MinIO-like stand-in: keeps objects in memory and records each request
+const objects = new Map();
+const requests = [];
+let server;
+let denyNext = false;
+
+const startStandIn = () => new Promise(resolve => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stand-in');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers });
+
+      if (denyNext || (!req.headers.authorization && !url.searchParams.get('X-Amz-Signature'))) {
+        denyNext = false;
+        res.writeHead(403);
+        return res.end('<Error><Code>AccessDenied</Code></Error>');
+      }
+
+      if (req.method === 'PUT') {
+        objects.set(url.pathname, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+        res.writeHead(200);
+        return res.end();
+      }
+
+      if (req.method === 'GET' && objects.has(url.pathname)) {
+        res.writeHead(200, { 'content-type': objects.get(url.pathname).contentType });
+        return res.end(objects.get(url.pathname).body);
+      }
+
+      if (req.method === 'DELETE') {
+        objects.delete(url.pathname);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      res.writeHead(404);
+      res.end('<Error><Code>NoSuchKey</Code></Error>');
+    });
+  });
+  server.listen(0, '127.0.0.1', resolve);
+});
+
+beforeAll(async () => {
+  await startStandIn();
+
+  process.env.S3_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+  process.env.S3_BUCKET = 'mohallahub-test';
+  process.env.S3_REGION = 'ap-south-1';
+  process.env.S3_ACCESS_KEY_ID = 'test-access-key';
+  process.env.S3_SECRET_ACCESS_KEY = 'test-secret-key';
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  objects.clear();
+  requests.length = 0;
+});
+
+describe('s3 storage', () => {
+  let storage;
+
+  beforeAll(() => {
+    process.env.STORAGE_DRIVER = 's3';
+    storage = require('../src/services/storage');
+  });
+
+  it('uploads public files with a signed request and a cacheable public url', async () => {
+    const { key, url } = await storage.put('posts/1-abc-full.webp', Buffer.from('image'), { contentType: 'image/webp' });
+
+    expect(key).toBe('posts/1-abc-full.webp');
+    expect(url).toBe(`${process.env.S3_ENDPOINT}/mohallahub-test/posts/1-abc-full.webp`);
+    expect(objects.get('/mohallahub-test/posts/1-abc-full.webp').body.toString()).toBe('image');
+
+    const [request] = requests;
+    expect(request.method).toBe('PUT');
+    expect(request.headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=test-access-key\/\d{8}\/ap-south-1\/s3\/aws4_request/);
+    expect(request.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+  });
+
+  it('keeps private files under private/ without a public url', async () => {
+    const { key, url } = await storage.put('verification/proof.pdf', Buffer.from('pdf'), {
+      contentType: 'application/pdf',
+      visibility: 'private'
+    });
+
+    expect(key).toBe('private/verification/proof.pdf');
+    expect(url).toBeNull();
+    expect(requests[0].headers['cache-control']).toBe('private, no-store');
+  });
+
+  it('hands out presigned links that fetch the file', async () => {
+    const { key } = await storage.put('verification/proof.pdf', Buffer.from('pdf'), { visibility: 'private' });
+
+    const link = new URL(storage.signedUrl(key, { expiresIn: 120 }));
+    expect(link.searchParams.get('X-Amz-Expires')).toBe('120');
+    expect(link.searchParams.get('X-Amz-Signature')).toMatch(/^[0-9a-f]{64}$/);
+
+    const response = await fetch(link);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('pdf');
+  });
+
+  it('removes files and ignores ones that are already gone', async () => {
+    await storage.put('posts/a.webp', Buffer.from('a'));
+    await storage.put('posts/b.webp', Buffer.from('b'));
+
+    await storage.remove(['posts/a.webp', 'posts/b.webp', 'posts/missing.webp', null]);
+
+    expect(objects.size).toBe(0);
+    expect(requests.filter(request => request.method === 'DELETE')).toHaveLength(3);
+  });
+
+  it('reports failed uploads', async () => {
+    denyNext = true;
+
+    await expect(storage.put('posts/denied.webp', Buffer.from('x'))).rejects.toThrow('S3 PUT posts/denied.webp failed: 403');
+  });
+
+  it('refuses to start without credentials', () => {
+    const accessKey = process.env.S3_ACCESS_KEY_ID;
+    delete process.env.S3_ACCESS_KEY_ID;
+
+    try {
+      expect(() => storage.checkConfig()).toThrow('S3_ACCESS_KEY_ID');
+    } finally {
+      process.env.S3_ACCESS_KEY_ID = accessKey;
+    }
+  });
+});
+
+describe('local storage signed links', () => {
+  let local;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mohallahub-storage-'));
+    process.env.STORAGE_PRIVATE_PATH = dir;
+    process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+    process.env.PUBLIC_API_URL = 'https://api.example.test/';
+    jest.isolateModules(() => {
+      local = require('../src/services/storage/providers/local');
+    });
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('signs absolute links that verify until they expire', () => {
+    const link = new URL(local.signedUrl('private/verification/proof.pdf', 60));
+
+    expect(link.origin).toBe('https://api.example.test');
+    expect(link.pathname).toBe('/api/files/private/verification/proof.pdf');
+    expect(local.verify('private/verification/proof.pdf', link.searchParams.get('expires'), link.searchParams.get('signature'))).toBe(true);
+    expect(local.verify('private/verification/other.pdf', link.searchParams.get('expires'), link.searchParams.get('signature'))).toBe(false);
+    expect(local.verify('private/verification/proof.pdf', Math.floor(Date.now() / 1000) - 1, link.searchParams.get('signature'))).toBe(false);
+  });
+
+  it('refuses to start without its own signing secret', () => {
+    delete process.env.STORAGE_SIGNING_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+
+    try {
+      expect(() => local.checkConfig()).toThrow('STORAGE_SIGNING_SECRET');
+      expect(() => local.signedUrl('private/x.pdf', 60)).toThrow('STORAGE_SIGNING_SECRET');
+    } finally {
+      process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+    }
+  });
+
+  it('keeps keys inside the storage folders', () => {
+    expect(local.filePath('private/../../etc/passwd')).toBeNull();
+    expect(local.filePath('private/verification/proof.pdf')).toBe(path.join(dir, 'verification/proof.pdf'));
+  });
+});
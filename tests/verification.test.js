@@ -0,0 +1,52 @@
+process.env.NODE_ENV = 'test';
+process.env.OTP_SECRET = 'test-otp-secret';
+
+const AddressVerification = require('../src/models/AddressVerification');
+const { requestPostcard } = require('../src/controllers/verificationController');
+
+// Runs the response through JSON the way Express does
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(body => {
+    res.body = JSON.parse(JSON.stringify(body));
+    return res;
+  });
+  return res;
+};
+
+const resident = {
+  id: '64b000000000000000000001',
+  neighborhood: { _id: '64b0000000000000000000aa' },
+  address: { fullAddress: '12 Gali No. 3', pincode: '110001', city: 'Delhi', state: 'Delhi' },
+  isAddressVerified: false
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('postcard verification', () => {
+  it('does not reveal the postcard code to the resident who requested it', async () => {
+    jest.spyOn(AddressVerification, 'findOne').mockResolvedValue(null);
+    const save = jest.spyOn(AddressVerification.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await requestPostcard({ user: resident }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+
+    const [saved] = save.mock.instances;
+    const code = saved.postcard.code;
+    expect(code).toMatch(/^\d{6}$/);
+
+    expect(res.body.verification.status).toBe('pending');
+    expect(res.body.verification.postcard).not.toHaveProperty('code');
+    expect(res.body.verification.postcard).not.toHaveProperty('codeHash');
+    expect(JSON.stringify(res.body)).not.toContain(code);
+  });
+});